@@ -0,0 +1,154 @@
+/**
+ * Consonant Articulation
+ *
+ * Describes each consonant letter by how it is said rather than how often
+ * it appears:
+ *
+ *   tension   'lax' 평음 (ㄱ ㄷ ㅂ ㅅ ㅈ), 'tense' 경음 (ㄲ ㄸ ㅃ ㅆ ㅉ) or
+ *             'aspirated' 격음 (ㅋ ㅌ ㅍ ㅊ); null for ㅎ, which stands
+ *             outside the three series, and for sonorants, which have no
+ *             such contrast
+ *   place     'bilabial', 'alveolar', 'palatal', 'velar' or 'glottal'
+ *   manner    'stop', 'affricate', 'fricative', 'nasal' or 'liquid'
+ *   sonority  1 (stop) to 5 (liquid); sonorant is true for ㄴ ㄹ ㅁ and final ㅇ
+ *
+ * Initial ㅇ is silent and has no features. A final consonant is unreleased
+ * and takes the features of the one of seven sounds it is pronounced as on
+ * its own (앞 → ㅂ, 좋 → ㄷ, 닭 → ㄱ), given in sound; clusters also list
+ * their letters in cluster. Initials follow the spelling; analyze with
+ * { phonetic: true } to count what is actually heard (값도 → 갑또).
+ */
+
+const SONORITY = { stop: 1, affricate: 2, fricative: 3, nasal: 4, liquid: 5 };
+
+function consonant(tension, place, manner) {
+  return { tension, place, manner, sonority: SONORITY[manner], sonorant: SONORITY[manner] >= 4 };
+}
+
+const CONSONANTS = {
+  'ㄱ': consonant('lax', 'velar', 'stop'),
+  'ㄲ': consonant('tense', 'velar', 'stop'),
+  'ㅋ': consonant('aspirated', 'velar', 'stop'),
+  'ㄷ': consonant('lax', 'alveolar', 'stop'),
+  'ㄸ': consonant('tense', 'alveolar', 'stop'),
+  'ㅌ': consonant('aspirated', 'alveolar', 'stop'),
+  'ㅂ': consonant('lax', 'bilabial', 'stop'),
+  'ㅃ': consonant('tense', 'bilabial', 'stop'),
+  'ㅍ': consonant('aspirated', 'bilabial', 'stop'),
+  'ㅈ': consonant('lax', 'palatal', 'affricate'),
+  'ㅉ': consonant('tense', 'palatal', 'affricate'),
+  'ㅊ': consonant('aspirated', 'palatal', 'affricate'),
+  'ㅅ': consonant('lax', 'alveolar', 'fricative'),
+  'ㅆ': consonant('tense', 'alveolar', 'fricative'),
+  'ㅎ': consonant(null, 'glottal', 'fricative'),
+  'ㄴ': consonant(null, 'alveolar', 'nasal'),
+  'ㅁ': consonant(null, 'bilabial', 'nasal'),
+  'ㅇ': consonant(null, 'velar', 'nasal'),
+  'ㄹ': consonant(null, 'alveolar', 'liquid')
+};
+
+const SILENT = { tension: null, place: null, manner: null, sonority: null, sonorant: false };
+
+// The sound each final letter is pronounced as before a pause (받침 7종성);
+// ㄸ ㅃ ㅉ never close a syllable
+const FINAL_SOUNDS = {
+  'ㄱ': 'ㄱ', 'ㄲ': 'ㄱ', 'ㅋ': 'ㄱ', 'ㄴ': 'ㄴ', 'ㄹ': 'ㄹ', 'ㅁ': 'ㅁ', 'ㅇ': 'ㅇ',
+  'ㄷ': 'ㄷ', 'ㅌ': 'ㄷ', 'ㅅ': 'ㄷ', 'ㅆ': 'ㄷ', 'ㅈ': 'ㄷ', 'ㅊ': 'ㄷ', 'ㅎ': 'ㄷ',
+  'ㅂ': 'ㅂ', 'ㅍ': 'ㅂ'
+};
+
+// Final clusters: their two letters and the sound they are pronounced as
+const CLUSTERS = {
+  'ㄳ': ['ㄱ', 'ㅅ', 'ㄱ'], 'ㄵ': ['ㄴ', 'ㅈ', 'ㄴ'], 'ㄶ': ['ㄴ', 'ㅎ', 'ㄴ'],
+  'ㄺ': ['ㄹ', 'ㄱ', 'ㄱ'], 'ㄻ': ['ㄹ', 'ㅁ', 'ㅁ'], 'ㄼ': ['ㄹ', 'ㅂ', 'ㄹ'],
+  'ㄽ': ['ㄹ', 'ㅅ', 'ㄹ'], 'ㄾ': ['ㄹ', 'ㅌ', 'ㄹ'], 'ㄿ': ['ㄹ', 'ㅍ', 'ㅂ'],
+  'ㅀ': ['ㄹ', 'ㅎ', 'ㄹ'], 'ㅄ': ['ㅂ', 'ㅅ', 'ㅂ']
+};
+
+const CHOSEONG_FEATURES = { ...CONSONANTS, 'ㅇ': SILENT };
+
+const JONGSEONG_FEATURES = {};
+for (const [letter, sound] of Object.entries(FINAL_SOUNDS)) {
+  JONGSEONG_FEATURES[letter] = { ...CONSONANTS[sound], sound };
+}
+for (const [letter, [first, second, sound]] of Object.entries(CLUSTERS)) {
+  JONGSEONG_FEATURES[letter] = { ...CONSONANTS[sound], sound, cluster: [first, second] };
+}
+
+const PLACES = ['bilabial', 'alveolar', 'palatal', 'velar', 'glottal'];
+const PLACE_NAMES = {
+  bilabial: '양순음', alveolar: '치조음', palatal: '경구개음', velar: '연구개음', glottal: '후음'
+};
+const MANNERS = Object.keys(SONORITY);
+
+/**
+ * Features of a consonant letter as an initial ('cho', default) or a final
+ * ('jong'); null for letters outside the modern tables.
+ */
+function consonantFeatures(letter, position = 'cho') {
+  if (position !== 'cho' && position !== 'jong') throw new Error(`Unknown position: ${position}`);
+  const table = position === 'cho' ? CHOSEONG_FEATURES : JONGSEONG_FEATURES;
+  return table[letter] || null;
+}
+
+/**
+ * Articulation profile from initial and final counts ({ choFreq, jongFreq }
+ * as analyze() returns them). Silent initial ㅇ and Old Hangul letters are
+ * left out.
+ *
+ * Returns {
+ *   consonants     sounded consonants counted
+ *   tension        { lax, tense, aspirated } as shares of the consonants in
+ *                  the three series (obstruents but ㅎ)
+ *   tensionRatio   share of those that are tense or aspirated
+ *   sonorityRatio  share of consonants that are sonorants (ㄴ ㄹ ㅁ ㅇ)
+ *   place          share of consonants at each place of articulation
+ *   manner         share of consonants by manner
+ * }
+ */
+function articulationProfile({ choFreq = {}, jongFreq = {} }) {
+  const tension = { lax: 0, tense: 0, aspirated: 0 };
+  const place = Object.fromEntries(PLACES.map(p => [p, 0]));
+  const manner = Object.fromEntries(MANNERS.map(m => [m, 0]));
+  let consonants = 0;
+  let sonorants = 0;
+
+  const count = (table, freq) => {
+    for (const [letter, n] of Object.entries(freq)) {
+      const f = table[letter];
+      if (!f || !f.manner) continue;
+      consonants += n;
+      place[f.place] += n;
+      manner[f.manner] += n;
+      if (f.sonorant) sonorants += n;
+      if (f.tension) tension[f.tension] += n;
+    }
+  };
+  count(CHOSEONG_FEATURES, choFreq);
+  count(JONGSEONG_FEATURES, jongFreq);
+
+  const series = tension.lax + tension.tense + tension.aspirated;
+  const share = (n, total) => (total ? round(n / total, 3) : 0);
+  const tensionRatio = share(tension.tense + tension.aspirated, series);
+  for (const k of Object.keys(tension)) tension[k] = share(tension[k], series);
+  for (const k of PLACES) place[k] = share(place[k], consonants);
+  for (const k of MANNERS) manner[k] = share(manner[k], consonants);
+
+  return {
+    consonants,
+    tension,
+    tensionRatio,
+    sonorityRatio: share(sonorants, consonants),
+    place,
+    manner
+  };
+}
+
+function round(n, digits) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+export {
+  CHOSEONG_FEATURES, JONGSEONG_FEATURES, PLACES, PLACE_NAMES, MANNERS, consonantFeatures, articulationProfile
+};
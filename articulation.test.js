@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CHOSEONG_FEATURES, JONGSEONG_FEATURES, consonantFeatures, articulationProfile } from './articulation.js';
+import { CHOSEONG, JONGSEONG, analyze, fingerprint } from './hangul.js';
+
+describe('feature tables', () => {
+  it('cover every choseong and jongseong letter', () => {
+    assert.deepEqual(Object.keys(CHOSEONG_FEATURES).sort(), [...CHOSEONG].sort());
+    assert.deepEqual(Object.keys(JONGSEONG_FEATURES).sort(), JONGSEONG.slice(1).sort());
+  });
+
+  it('classify tension, place, manner and sonority', () => {
+    assert.deepEqual(consonantFeatures('ㅉ'), { tension: 'tense', place: 'palatal', manner: 'affricate', sonority: 2, sonorant: false });
+    assert.deepEqual(consonantFeatures('ㄹ'), { tension: null, place: 'alveolar', manner: 'liquid', sonority: 5, sonorant: true });
+    assert.equal(consonantFeatures('ㅋ').tension, 'aspirated');
+    assert.equal(consonantFeatures('ㅎ').tension, null);
+  });
+
+  it('treat initial ㅇ as silent and final ㅇ as a nasal', () => {
+    assert.equal(consonantFeatures('ㅇ').manner, null);
+    assert.equal(consonantFeatures('ㅇ', 'jong').manner, 'nasal');
+  });
+
+  it('give finals the features of the sound pronounced', () => {
+    assert.deepEqual(consonantFeatures('ㄺ', 'jong'), { ...consonantFeatures('ㄱ'), sound: 'ㄱ', cluster: ['ㄹ', 'ㄱ'] });
+    assert.deepEqual(consonantFeatures('ㅍ', 'jong'), { ...consonantFeatures('ㅂ'), sound: 'ㅂ' });
+    assert.equal(consonantFeatures('ㅎ', 'jong').tension, 'lax');
+    assert.equal(consonantFeatures('ㄲ', 'jong').sound, 'ㄱ');
+    assert.equal(consonantFeatures('ㄳ'), null);
+    assert.throws(() => consonantFeatures('ㄱ', 'jung'), /Unknown position/);
+  });
+});
+
+describe('articulationProfile', () => {
+  it('measures tension among obstruents and sonority among consonants', () => {
+    const { consonants, tension, tensionRatio, sonorityRatio, place } = analyze('꽃이 활짝 폈다').articulation;
+    assert.equal(consonants, 9);
+    // final ㅊ ㅆ are said as ㄷ; ㅎ is in none of the three series
+    assert.deepEqual(tension, { lax: 0.571, tense: 0.286, aspirated: 0.143 });
+    assert.equal(tensionRatio, 0.429);
+    assert.equal(sonorityRatio, 0.111);
+    assert.equal(place.alveolar, 0.444);
+  });
+
+  it('counts 앞 and 읊 alike', () => {
+    assert.deepEqual(analyze('앞').articulation, analyze('읊').articulation);
+    assert.equal(analyze('좋').articulation.tension.aspirated, 0);
+  });
+
+  it('is all zeros without consonants', () => {
+    const profile = articulationProfile({ choFreq: { 'ㅇ': 3 } });
+    assert.equal(profile.consonants, 0);
+    assert.equal(profile.tensionRatio, 0);
+    assert.equal(profile.sonorityRatio, 0);
+  });
+
+  it('follows pronunciation with the phonetic option', () => {
+    assert.equal(analyze('값도').articulation.tension.tense, 0);
+    assert.ok(analyze('값도', { phonetic: true }).articulation.tension.tense > 0);
+  });
+});
+
+describe('fingerprint texture', () => {
+  it('separates soft from harsh texts', () => {
+    const soft = fingerprint('나는 너를 늘 마음에 머물러 둔다');
+    const harsh = fingerprint('꽉 찬 팥빵 쫙 펴서 톡 쳐라');
+    assert.ok(soft.sonorityRatio > harsh.sonorityRatio);
+    assert.ok(harsh.tensionRatio > soft.tensionRatio);
+    assert.equal(Object.keys(soft.placeProfile).length, 5);
+    assert.equal(fingerprint('하늘을 우러러').tensionRatio, 0);
+  });
+});
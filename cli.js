@@ -1,105 +1,450 @@
 #!/usr/bin/env node
-import { readFileSync } from 'node:fs';
-import { analyze, findRhymes, vowelHarmonyAnalysis, structuralPattern, fingerprint } from './hangul.js';
+import { createReadStream, readdirSync, statSync } from 'node:fs';
+import { join } from 'node:path';
+import { createAnalyzer, analyzeStream, structuralPattern, toSyllables } from './hangul.js';
+import { romanize } from './romanize.js';
+import { fixMistyped } from './keyboard.js';
+import { rhymeScheme } from './rhyme.js';
+import { createCorpus } from './corpus.js';
+import { FORMATS, createReport, formatReports } from './report.js';
+import { renderHTML, renderANSI } from './render.js';
+import { DOCUMENT_FORMATS, detectFormat, parseDocument, analyzeDocument } from './documents.js';
+import { timingReport } from './timing.js';
+import { PLACE_NAMES } from './articulation.js';
 
 const args = process.argv.slice(2);
 
-if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+if ((args.length === 0 && process.stdin.isTTY) || args.includes('--help') || args.includes('-h')) {
   console.log(`hangul-analyzer — Structural analysis of Korean text
 
 Usage:
-  hangul-analyzer <file>           Analyze a text file
+  hangul-analyzer <file>...        Analyze one or more text files
+                                   (.srt, .vtt, .lrc and .md are read as subtitles,
+                                   lyrics or Markdown: timestamps and markup are skipped)
+  cat file.txt | hangul-analyzer   Analyze standard input (or use - as the file)
   hangul-analyzer -t "한글 텍스트"  Analyze inline text
   hangul-analyzer --fingerprint <file>  Show phonetic fingerprint only
+  hangul-analyzer compare <dir>    Similarity matrix of the files in a directory
 
 Options:
   -t, --text       Analyze text from argument
   -f, --fingerprint  Show fingerprint only
   -r, --rhymes     Show rhyme analysis only
   -s, --structure   Show syllable structure only
-  -h, --help       Show this help`);
+  -l, --line-numbers  Number structure lines as in the source file
+  -p, --phonetic   Analyze the standard pronunciation instead of spelling
+  -n, --numbers    Spell out numbers (3개 → 세 개) so they count as syllables
+  --format <name>  Output json, ndjson, csv or md instead of text
+  --input-format <name>  Read input as srt, vtt, lrc, markdown or text (default: by extension)
+  --romanize <system>  Print each line with its romanization (rr, mr, yale)
+  --fix-keys       Print the text with Hangul typed on a Latin layout restored
+  --layout <2|3>   Keyboard layout for --fix-keys (2-beolsik or 3-beolsik final)
+  --annotate <mode>  Print the text colored by vowel, weight and rhyme (ansi or html)
+  --timing         Per-line speaking and reading time, flagging lines over the cps limit
+  --profile <name>   Speech rate for --timing: conversation (default), news or children
+  --max-cps <n>      Characters-per-second limit for --timing (default from the profile)
+  -h, --help       Show this help
+
+Compare options:
+  --top <k>        List the k most similar files for each file
+  --clusters [k]   Group files into clusters (k clusters, or by similarity)
+  --method <name>  Clustering method: hierarchical (default) or kmeans`);
+  process.exit(0);
+}
+
+if (args[0] === 'compare') {
+  await compareCommand(args.slice(1));
   process.exit(0);
 }
 
-let text;
 const hasFlag = (f) => args.includes(f);
 const flagIdx = (f) => args.indexOf(f);
+const valueFlags = [
+  '-t', '--text', '--romanize', '--layout', '--format', '--annotate', '--input-format', '--profile', '--max-cps'
+];
+const options = { phonetic: hasFlag('-p') || hasFlag('--phonetic'), numbers: hasFlag('-n') || hasFlag('--numbers') };
+const format = hasFlag('--format') ? args[flagIdx('--format') + 1] : 'text';
+
+if (!['text', ...FORMATS].includes(format)) {
+  console.error(`Unknown format: ${format}`);
+  process.exit(1);
+}
+
+const inputFormat = hasFlag('--input-format') ? args[flagIdx('--input-format') + 1] : null;
+if (inputFormat !== null && !['text', ...DOCUMENT_FORMATS].includes(inputFormat)) {
+  console.error(`Unknown input format: ${inputFormat}`);
+  process.exit(1);
+}
+
+// Files and stdin are streamed through the analyzer. Up to MAX_TEXT characters
+// are also kept for the per-line sections; larger input gets the summary only.
+const MAX_TEXT = 8 * 1024 * 1024;
+
+const inputs = [];
 
 if (hasFlag('-t') || hasFlag('--text')) {
   const idx = hasFlag('-t') ? flagIdx('-t') : flagIdx('--text');
-  text = args[idx + 1];
-} else {
-  const file = args.find(a => !a.startsWith('-'));
-  if (file) {
-    text = readFileSync(file, 'utf8');
+  const text = args[idx + 1];
+  if (text && inputFormat && inputFormat !== 'text') {
+    inputs.push(documentInput('text', text, inputFormat));
+  } else if (text) {
+    inputs.push({ source: 'text', raw: text, text: toSyllables(text), analyzer: createAnalyzer(options).push(text).end() });
   }
 }
 
-if (!text) {
+const files = args.filter((a, i) => (a === '-' || !a.startsWith('-')) && !valueFlags.includes(args[i - 1]));
+if (inputs.length === 0 && files.length === 0 && !process.stdin.isTTY) files.push('-');
+for (const file of files) {
+  inputs.push(await readInput(file));
+}
+
+if (inputs.length === 0) {
   console.error('No text provided. Use -t "text" or provide a file path.');
   process.exit(1);
 }
 
+async function readInput(file) {
+  const stream = file === '-' ? process.stdin : createReadStream(file);
+  stream.setEncoding('utf8');
+  stream.on('error', (err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+
+  // Subtitles, lyrics and Markdown are parsed whole, then analyzed as their text
+  const documentFormat = inputFormat || (file === '-' ? 'text' : detectFormat(file));
+  if (documentFormat !== 'text') {
+    let text = '';
+    for await (const chunk of stream) text += chunk;
+    return documentInput(file === '-' ? 'stdin' : file, text, documentFormat);
+  }
+
+  let text = '';
+  async function* keepText() {
+    for await (const chunk of stream) {
+      if (text !== null) text = text.length + chunk.length <= MAX_TEXT ? text + chunk : null;
+      yield chunk;
+    }
+  }
+  const analyzer = await analyzeStream(keepText(), options);
+  // NFD input (e.g. text copied from macOS filenames) is composed for display;
+  // reports get the raw source so positions point into the file as it is
+  return { source: file === '-' ? 'stdin' : file, raw: text, text: text === null ? null : toSyllables(text), analyzer };
+}
+
+function documentInput(source, raw, documentFormat) {
+  const document = analyzeDocument(parseDocument(raw, documentFormat), options);
+  const analyzer = createAnalyzer(options).push(document.text).end();
+  return { source, raw, text: document.text, analyzer, document };
+}
+
+function requireText(input, feature) {
+  if (input.text !== null) return;
+  console.error(`${input.source} is too large for ${feature}; split it into smaller files.`);
+  process.exit(1);
+}
+
+if (hasFlag('--romanize')) {
+  const system = args[flagIdx('--romanize') + 1];
+  try {
+    for (const input of inputs) {
+      requireText(input, '--romanize');
+      for (const line of input.text.split('\n').filter(l => l.trim())) {
+        const roman = romanize(line, { system });
+        console.log(line);
+        console.log(`  ${roman}`);
+      }
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+if (hasFlag('--fix-keys')) {
+  const layout = hasFlag('--layout') ? args[flagIdx('--layout') + 1] : undefined;
+  try {
+    for (const input of inputs) {
+      requireText(input, '--fix-keys');
+      console.log(fixMistyped(input.text, { layout }));
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+if (hasFlag('--annotate')) {
+  const mode = args[flagIdx('--annotate') + 1];
+  if (mode !== 'ansi' && mode !== 'html') {
+    console.error(`Unknown annotation mode: ${mode} (use ansi or html)`);
+    process.exit(1);
+  }
+  for (const input of inputs) {
+    requireText(input, '--annotate');
+    if (mode === 'html') {
+      console.log(renderHTML(input.text, { title: input.source }));
+    } else {
+      if (inputs.length > 1) console.log(`== ${input.source} ==`);
+      console.log(renderANSI(input.text));
+    }
+  }
+  process.exit(0);
+}
+
+if (hasFlag('--timing')) {
+  const timingOptions = {
+    profile: hasFlag('--profile') ? args[flagIdx('--profile') + 1] : undefined,
+    maxCps: hasFlag('--max-cps') ? Number(args[flagIdx('--max-cps') + 1]) : undefined
+  };
+  if (hasFlag('--max-cps') && !(timingOptions.maxCps > 0 && Number.isFinite(timingOptions.maxCps))) {
+    console.error(`Invalid --max-cps: ${args[flagIdx('--max-cps') + 1]} (use a positive number)`);
+    process.exit(1);
+  }
+  if (format !== 'text' && format !== 'json') {
+    console.error('--timing prints text or json');
+    process.exit(1);
+  }
+  let reports;
+  try {
+    reports = inputs.map(input => {
+      requireText(input, '--timing');
+      return { source: input.source, ...timingReport(input.document || input.text, timingOptions) };
+    });
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  if (format === 'json') {
+    console.log(JSON.stringify(reports, null, 2));
+  } else {
+    reports.forEach((report, i) => {
+      if (reports.length > 1) console.log(`${i > 0 ? '\n' : ''}== ${report.source} ==`);
+      printTiming(report);
+    });
+  }
+  process.exit(0);
+}
+
 const fpOnly = hasFlag('-f') || hasFlag('--fingerprint');
 const rhymesOnly = hasFlag('-r') || hasFlag('--rhymes');
 const structOnly = hasFlag('-s') || hasFlag('--structure');
 const showAll = !fpOnly && !rhymesOnly && !structOnly;
 
-if (showAll || fpOnly) {
-  const fp = fingerprint(text);
-  if (!fp) {
-    console.log('No Korean syllables found.');
-    process.exit(0);
+if (format !== 'text') {
+  const sections = showAll ? undefined : [
+    ...(fpOnly ? ['fingerprint'] : []),
+    ...(rhymesOnly ? ['rhymes'] : []),
+    ...(structOnly ? ['structure'] : [])
+  ];
+  const reports = inputs.map(input => createReport({ ...input, text: input.raw }, { ...options, source: input.source, sections }));
+  const table = structOnly ? 'lines' : rhymesOnly ? 'rhymes' : 'summary';
+  console.log(formatReports(reports, format, { table }));
+  process.exit(0);
+}
+
+inputs.forEach((input, i) => {
+  if (inputs.length > 1) console.log(`${i > 0 ? '\n' : ''}== ${input.source} ==`);
+  printText(input);
+});
+
+function printText({ text, analyzer, document }) {
+  const result = analyzer.result();
+
+  if (showAll || fpOnly) {
+    const fp = analyzer.fingerprint();
+    if (!fp) {
+      console.log('No Korean syllables found.');
+      return;
+    }
+
+    console.log(`음절: ${fp.totalSyllables}`);
+    console.log(`밝기: ${fp.brightness > 0 ? '+' : ''}${fp.brightness} (${fp.brightness > 0 ? '양성' : fp.brightness < 0 ? '음성' : '균형'})`);
+    console.log(`무게: ${fp.weight} (${fp.weight > 0.5 ? '무거움' : fp.weight > 0.3 ? '중간' : '가벼움'})`);
+    console.log(`리듬: ${fp.rhythmRegularity} (${fp.rhythmRegularity > 0.7 ? '규칙적' : fp.rhythmRegularity > 0.4 ? '보통' : '불규칙'})`);
+    console.log(`자음 다양성: ${fp.consonantDiversity}`);
+    console.log(`모음 다양성: ${fp.vowelDiversity}`);
+    console.log(`긴장도: ${fp.tensionRatio} (경음·격음) / 공명도: ${fp.sonorityRatio} (ㄴㄹㅁㅇ)`);
+    console.log(`대표음: ${fp.topCho.join('')} / ${fp.topJung.join('')}`);
+
+    if (fpOnly) return;
+    console.log();
   }
 
-  console.log(`음절: ${fp.totalSyllables}`);
-  console.log(`밝기: ${fp.brightness > 0 ? '+' : ''}${fp.brightness} (${fp.brightness > 0 ? '양성' : fp.brightness < 0 ? '음성' : '균형'})`);
-  console.log(`무게: ${fp.weight} (${fp.weight > 0.5 ? '무거움' : fp.weight > 0.3 ? '중간' : '가벼움'})`);
-  console.log(`리듬: ${fp.rhythmRegularity} (${fp.rhythmRegularity > 0.7 ? '규칙적' : fp.rhythmRegularity > 0.4 ? '보통' : '불규칙'})`);
-  console.log(`자음 다양성: ${fp.consonantDiversity}`);
-  console.log(`모음 다양성: ${fp.vowelDiversity}`);
-  console.log(`대표음: ${fp.topCho.join('')} / ${fp.topJung.join('')}`);
+  if (showAll) {
+    console.log(`받침: ${result.withJong}/${result.totalSyllables} (${(result.jongRatio * 100).toFixed(1)}%)`);
+    console.log(`모음: 양성 ${result.vowelHarmony.bright}, 음성 ${result.vowelHarmony.dark}, 중성 ${result.vowelHarmony.neutral}`);
+    const { tension, place } = result.articulation;
+    const percent = (share) => `${(share * 100).toFixed(1)}%`;
+    console.log(`계열: 평음 ${percent(tension.lax)}, 경음 ${percent(tension.tense)}, 격음 ${percent(tension.aspirated)}`);
+    const places = Object.entries(place).filter(([, v]) => v > 0).sort((a, b) => b[1] - a[1]);
+    console.log(`조음 위치: ${places.map(([k, v]) => `${PLACE_NAMES[k]} ${percent(v)}`).join(', ')}`);
 
-  if (fpOnly) process.exit(0);
+    const topCho = Object.entries(result.choFreq).slice(0, 5);
+    console.log(`\n초성: ${topCho.map(([k, v]) => `${k}(${v})`).join(' ')}`);
+    const topJung = Object.entries(result.jungFreq).slice(0, 5);
+    console.log(`중성: ${topJung.map(([k, v]) => `${k}(${v})`).join(' ')}`);
+    console.log();
+  }
+
+  if (showAll || rhymesOnly) {
+    const top = Object.entries(result.rhymes).slice(0, 8);
+    if (top.length > 0) {
+      console.log('운율:');
+      for (const [ending, { count, syllables }] of top) {
+        console.log(`  [${ending}] ${syllables.join(' ')} (${count})`);
+      }
+      console.log();
+    }
+
+    const scheme = text !== null ? rhymeScheme(text, options) : null;
+    if (scheme && scheme.lines.length > 1) {
+      console.log(`각운: ${scheme.scheme}`);
+      for (const line of scheme.lines) {
+        const match = line.match ? ` (${line.match} ${line.strength})` : '';
+        console.log(`  ${line.label}  ${line.text}${match}`);
+      }
+      for (const { sound, lines } of scheme.headRhyme) {
+        console.log(`두운: ${sound} (${lines.map(i => i + 1).join(', ')}행)`);
+      }
+      console.log();
+    }
+  }
+
+  if (document && (showAll || structOnly)) printUnits(document);
+
+  if (text === null) {
+    if (showAll || structOnly) console.log('(input too large for the per-line sections)');
+  } else if (showAll || structOnly) {
+    const lineNumbers = hasFlag('-l') || hasFlag('--line-numbers');
+    const lines = text.split('\n');
+    // Numbers count blank lines too, so they match the source file. Document
+    // text is the units' lines, numbered where each came from in the source.
+    const sourceLines = document ? document.units.flatMap(u => u.lines) : lines.map((_, i) => i + 1);
+    const numberWidth = String(Math.max(0, ...sourceLines)).length;
+    console.log('구조:');
+    lines.forEach((raw, i) => {
+      const line = raw.replace(/\r$/, '');
+      if (!line.trim()) return;
+      const clean = line.replace(/\s/g, '');
+      const struct = structuralPattern(line, options);
+      const count = [...clean].filter(ch => {
+        const c = ch.charCodeAt(0);
+        return c >= 0xAC00 && c <= 0xD7A3;
+      }).length;
+      const number = lineNumbers ? `${String(sourceLines[i]).padStart(numberWidth)}: ` : '';
+      console.log(`  ${number}[${String(count).padStart(2)}] ${line}`);
+      console.log(`  ${' '.repeat(number.length)}     ${struct}`);
+    });
+  }
+}
+
+// Cues, lyric lines or paragraphs with their syllable counts and, when timed, speed
+function printUnits({ format, units, timing }) {
+  console.log(`단위 (${format}, ${units.length}):`);
+  for (const unit of units) {
+    const where = unit.start !== null ? formatTime(unit.start) : `${unit.line}행`;
+    const speed = unit.syllablesPerSecond !== null ? ` ${unit.duration}초 ${unit.syllablesPerSecond}음절/초` : '';
+    console.log(`  ${where.padStart(9)} [${String(unit.syllables).padStart(2)}]${speed}  ${unit.text.replace(/\n/g, ' / ')}`);
+  }
+  if (timing && timing.syllablesPerSecond !== null) {
+    const fastest = units[timing.fastest];
+    console.log(`발화 속도: ${timing.syllablesPerSecond}음절/초 (최고 ${timing.maxSyllablesPerSecond}, ${formatTime(fastest.start)})`);
+  }
   console.log();
 }
 
-if (showAll) {
-  const result = analyze(text);
-  console.log(`받침: ${result.withJong}/${result.totalSyllables} (${(result.jongRatio * 100).toFixed(1)}%)`);
-  console.log(`모음: 양성 ${result.vowelHarmony.bright}, 음성 ${result.vowelHarmony.dark}, 중성 ${result.vowelHarmony.neutral}`);
+// One row per line: where it is, its size and speed, and its flags (!)
+function printTiming({ profile, maxCps, lines, flagged, total }) {
+  const FLAG_NAMES = { cps: '자막 속도 초과', speech: '발화 시간 초과' };
+  console.log(`시간 (${profile}, 최대 ${maxCps}자/초):`);
+  for (const l of lines) {
+    const where = l.start !== null ? formatTime(l.start) : `${l.line ?? ''}행`;
+    const slot = l.duration !== null ? ` ${l.duration}초 ${l.cps}자/초` : '';
+    const flags = l.flags.length ? `  ! ${l.flags.map(f => FLAG_NAMES[f]).join(', ')}` : '';
+    console.log(`  ${where.padStart(8)}${slot} ${l.characters}자 발화 ${l.speakingTime}초 읽기 ${l.readingTime}초  ${l.text.replace(/\n/g, ' / ')}${flags}`);
+  }
+  console.log(`합계: 발화 ${total.speakingTime}초, 읽기 ${total.readingTime}초`);
+  if (total.readability) console.log(`가독성: ${total.readability.score} (${total.readability.level})`);
+  console.log(`초과: ${flagged}/${lines.length}행`);
+}
 
-  const topCho = Object.entries(result.choFreq).slice(0, 5);
-  console.log(`\n초성: ${topCho.map(([k, v]) => `${k}(${v})`).join(' ')}`);
-  const topJung = Object.entries(result.jungFreq).slice(0, 5);
-  console.log(`중성: ${topJung.map(([k, v]) => `${k}(${v})`).join(' ')}`);
-  console.log();
+function formatTime(seconds) {
+  const m = Math.floor(seconds / 60);
+  const s = (seconds - m * 60).toFixed(2).padStart(5, '0');
+  return `${String(m).padStart(2, '0')}:${s}`;
 }
 
-if (showAll || rhymesOnly) {
-  const rhymes = findRhymes(text);
-  const top = Object.entries(rhymes).slice(0, 8);
-  if (top.length > 0) {
-    console.log('운율:');
-    for (const [ending, chars] of top) {
-      const unique = [...new Set(chars)];
-      console.log(`  [${ending}] ${unique.join(' ')} (${chars.length})`);
+/**
+ * compare <dir>: fingerprint every file once (streamed), then print the
+ * similarity matrix, each file's nearest neighbours, or clusters
+ */
+async function compareCommand(args) {
+  const hasFlag = (f) => args.includes(f);
+  const valueOf = (f) => args[args.indexOf(f) + 1];
+  const valueFlags = ['--top', '--method'];
+  // The cluster count is optional, so only a number after --clusters is its value
+  const isValue = (a, i) => valueFlags.includes(args[i - 1]) || (args[i - 1] === '--clusters' && /^\d+$/.test(a));
+  const dir = args.find((a, i) => !a.startsWith('-') && !isValue(a, i));
+  if (!dir) {
+    console.error('Usage: hangul-analyzer compare <dir> [--top <k>] [--clusters [k]] [--method <name>]');
+    process.exit(1);
+  }
+
+  const options = { phonetic: hasFlag('-p') || hasFlag('--phonetic'), numbers: hasFlag('-n') || hasFlag('--numbers') };
+  let files;
+  try {
+    files = readdirSync(dir).sort().filter(name => statSync(join(dir, name)).isFile());
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  const documents = [];
+  for (const name of files) {
+    const stream = createReadStream(join(dir, name), 'utf8');
+    const analyzer = await analyzeStream(stream, options);
+    documents.push({ id: name, fingerprint: analyzer.fingerprint() });
+  }
+  const corpus = createCorpus(documents, options);
+
+  if (hasFlag('--top')) {
+    const k = Number(valueOf('--top')) || 3;
+    for (const { id, fingerprint } of corpus.documents) {
+      if (!fingerprint) continue;
+      const hits = corpus.neighbours(id, { k });
+      console.log(`${id}: ${hits.map(h => `${h.id} (${h.similarity})`).join(', ')}`);
     }
-    console.log();
+    return;
   }
-}
 
-if (showAll || structOnly) {
-  const lines = text.split('\n').filter(l => l.trim());
-  console.log('구조:');
-  for (const line of lines) {
-    const clean = line.replace(/\s/g, '');
-    const struct = structuralPattern(clean);
-    const count = [...clean].filter(ch => {
-      const c = ch.charCodeAt(0);
-      return c >= 0xAC00 && c <= 0xD7A3;
-    }).length;
-    console.log(`  [${String(count).padStart(2)}] ${line}`);
-    console.log(`       ${struct}`);
+  if (hasFlag('--clusters') || hasFlag('--method')) {
+    const k = hasFlag('--clusters') ? Number(valueOf('--clusters')) || undefined : undefined;
+    const method = hasFlag('--method') ? valueOf('--method') : undefined;
+    let result;
+    try {
+      result = corpus.cluster({ method, k });
+    } catch (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
+    result.clusters.forEach((cluster, i) => {
+      console.log(`군집 ${i + 1} (응집도 ${cluster.cohesion}):`);
+      for (const id of cluster.ids) console.log(`  ${id}`);
+    });
+    if (result.skipped.length) console.log(`한글 없음: ${result.skipped.join(', ')}`);
+    return;
   }
+
+  // Matrix, with files numbered so columns stay narrow
+  const { ids, rows } = corpus.matrix();
+  ids.forEach((id, i) => console.log(`${String(i + 1).padStart(3)}  ${id}`));
+  console.log();
+  console.log('     ' + ids.map((id, i) => String(i + 1).padStart(6)).join(''));
+  rows.forEach((row, i) => {
+    const cells = row.map(v => (v === null ? '-' : v.toFixed(3)).padStart(6));
+    console.log(String(i + 1).padStart(3) + '  ' + cells.join(''));
+  });
 }
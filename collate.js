@@ -0,0 +1,172 @@
+/**
+ * Korean Collation
+ *
+ * Dictionary order compares words jamo by jamo: initial, then vowel, then
+ * final, syllable after syllable. Sort keys are plain strings, so the order
+ * is the same in every runtime, unlike localeCompare.
+ *
+ *   south (표준국어대사전)   ㄱ ㄲ ㄴ ㄷ ㄸ ㄹ ㅁ ㅂ ㅃ ㅅ ㅆ ㅇ ㅈ ㅉ ㅊ ㅋ ㅌ ㅍ ㅎ
+ *                          ㅏ ㅐ ㅑ ㅒ ㅓ ㅔ ㅕ ㅖ ㅗ ㅘ ㅙ ㅚ ㅛ ㅜ ㅝ ㅞ ㅟ ㅠ ㅡ ㅢ ㅣ
+ *   north (조선말 규범집)    ㄱ ㄴ ㄷ ㄹ ㅁ ㅂ ㅅ ㅈ ㅊ ㅋ ㅌ ㅍ ㅎ ㄲ ㄸ ㅃ ㅆ ㅉ ㅇ
+ *                          ㅏ ㅑ ㅓ ㅕ ㅗ ㅛ ㅜ ㅠ ㅡ ㅣ ㅐ ㅒ ㅔ ㅖ ㅚ ㅟ ㅢ ㅘ ㅝ ㅙ ㅞ
+ *
+ * In the north order ㅇ as an initial is silent and sorts after the doubled
+ * consonants; as a final it keeps its place among the consonants.
+ * Spaces and punctuation are ignored, as in printed dictionaries; words
+ * that differ only there fall back to code point order.
+ */
+
+import { CHOSEONG, JUNGSEONG, JONGSEONG, decompose, toSyllables } from './hangul.js';
+
+const ORDERS = {
+  south: {
+    cho: CHOSEONG,
+    jung: JUNGSEONG,
+    jong: JONGSEONG.slice(1)
+  },
+  north: {
+    cho: ['ㄱ', 'ㄴ', 'ㄷ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅅ', 'ㅈ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ', 'ㄲ', 'ㄸ', 'ㅃ', 'ㅆ', 'ㅉ', 'ㅇ'],
+    jung: ['ㅏ', 'ㅑ', 'ㅓ', 'ㅕ', 'ㅗ', 'ㅛ', 'ㅜ', 'ㅠ', 'ㅡ', 'ㅣ', 'ㅐ', 'ㅒ', 'ㅔ', 'ㅖ', 'ㅚ', 'ㅟ', 'ㅢ', 'ㅘ', 'ㅝ', 'ㅙ', 'ㅞ'],
+    jong: [
+      'ㄱ', 'ㄳ', 'ㄴ', 'ㄵ', 'ㄶ', 'ㄷ', 'ㄹ', 'ㄺ', 'ㄻ', 'ㄼ', 'ㄽ', 'ㄾ', 'ㄿ', 'ㅀ',
+      'ㅁ', 'ㅂ', 'ㅄ', 'ㅅ', 'ㅇ', 'ㅈ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ', 'ㄲ', 'ㅆ'
+    ]
+  }
+};
+
+const DOUBLED = { 'ㄲ': 'ㄱ', 'ㄸ': 'ㄷ', 'ㅃ': 'ㅂ', 'ㅆ': 'ㅅ', 'ㅉ': 'ㅈ' };
+
+// Character classes, in order, for { others: 'before' } and { others: 'after' }
+const CLASS_ORDER = {
+  before: { digit: '1', latin: '2', hangul: '3', other: '4' },
+  after: { hangul: '1', digit: '2', latin: '3', other: '4' }
+};
+
+const IGNORED = /[\p{P}\p{Z}\s]/u;
+
+/**
+ * Build a collator. Options:
+ *   order   'south' (default) or 'north'
+ *   others  'before' (default) puts digits and Latin letters ahead of Hangul,
+ *           'after' puts them behind it
+ *
+ * Returns { sortKey, compare, groupByInitial } using those options.
+ */
+function createCollator(options = {}) {
+  const order = ORDERS[options.order || 'south'];
+  if (!order) throw new Error(`Unknown collation order: ${options.order}`);
+  const classes = CLASS_ORDER[options.others || 'before'];
+  if (!classes) throw new Error(`Unknown placement for non-Hangul: ${options.others}`);
+
+  const rank = {
+    cho: rankTable(order.cho),
+    jung: rankTable(order.jung),
+    jong: rankTable(order.jong)
+  };
+
+  // Four characters per collation unit: class, then initial, vowel and final ranks
+  function sortKey(text) {
+    let key = '';
+    for (const ch of toSyllables(String(text))) {
+      if (IGNORED.test(ch)) continue;
+      const d = decompose(ch);
+      if (d) {
+        key += classes.hangul + rank.cho[d.cho] + rank.jung[d.jung] + (d.jong ? rank.jong[d.jong] : RANK_NONE);
+      } else if (rank.cho[ch]) {
+        key += classes.hangul + rank.cho[ch] + RANK_NONE + RANK_NONE;
+      } else if (rank.jung[ch]) {
+        key += classes.hangul + RANK_NONE + rank.jung[ch] + RANK_NONE;
+      } else {
+        const folded = ch.toLowerCase();
+        const cls = /\d/.test(ch) ? classes.digit : /[a-z]/.test(folded) ? classes.latin : classes.other;
+        key += cls + folded.padEnd(3, '\0');
+      }
+    }
+    return key;
+  }
+
+  function compare(a, b) {
+    const ka = sortKey(a);
+    const kb = sortKey(b);
+    if (ka !== kb) return ka < kb ? -1 : 1;
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  /**
+   * Sort a list and bucket it under the initial consonant of its first
+   * syllable: [{ heading: 'ㄱ', items }, …]. Words starting with a Latin
+   * letter go under that letter in capitals, anything else under '#'.
+   * Options: { mergeDoubled: true } files ㄲ under ㄱ, ㄸ under ㄷ and so on;
+   * key: a function or property name when the list holds objects.
+   */
+  function groupByInitial(list, groupOptions = {}) {
+    const key = typeof groupOptions.key === 'function' ? groupOptions.key
+      : groupOptions.key ? (item) => item[groupOptions.key]
+      : (item) => item;
+
+    const sorted = [...list].sort((a, b) => compare(String(key(a)), String(key(b))));
+    const groups = [];
+    for (const item of sorted) {
+      const heading = headingOf(String(key(item)), groupOptions.mergeDoubled);
+      if (groups.length === 0 || groups.at(-1).heading !== heading) groups.push({ heading, items: [] });
+      groups.at(-1).items.push(item);
+    }
+    // Merged headings can interleave in the north order (ㄲ sorts after ㅎ)
+    if (groupOptions.mergeDoubled) return mergeRuns(groups);
+    return groups;
+  }
+
+  return { sortKey, compare, groupByInitial };
+}
+
+/**
+ * Collation key for a text; compare keys with < or sort them as strings
+ */
+function sortKey(text, options = {}) {
+  return createCollator(options).sortKey(text);
+}
+
+/**
+ * Compare two strings in Korean dictionary order, for Array#sort
+ */
+function compareKorean(a, b, options = {}) {
+  return createCollator(options).compare(a, b);
+}
+
+/**
+ * Sort a list and group it under ㄱ, ㄴ, ㄷ … headings (see createCollator)
+ */
+function groupByInitial(list, options = {}) {
+  return createCollator(options).groupByInitial(list, options);
+}
+
+const RANK_NONE = String.fromCharCode(0x40);
+
+// Letters to single-character ranks after RANK_NONE
+function rankTable(letters) {
+  return Object.fromEntries(letters.map((letter, i) => [letter, String.fromCharCode(0x41 + i)]));
+}
+
+function headingOf(text, mergeDoubled) {
+  for (const ch of toSyllables(text)) {
+    if (IGNORED.test(ch)) continue;
+    const d = decompose(ch);
+    const initial = d ? d.cho : CHOSEONG.includes(ch) ? ch : null;
+    if (initial) return mergeDoubled ? DOUBLED[initial] || initial : initial;
+    return /[a-z]/i.test(ch) ? ch.toUpperCase() : '#';
+  }
+  return '#';
+}
+
+// Join groups that share a heading, keeping the first one's position
+function mergeRuns(groups) {
+  const byHeading = new Map();
+  for (const group of groups) {
+    const existing = byHeading.get(group.heading);
+    if (existing) existing.items.push(...group.items);
+    else byHeading.set(group.heading, group);
+  }
+  return [...byHeading.values()];
+}
+
+export { createCollator, sortKey, compareKorean, groupByInitial };
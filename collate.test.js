@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCollator, sortKey, compareKorean, groupByInitial } from './collate.js';
+
+const WORDS = ['하늘', '까치', '가방', '나무', '아이', '각', '가', '꿈', '오이', '와인', '애기', 'apple', 'Zebra', '2월'];
+
+describe('compareKorean', () => {
+  it('sorts in South Korean dictionary order by default', () => {
+    assert.deepEqual([...WORDS].sort(compareKorean), [
+      '2월', 'apple', 'Zebra', '가', '가방', '각', '까치', '꿈', '나무', '아이', '애기', '오이', '와인', '하늘'
+    ]);
+  });
+
+  it('supports the North Korean order', () => {
+    const north = (a, b) => compareKorean(a, b, { order: 'north' });
+    assert.deepEqual(['까치', '하늘', '가방', '아이', '나무'].sort(north), ['가방', '나무', '하늘', '까치', '아이']);
+    assert.deepEqual(['와인', '애기', '오이', '우유'].sort(north), ['오이', '우유', '애기', '와인']);
+    assert.deepEqual(['값', '갓', '갔'].sort(north), ['값', '갓', '갔']);
+  });
+
+  it('places digits and Latin letters before or after Hangul', () => {
+    const after = (a, b) => compareKorean(a, b, { others: 'after' });
+    assert.deepEqual(['apple', '가', '2월', 'Zebra'].sort(after), ['가', '2월', 'apple', 'Zebra']);
+    assert.throws(() => compareKorean('a', 'b', { others: 'middle' }), /Unknown placement/);
+    assert.throws(() => compareKorean('a', 'b', { order: 'east' }), /Unknown collation order/);
+  });
+
+  it('puts shorter words and lone jamo first', () => {
+    assert.ok(compareKorean('가', '가나') < 0);
+    assert.ok(compareKorean('ㄱ', '가') < 0);
+    assert.ok(compareKorean('가', '각') < 0);
+  });
+
+  it('ignores spaces and punctuation, then breaks ties by code point', () => {
+    assert.ok(compareKorean('한국 어', '한국사') > 0);
+    assert.equal(compareKorean('한국어', '한국어'), 0);
+    assert.ok(compareKorean('한국-어', '한국어') !== 0);
+  });
+
+  it('composes conjoining jamo first', () => {
+    assert.equal(sortKey('가'), sortKey('가'));
+  });
+});
+
+describe('sortKey', () => {
+  it('orders as plain strings', () => {
+    const keys = WORDS.map(w => [sortKey(w), w]).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    assert.deepEqual(keys.map(([, w]) => w), [...WORDS].sort(compareKorean));
+  });
+});
+
+describe('groupByInitial', () => {
+  it('buckets words under their initial consonant', () => {
+    const groups = groupByInitial(['나무', '가방', '까치', '각', 'apple', '2월']);
+    assert.deepEqual(groups, [
+      { heading: '#', items: ['2월'] },
+      { heading: 'A', items: ['apple'] },
+      { heading: 'ㄱ', items: ['가방', '각'] },
+      { heading: 'ㄲ', items: ['까치'] },
+      { heading: 'ㄴ', items: ['나무'] }
+    ]);
+  });
+
+  it('merges doubled consonants into their plain heading', () => {
+    const groups = groupByInitial(['까치', '가방', '하늘'], { mergeDoubled: true, order: 'north' });
+    assert.deepEqual(groups, [
+      { heading: 'ㄱ', items: ['가방', '까치'] },
+      { heading: 'ㅎ', items: ['하늘'] }
+    ]);
+  });
+
+  it('groups objects by a key', () => {
+    const entries = [{ term: '사과' }, { term: '배' }];
+    const groups = createCollator().groupByInitial(entries, { key: 'term' });
+    assert.deepEqual(groups.map(g => g.heading), ['ㅂ', 'ㅅ']);
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * Conjugation (활용)
+ *
+ * Attaches an ending to a verb or adjective stem the way 모음조화 and the
+ * irregular classes require:
+ *
+ *   아/어 endings   먹 + 어요 → 먹어요, 보 + 아요 → 봐요, 하 + 여요 → 해요
+ *   (으) endings    먹 + (으)면 → 먹으면, 가 + (으)면 → 가면
+ *   other endings   먹 + 는데 → 먹는데, 살 + 는데 → 사는데 (ㄹ drops)
+ *
+ * Irregular stems (불규칙 활용):
+ *   ㅂ  덥 + 어 → 더워, 돕 + 아 → 도와        ㄷ  듣 + 어 → 들어
+ *   ㅅ  낫 + 아 → 나아                       ㅎ  파랗 + 아 → 파래
+ *   르  부르 + 어 → 불러                     러  푸르 + 어 → 푸르러
+ *   우  푸 + 어 → 퍼
+ *
+ * The copula 이다 and its negative 아니다 do not contract and take 에요:
+ * 이 + 어요 → 이에요, 아니 + 었다 → 아니었다, 이 + 는데 → 인데.
+ *
+ * Whether a stem is irregular is not visible in its spelling (입다 is regular,
+ * 덥다 is not), so a lexicon of common stems decides, and { irregular }
+ * overrides it.
+ */
+
+import { decompose, compose, isSyllable } from './hangul.js';
+
+// Stems, matched by their ending, that do not follow the default for their final
+const REGULAR_B = ['입', '잡', '씹', '좁', '뽑', '업', '접', '집', '수줍'];
+const IRREGULAR_D = ['듣', '걷', '묻', '싣', '깨닫', '붇', '긷', '일컫'];
+const IRREGULAR_S = ['낫', '짓', '잇', '붓', '젓', '긋', '잣'];
+const REGULAR_H = ['좋', '놓', '넣', '낳', '닿', '쌓', '땋', '빻', '찧'];
+const IRREGULAR_REO = ['푸르', '노르'];
+const REGULAR_REU = ['따르', '치르', '들르', '우러르', '다다르'];
+// 돕다 and 곱다 keep 오 (도와); every other ㅂ stem takes 우 (더워, 가까워)
+const B_TO_O = ['돕', '곱'];
+
+const COPULAS = ['이', '아니'];
+
+// Endings that attach to the stem as written, matched by their start:
+// 먹 + 고 싶다, 먹 + 겠습니다
+const CONSONANT_ENDINGS = [
+  '고', '는', '지', '죠', '게', '겠', '기', '던', '도록', '자', '거나', '거든', '네', '다', '든', '더'
+];
+
+const IRREGULAR_TYPES = ['ㅂ', 'ㄷ', 'ㅅ', 'ㅎ', '르', '러', '우'];
+
+// Vowel contraction of a stem-final vowel with 아/어: 보 + 아 → 봐
+const CONTRACTIONS = {
+  'ㅏ': 'ㅏ', 'ㅓ': 'ㅓ', 'ㅕ': 'ㅕ', 'ㅐ': 'ㅐ', 'ㅔ': 'ㅔ',
+  'ㅗ': 'ㅘ', 'ㅜ': 'ㅝ', 'ㅣ': 'ㅕ', 'ㅚ': 'ㅙ'
+};
+
+// ㄹ drops before these initials (ㄹ 탈락): 살 + 는 → 사는, 살 + 세요 → 사세요
+const L_DROPPING = ['ㄴ', 'ㅂ', 'ㅅ', 'ㄹ'];
+
+/**
+ * Which irregular class a stem belongs to ('ㅂ', 'ㄷ', 'ㅅ', 'ㅎ', '르', '러',
+ * '우'), or null when it conjugates regularly. Accepts 먹 or 먹다.
+ */
+function irregularType(stem) {
+  stem = normalizeStem(stem);
+  const last = decompose(stem.at(-1));
+  const endsWith = (list) => list.some(s => stem.endsWith(s));
+
+  if (stem === '푸') return '우';
+  if (last.jong === 'ㅂ') return endsWith(REGULAR_B) ? null : 'ㅂ';
+  if (last.jong === 'ㄷ') return endsWith(IRREGULAR_D) ? 'ㄷ' : null;
+  if (last.jong === 'ㅅ') return endsWith(IRREGULAR_S) ? 'ㅅ' : null;
+  if (last.jong === 'ㅎ') return endsWith(REGULAR_H) ? null : 'ㅎ';
+  if (last.syllable === '르' && stem.length > 1) {
+    if (endsWith(IRREGULAR_REO)) return '러';
+    return endsWith(REGULAR_REU) ? null : '르';
+  }
+  return null;
+}
+
+/**
+ * Attach an ending to a stem: conjugate('먹다', '어요') → '먹어요'.
+ *
+ * Endings are written with their first form, a slash pair or (으):
+ *   아요, 어요, 아/어요, 았다, 아서  …   vowel harmony picks 아, 어 or 여
+ *   (으)면, (으)니까, (으)ㄴ데, (으)ㄹ까요, (으)세요  …
+ *   습니다/ㅂ니다 (either form), 는데, 고, 지만, 겠다  …
+ *
+ * A (으) ending may also be written without it: ㄴ데, ㄹ까요, ㅂ시다. Anything
+ * else throws, as the result would be a guess.
+ *
+ * Options:
+ *   irregular  an irregular class to use instead of the lexicon's, or false
+ *   adjective  true turns 는데 and 는 into (으)ㄴ데 and (으)ㄴ: 큰데, 큰
+ */
+function conjugate(stem, ending, options = {}) {
+  stem = normalizeStem(stem);
+  ending = String(ending).trim().replace(/^-/, '');
+  const copula = COPULAS.includes(stem);
+  const type = options.irregular === undefined ? irregularType(stem)
+    : options.irregular || null;
+  if (type && !IRREGULAR_TYPES.includes(type)) throw new Error(`Unknown irregular class: ${type}`);
+
+  if (options.adjective || copula) ending = ending.replace(/^는(데)?/, '(으)ㄴ$1');
+
+  const vowelEnding = ending.match(/^(?:아\/어|어\/아|[아어여])(.*)$|^(?:았\/었|었\/았|[았었였])(.*)$/);
+  if (vowelEnding) {
+    const past = vowelEnding[2] !== undefined;
+    if (copula) return attachCopula(stem, past, past ? vowelEnding[2] : vowelEnding[1]);
+    return attachVowel([...stem], type, past ? 'ㅆ' : '', past ? vowelEnding[2] : vowelEnding[1]);
+  }
+
+  const formal = ending.match(/^(?:\(스\)ㅂ|습\/ㅂ|ㅂ\/습|습|ㅂ)(니.*)$/);
+  if (formal) return attachFormal([...stem], formal[1]);
+
+  const euEnding = ending.match(/^\(?으\)?(.+)$|^([ㄴㄹㅁㅂ].*)$/);
+  if (euEnding) return attachEu([...stem], type, euEnding[1] ?? euEnding[2]);
+
+  if (CONSONANT_ENDINGS.some(e => ending.startsWith(e))) return attachConsonant([...stem], ending);
+  throw new Error(`Unknown ending: ${ending}`);
+}
+
+// 이다 and 아니다 keep their vowel: 이에요, 이었다, 아니어서
+function attachCopula(stem, past, rest) {
+  if (!past && rest.startsWith('요')) return `${stem}에${rest}`;
+  return `${stem}${past ? '었' : '어'}${rest}`;
+}
+
+// 아/어 endings: jong is ㅆ for the past (았/었) and '' otherwise
+function attachVowel(syllables, type, jong, rest) {
+  const last = decompose(syllables.at(-1));
+  const vowel = harmony(syllables);
+  const keepsO = B_TO_O.some(s => syllables.join('').endsWith(s));
+  const replaceLast = (cho, jung, final = '') => { syllables[syllables.length - 1] = compose(cho, jung, final); };
+  const append = (cho, jung) => syllables.push(compose(cho, jung, jong));
+
+  if (last.syllable === '하') {
+    replaceLast('ㅎ', 'ㅐ', jong);
+  } else if (type === 'ㅂ') {
+    replaceLast(last.cho, last.jung);
+    append('ㅇ', keepsO ? 'ㅘ' : 'ㅝ');
+  } else if (type === 'ㄷ') {
+    replaceLast(last.cho, last.jung, 'ㄹ');
+    append('ㅇ', vowel);
+  } else if (type === 'ㅅ') {
+    replaceLast(last.cho, last.jung);
+    append('ㅇ', vowel);
+  } else if (type === 'ㅎ') {
+    const jung = last.jung === 'ㅑ' || last.jung === 'ㅕ' ? 'ㅒ' : 'ㅐ';
+    replaceLast(last.cho, jung, jong);
+  } else if (type === '르') {
+    const before = decompose(syllables.at(-2));
+    syllables[syllables.length - 2] = compose(before.cho, before.jung, 'ㄹ');
+    replaceLast('ㄹ', vowel, jong);
+  } else if (type === '러') {
+    append('ㄹ', 'ㅓ');
+  } else if (type === '우') {
+    replaceLast(last.cho, 'ㅓ', jong);
+  } else if (last.jong) {
+    append('ㅇ', vowel);
+  } else if (last.jung === 'ㅡ') {
+    // 으 drops: 쓰 + 어 → 써, 바쁘 + 아 → 바빠
+    replaceLast(last.cho, vowel, jong);
+  } else if (CONTRACTIONS[last.jung]) {
+    replaceLast(last.cho, CONTRACTIONS[last.jung], jong);
+  } else {
+    append('ㅇ', vowel);
+  }
+  return syllables.join('') + rest;
+}
+
+// (으) endings: 으 appears only after a consonant
+function attachEu(syllables, type, rest) {
+  const last = decompose(syllables.at(-1));
+  const replaceLast = (jong) => { syllables[syllables.length - 1] = compose(last.cho, last.jung, jong); };
+
+  if (type === 'ㅂ') {
+    // 우 here even for 돕다: 도우면
+    replaceLast('');
+    syllables.push('우');
+  } else if (type === 'ㄷ') {
+    replaceLast('ㄹ');
+    syllables.push('으');
+  } else if (type === 'ㅅ') {
+    replaceLast('');
+    syllables.push('으');
+  } else if (type === 'ㅎ') {
+    replaceLast('');
+  } else if (last.jong === 'ㄹ') {
+    // No 으 after ㄹ, which drops before ㄴ ㅂ ㅅ ㄹ: 살 + 니까 → 사니까
+    if (L_DROPPING.includes(initialOf(rest))) replaceLast('');
+  } else if (last.jong) {
+    syllables.push('으');
+  }
+  return attach(syllables, rest);
+}
+
+// 습니다 after a consonant, ㅂ니다 after a vowel or a dropped ㄹ
+function attachFormal(syllables, rest) {
+  const last = decompose(syllables.at(-1));
+  if (last.jong && last.jong !== 'ㄹ') return `${syllables.join('')}습${rest}`;
+  syllables[syllables.length - 1] = compose(last.cho, last.jung, 'ㅂ');
+  return syllables.join('') + rest;
+}
+
+function attachConsonant(syllables, ending) {
+  const last = decompose(syllables.at(-1));
+  if (last.jong === 'ㄹ' && L_DROPPING.includes(initialOf(ending))) {
+    syllables[syllables.length - 1] = compose(last.cho, last.jung);
+  }
+  return attach(syllables, ending);
+}
+
+// Append rest; a leading jamo (ㄴ, ㄹ, ㅂ, ㅁ) becomes the final of the open last syllable
+function attach(syllables, rest) {
+  const first = rest[0];
+  if (first && !isSyllable(first)) {
+    const last = decompose(syllables.at(-1));
+    const syllable = last && !last.jong ? compose(last.cho, last.jung, first) : null;
+    if (syllable) {
+      syllables[syllables.length - 1] = syllable;
+      return syllables.join('') + rest.slice(1);
+    }
+  }
+  return syllables.join('') + rest;
+}
+
+// 아 after ㅏ or ㅗ (and ㅑ), 어 otherwise; 르 and 으 stems look one syllable back
+function harmony(syllables) {
+  let d = decompose(syllables.at(-1));
+  if (d.jung === 'ㅡ' && !d.jong) {
+    if (syllables.length === 1) return 'ㅓ';
+    d = decompose(syllables.at(-2));
+  }
+  return d.jung === 'ㅏ' || d.jung === 'ㅗ' || d.jung === 'ㅑ' ? 'ㅏ' : 'ㅓ';
+}
+
+// Initial consonant of an ending: the jamo itself, or its first syllable's 초성
+function initialOf(text) {
+  const d = decompose(text[0]);
+  return d ? d.cho : text[0];
+}
+
+function normalizeStem(stem) {
+  stem = String(stem).trim();
+  if (stem.length > 1 && stem.endsWith('다')) stem = stem.slice(0, -1);
+  if (!stem || !isSyllable(stem.at(-1))) throw new Error(`Not a verb stem: ${stem}`);
+  return stem;
+}
+
+export { conjugate, irregularType };
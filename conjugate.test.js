@@ -0,0 +1,119 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { conjugate, irregularType } from './conjugate.js';
+
+const table = (rows, options) => rows.forEach(([stem, ending, expected]) => {
+  assert.equal(conjugate(stem, ending, options), expected, `${stem} + ${ending}`);
+});
+
+describe('conjugate', () => {
+  it('picks 아, 어 or 여 by vowel harmony', () => {
+    table([
+      ['먹다', '어요', '먹어요'], ['잡다', '아요', '잡아요'], ['좁다', '아서', '좁아서'],
+      ['하다', '아요', '해요'], ['공부하다', '았다', '공부했다'], ['먹', '아/어요', '먹어요']
+    ]);
+  });
+
+  it('contracts stem-final vowels', () => {
+    table([
+      ['보다', '아요', '봐요'], ['오다', '았다', '왔다'], ['되다', '어요', '돼요'], ['되다', '었다', '됐다'],
+      ['마시다', '어요', '마셔요'], ['배우다', '어요', '배워요'], ['가다', '아요', '가요'],
+      ['서다', '었다', '섰다'], ['보내다', '었다', '보냈다'], ['쉬다', '어요', '쉬어요']
+    ]);
+  });
+
+  it('drops 으 before 아/어', () => {
+    table([['쓰다', '어요', '써요'], ['바쁘다', '아요', '바빠요'], ['예쁘다', '었다', '예뻤다'], ['따르다', '아요', '따라요']]);
+  });
+
+  it('handles the ㅂ, ㄷ and ㅅ irregulars', () => {
+    table([
+      ['덥다', '어요', '더워요'], ['돕다', '아요', '도와요'], ['가깝다', '았다', '가까웠다'],
+      ['덥다', '(으)면', '더우면'], ['돕다', '(으)면', '도우면'], ['춥다', '(으)니까', '추우니까'], ['덥다', '고', '덥고'],
+      ['듣다', '어요', '들어요'], ['듣다', '(으)면', '들으면'], ['듣다', '는데', '듣는데'],
+      ['낫다', '아요', '나아요'], ['짓다', '(으)면', '지으면'], ['낫다', '고', '낫고']
+    ]);
+  });
+
+  it('keeps regular stems with the same finals', () => {
+    table([['입다', '어요', '입어요'], ['받다', '아요', '받아요'], ['웃다', '어요', '웃어요'], ['좋다', '아요', '좋아요']]);
+  });
+
+  it('handles the ㅎ irregular', () => {
+    table([
+      ['파랗다', '아요', '파래요'], ['하얗다', '아요', '하얘요'], ['그렇다', '었다', '그랬다'],
+      ['파랗다', '(으)면', '파라면'], ['파랗다', '습니다', '파랗습니다']
+    ]);
+  });
+
+  it('handles the 르, 러 and 우 irregulars', () => {
+    table([
+      ['부르다', '어요', '불러요'], ['모르다', '았다', '몰랐다'], ['빠르다', '아요', '빨라요'],
+      ['푸르다', '어요', '푸르러요'], ['푸다', '었다', '펐다']
+    ]);
+  });
+
+  it('drops ㄹ before ㄴ, ㅂ, ㅅ and ㄹ', () => {
+    table([
+      ['살다', '는데', '사는데'], ['살다', '(으)니까', '사니까'], ['살다', '(으)면', '살면'],
+      ['살다', '(으)세요', '사세요'], ['살다', '습니다', '삽니다'], ['길다', '(으)ㄴ데', '긴데'],
+      ['만들다', '(으)ㄹ까요', '만들까요'], ['살다', '고', '살고'], ['살다', '아요', '살아요']
+    ]);
+  });
+
+  it('inserts 으 only after consonants', () => {
+    table([
+      ['먹다', '(으)면', '먹으면'], ['가다', '(으)면', '가면'], ['먹다', '(으)니까', '먹으니까'],
+      ['가다', '(으)ㄹ까요', '갈까요'], ['먹다', '-(으)ㄹ까요', '먹을까요'], ['읽다', '(으)ㄴ', '읽은']
+    ]);
+  });
+
+  it('picks 습니다 or ㅂ니다', () => {
+    table([['먹다', '습니다', '먹습니다'], ['가다', '습니다', '갑니다'], ['가다', 'ㅂ니까', '갑니까'], ['먹다', '(스)ㅂ니다', '먹습니다']]);
+  });
+
+  it('turns 는데 into (으)ㄴ데 for adjectives', () => {
+    table([['크다', '는데', '큰데'], ['작다', '는데', '작은데'], ['파랗다', '는데', '파란데']], { adjective: true });
+  });
+
+  it('accepts an irregular class override', () => {
+    assert.equal(conjugate('굽다', '어요'), '구워요');
+    assert.equal(conjugate('굽다', '어요', { irregular: false }), '굽어요');
+    assert.equal(conjugate('이르다', '어', { irregular: '러' }), '이르러');
+    assert.throws(() => conjugate('먹다', '어요', { irregular: 'ㅋ' }), /Unknown irregular class/);
+  });
+
+  it('keeps the copula uncontracted', () => {
+    table([
+      ['이', '아요', '이에요'], ['아니', '어요', '아니에요'], ['이다', '었다', '이었다'], ['아니다', '어서', '아니어서'],
+      ['이', '는데', '인데'], ['아니다', '습니다', '아닙니다'], ['이', '(으)면', '이면']
+    ]);
+  });
+
+  it('accepts (으) endings written without it', () => {
+    table([['먹다', 'ㄹ까요', '먹을까요'], ['가다', 'ㄴ데', '간데'], ['먹다', 'ㅂ시다', '먹읍시다'], ['먹다', '겠습니다', '먹겠습니다']]);
+  });
+
+  it('rejects non-stems and unknown endings', () => {
+    assert.throws(() => conjugate('run', '어요'), /Not a verb stem/);
+    assert.throws(() => conjugate('먹', 'xyz'), /Unknown ending: xyz/);
+    assert.throws(() => conjugate('먹', ''), /Unknown ending/);
+  });
+});
+
+describe('irregularType', () => {
+  it('classifies stems from the lexicon', () => {
+    assert.equal(irregularType('덥다'), 'ㅂ');
+    assert.equal(irregularType('입다'), null);
+    assert.equal(irregularType('듣'), 'ㄷ');
+    assert.equal(irregularType('받'), null);
+    assert.equal(irregularType('짓다'), 'ㅅ');
+    assert.equal(irregularType('노랗다'), 'ㅎ');
+    assert.equal(irregularType('놓다'), null);
+    assert.equal(irregularType('부르다'), '르');
+    assert.equal(irregularType('따르다'), null);
+    assert.equal(irregularType('푸르다'), '러');
+    assert.equal(irregularType('푸다'), '우');
+    assert.equal(irregularType('먹다'), null);
+  });
+});
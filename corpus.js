@@ -0,0 +1,240 @@
+/**
+ * Corpus Comparison
+ *
+ * compare() fingerprints both texts on every call. A corpus fingerprints each
+ * document once and works on the fingerprint vectors from then on:
+ *
+ *   matrix      cosine similarity between every pair of documents
+ *   similar     top-k documents closest to a new text
+ *   neighbours  top-k documents closest to one already in the corpus
+ *   cluster     group documents by average-linkage hierarchical clustering
+ *               or by k-means (on unit vectors, so it agrees with cosine)
+ *
+ * Documents without Korean syllables have no fingerprint; they get null
+ * similarities and are left out of clusters.
+ */
+
+import { fingerprint, fingerprintVector } from './hangul.js';
+
+const METHODS = ['hierarchical', 'kmeans'];
+
+/**
+ * Build a corpus from an array of texts or { id, text } objects.
+ * A { id, fingerprint } object is used as is, so fingerprints from
+ * createAnalyzer() can be added without holding the text.
+ * Options are passed to fingerprint() ({ phonetic: true }).
+ */
+function createCorpus(documents, options = {}) {
+  const docs = documents.map((doc, index) => {
+    const entry = typeof doc === 'string' ? { id: index, text: doc } : doc;
+    const fp = entry.fingerprint !== undefined ? entry.fingerprint : fingerprint(entry.text, options);
+    return { id: entry.id ?? index, fingerprint: fp, vector: fp ? unitVector(fingerprintVector(fp)) : null };
+  });
+  const byId = new Map(docs.map((doc, index) => [doc.id, index]));
+
+  /**
+   * Similarity of every pair: matrix[i][j] for documents i and j
+   */
+  function matrix() {
+    const rows = docs.map(() => new Array(docs.length));
+    for (let i = 0; i < docs.length; i++) {
+      rows[i][i] = docs[i].vector ? 1 : null;
+      for (let j = i + 1; j < docs.length; j++) {
+        const sim = similarity(docs[i].vector, docs[j].vector);
+        rows[i][j] = rows[j][i] = sim === null ? null : round(sim, 4);
+      }
+    }
+    return { ids: docs.map(d => d.id), rows };
+  }
+
+  /**
+   * The k documents most similar to a text: [{ id, similarity }]
+   */
+  function similar(text, { k = 5 } = {}) {
+    const fp = fingerprint(text, options);
+    return fp ? ranked(unitVector(fingerprintVector(fp)), -1, k) : [];
+  }
+
+  /**
+   * The k documents most similar to a document in the corpus, excluding itself
+   */
+  function neighbours(id, { k = 5 } = {}) {
+    const index = byId.get(id);
+    if (index === undefined) throw new Error(`Unknown document: ${id}`);
+    const vector = docs[index].vector;
+    return vector ? ranked(vector, index, k) : [];
+  }
+
+  function ranked(vector, skip, k) {
+    const hits = [];
+    docs.forEach((doc, index) => {
+      if (index === skip || !doc.vector) return;
+      hits.push({ id: doc.id, similarity: round(similarity(vector, doc.vector), 4) });
+    });
+    hits.sort((a, b) => b.similarity - a.similarity);
+    return hits.slice(0, k);
+  }
+
+  /**
+   * Group documents. Options:
+   *   method     'hierarchical' (default) or 'kmeans'
+   *   k          number of clusters (required for kmeans)
+   *   threshold  hierarchical only, without k: stop merging once the closest
+   *              clusters are less similar than this (default 0.9)
+   * Returns { clusters: [{ ids, cohesion }], skipped } where cohesion is the
+   * average similarity between members.
+   */
+  function cluster(clusterOptions = {}) {
+    const method = clusterOptions.method || 'hierarchical';
+    if (!METHODS.includes(method)) throw new Error(`Unknown clustering method: ${method}`);
+
+    const points = docs.map((doc, index) => index).filter(i => docs[i].vector);
+    const vectors = docs.map(doc => doc.vector);
+    const groups = method === 'kmeans'
+      ? kMeans(points, vectors, clusterOptions.k)
+      : hierarchical(points, vectors, clusterOptions);
+
+    return {
+      clusters: groups.map(members => ({
+        ids: members.map(i => docs[i].id),
+        cohesion: round(cohesion(members, vectors), 4)
+      })),
+      skipped: docs.filter(doc => !doc.vector).map(doc => doc.id)
+    };
+  }
+
+  return {
+    size: docs.length,
+    documents: docs.map(({ id, fingerprint }) => ({ id, fingerprint })),
+    matrix,
+    similar,
+    neighbours,
+    cluster
+  };
+}
+
+/**
+ * Average-linkage agglomerative clustering. Pairwise similarities are
+ * computed once; merged clusters get size-weighted averages (UPGMA).
+ */
+function hierarchical(points, vectors, { k, threshold = 0.9 }) {
+  const clusters = points.map(i => [i]);
+  const sims = points.map(a => points.map(b => similarity(vectors[a], vectors[b])));
+  const target = k ? Math.max(1, k) : 1;
+
+  while (clusters.length > target) {
+    let bestA = -1;
+    let bestB = -1;
+    for (let a = 0; a < clusters.length; a++) {
+      for (let b = a + 1; b < clusters.length; b++) {
+        if (bestA < 0 || sims[a][b] > sims[bestA][bestB]) {
+          bestA = a;
+          bestB = b;
+        }
+      }
+    }
+    if (!k && sims[bestA][bestB] < threshold) break;
+
+    const sizeA = clusters[bestA].length;
+    const sizeB = clusters[bestB].length;
+    for (let c = 0; c < clusters.length; c++) {
+      const merged = (sims[bestA][c] * sizeA + sims[bestB][c] * sizeB) / (sizeA + sizeB);
+      sims[bestA][c] = sims[c][bestA] = merged;
+    }
+    clusters[bestA] = clusters[bestA].concat(clusters[bestB]).sort((x, y) => x - y);
+    clusters.splice(bestB, 1);
+    sims.splice(bestB, 1);
+    for (const row of sims) row.splice(bestB, 1);
+  }
+
+  return clusters;
+}
+
+/**
+ * Spherical k-means. Seeds are chosen farthest-first from the first document,
+ * so results are deterministic.
+ */
+function kMeans(points, vectors, k) {
+  if (!k || k < 1) throw new Error('k-means needs a cluster count (k)');
+  k = Math.min(k, points.length);
+  if (k === 0) return [];
+
+  const centroids = [vectors[points[0]]];
+  while (centroids.length < k) {
+    let farthest = points[0];
+    let farthestSim = Infinity;
+    for (const p of points) {
+      const sim = Math.max(...centroids.map(c => similarity(c, vectors[p])));
+      if (sim < farthestSim) {
+        farthest = p;
+        farthestSim = sim;
+      }
+    }
+    centroids.push(vectors[farthest]);
+  }
+
+  let assignment = [];
+  for (let iteration = 0; iteration < 100; iteration++) {
+    const next = points.map(p => nearestCentroid(vectors[p], centroids));
+    if (next.every((c, i) => c === assignment[i])) break;
+    assignment = next;
+
+    for (let c = 0; c < k; c++) {
+      const members = points.filter((p, i) => assignment[i] === c);
+      if (members.length > 0) centroids[c] = unitVector(meanVector(members.map(p => vectors[p])));
+    }
+  }
+
+  const groups = centroids.map(() => []);
+  points.forEach((p, i) => groups[assignment[i]].push(p));
+  return groups.filter(g => g.length > 0);
+}
+
+function nearestCentroid(vector, centroids) {
+  let best = 0;
+  for (let c = 1; c < centroids.length; c++) {
+    if (similarity(vector, centroids[c]) > similarity(vector, centroids[best])) best = c;
+  }
+  return best;
+}
+
+function cohesion(members, vectors) {
+  if (members.length < 2) return 1;
+  let total = 0;
+  let pairs = 0;
+  for (let a = 0; a < members.length; a++) {
+    for (let b = a + 1; b < members.length; b++) {
+      total += similarity(vectors[members[a]], vectors[members[b]]);
+      pairs++;
+    }
+  }
+  return total / pairs;
+}
+
+// Vectors are stored at unit length, so cosine similarity is a dot product
+function similarity(a, b) {
+  if (!a || !b) return null;
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+function unitVector(vec) {
+  const norm = Math.sqrt(vec.reduce((sum, x) => sum + x * x, 0));
+  return norm === 0 ? vec : vec.map(x => x / norm);
+}
+
+function meanVector(vecs) {
+  const mean = new Array(vecs[0].length).fill(0);
+  for (const vec of vecs) {
+    for (let i = 0; i < vec.length; i++) mean[i] += vec[i] / vecs.length;
+  }
+  return mean;
+}
+
+function round(n, digits) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+export { createCorpus };
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCorpus } from './corpus.js';
+import { compare, fingerprint } from './hangul.js';
+import { seosi, azaleas, flower, sijo } from './poems.js';
+
+const light = '하하하 나나나 가가가 마마마';
+
+describe('createCorpus', () => {
+  const corpus = createCorpus([
+    { id: 'seosi', text: seosi },
+    { id: 'azaleas', text: azaleas },
+    { id: 'flower', text: flower },
+    { id: 'sijo', text: sijo },
+    { id: 'light', text: light },
+    { id: 'english', text: 'Hello world' }
+  ]);
+
+  it('builds a symmetric matrix that agrees with compare', () => {
+    const { ids, rows } = corpus.matrix();
+    assert.deepEqual(ids, ['seosi', 'azaleas', 'flower', 'sijo', 'light', 'english']);
+    assert.equal(rows[0][0], 1);
+    assert.equal(rows[0][1], rows[1][0]);
+    assert.equal(rows[0][1], compare(seosi, azaleas));
+    assert.equal(rows[5][0], null);
+  });
+
+  it('ids default to array positions', () => {
+    const { ids } = createCorpus([seosi, azaleas]).matrix();
+    assert.deepEqual(ids, [0, 1]);
+  });
+
+  it('accepts precomputed fingerprints', () => {
+    const pre = createCorpus([{ id: 'a', fingerprint: fingerprint(seosi) }, { id: 'b', text: azaleas }]);
+    assert.equal(pre.matrix().rows[0][1], compare(seosi, azaleas));
+  });
+
+  it('finds the top-k neighbours of a document', () => {
+    const hits = corpus.neighbours('seosi', { k: 2 });
+    assert.equal(hits.length, 2);
+    assert.ok(!hits.some(h => h.id === 'seosi'));
+    assert.ok(hits[0].similarity >= hits[1].similarity);
+    assert.throws(() => corpus.neighbours('missing'), /Unknown document/);
+  });
+
+  it('finds documents similar to a new text', () => {
+    const hits = corpus.similar('가가 나나 하하 바바', { k: 1 });
+    assert.deepEqual(hits.map(h => h.id), ['light']);
+    assert.deepEqual(corpus.similar('Hello'), []);
+  });
+
+  it('clusters hierarchically by count or threshold', () => {
+    const byCount = corpus.cluster({ k: 2 });
+    assert.equal(byCount.clusters.length, 2);
+    assert.deepEqual(byCount.clusters.find(c => c.ids.includes('light')).ids, ['light']);
+    assert.deepEqual(byCount.skipped, ['english']);
+
+    const loose = corpus.cluster({ threshold: 0 });
+    assert.equal(loose.clusters.length, 1);
+  });
+
+  it('clusters with k-means', () => {
+    const { clusters } = corpus.cluster({ method: 'kmeans', k: 2 });
+    assert.equal(clusters.length, 2);
+    assert.deepEqual(clusters.find(c => c.ids.includes('light')).ids, ['light']);
+    assert.throws(() => corpus.cluster({ method: 'kmeans' }), /cluster count/);
+    assert.throws(() => corpus.cluster({ method: 'spectral' }), /Unknown clustering method/);
+  });
+});
@@ -1,30 +1,6 @@
 import { analyze, findRhymes, vowelHarmonyAnalysis, structuralPattern, fingerprint, compare } from './hangul.js';
-
-// 윤동주 — 서시 (Prologue)
-const seosi = `죽는 날까지 하늘을 우러러
-한 점 부끄럼이 없기를
-잎새에 이는 바람에도
-나는 괴로워했다
-별을 노래하는 마음으로
-모든 죽어가는 것을 사랑해야지
-그리고 나한테 주어진 길을
-걸어가야겠다`;
-
-// 김소월 — 진달래꽃 (Azaleas)
-const azaleas = `나 보기가 역겨워
-가실 때에는
-말없이 고이 보내 드리오리다
-영변에 약산
-진달래꽃
-아름 따다 가실 길에 뿌리오리다`;
-
-// 김춘수 — 꽃 (Flower)
-const flower = `내가 그의 이름을 불러 주기 전에는
-그는 다만
-하나의 몸짓에 지나지 않았다
-내가 그의 이름을 불러 주었을 때
-그는 나에게로 와서
-꽃이 되었다`;
+import { seosi, azaleas, flower } from './poems.js';
+import { meter } from './meter.js';
 
 function analyzePoem(title, text) {
   console.log(`\n${'═'.repeat(50)}`);
@@ -82,6 +58,12 @@ function analyzePoem(title, text) {
     }).length;
     console.log(`  ${line.padEnd(20)} [${syllableCount}음절] ${struct}`);
   }
+
+  const m = meter(text);
+  console.log(`\n— 음보 — ${m.meter}${m.syllableMeter ? `, ${m.syllableMeter}` : ''} (규칙성 ${m.regularity})`);
+  for (const line of m.lines) {
+    console.log(`  ${line.feet.map(f => f.text).join(' / ').padEnd(28)} ${line.pattern}`);
+  }
 }
 
 function describePattern(pattern) {
@@ -0,0 +1,338 @@
+/**
+ * Structured Input: Subtitles, Lyrics and Markdown
+ *
+ * Lyrics and subtitles arrive wrapped in timestamps, cue numbers and markup
+ * that would otherwise be analyzed as lines of text. The parsers keep only
+ * the words, split into the units the format defines:
+ *
+ *   srt       cues         1 / 00:00:01,000 --> 00:00:03,500 / text
+ *   vtt       cues         WEBVTT, optional cue ids, <v Speaker> tags
+ *   lrc       lyric lines  [00:12.30]text, [offset:+500], <00:12.80> word stamps
+ *   markdown  paragraphs   blank-line separated blocks (stanzas); headings
+ *                          stand alone; code, front matter and markup dropped
+ *
+ * Every unit is { text, line, lines, start, end, kind } where lines are the
+ * source line of each of its text lines, line the first of them, and
+ * start/end are seconds (null when untimed).
+ * analyzeDocument() fingerprints each unit and the whole document, adding
+ * syllables-per-second for timed units.
+ */
+
+import { fingerprint, toSyllables } from './hangul.js';
+
+const DOCUMENT_FORMATS = ['srt', 'vtt', 'lrc', 'markdown'];
+
+const EXTENSIONS = {
+  '.srt': 'srt', '.vtt': 'vtt', '.webvtt': 'vtt', '.lrc': 'lrc',
+  '.md': 'markdown', '.markdown': 'markdown', '.mdown': 'markdown'
+};
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': ' ', '&quot;': '"', '&#39;': "'" };
+
+/**
+ * Input format for a file name from its extension: 'srt', 'vtt', 'lrc',
+ * 'markdown', or 'text' for anything else.
+ */
+function detectFormat(filename) {
+  const match = String(filename).toLowerCase().match(/\.[a-z]+$/);
+  return (match && EXTENSIONS[match[0]]) || 'text';
+}
+
+/**
+ * Parse a document into { format, units }; 'text' gives one unit per
+ * blank-line separated block, like markdown without markup.
+ */
+function parseDocument(text, format) {
+  if (format === 'srt') return parseSRT(text);
+  if (format === 'vtt') return parseVTT(text);
+  if (format === 'lrc') return parseLRC(text);
+  if (format === 'markdown') return parseMarkdown(text);
+  if (format === 'text') {
+    return {
+      format,
+      units: blocks(text).map(({ lines, line }) => unit(lines.map((l, k) => ({ text: l, line: line + k })), 'paragraph'))
+    };
+  }
+  throw new Error(`Unknown document format: ${format}`);
+}
+
+/**
+ * SubRip: numbered cues with a timing line, separated by blank lines
+ */
+function parseSRT(text) {
+  const units = [];
+  for (const block of blocks(text)) {
+    const timing = block.lines.findIndex(l => l.includes('-->'));
+    if (timing === -1) continue;
+    const [start, end] = block.lines[timing].split('-->').map(t => parseTimestamp(t));
+    const lines = cueLines(block, timing + 1);
+    if (lines.length === 0) continue;
+    units.push(unit(lines, 'cue', start, end));
+  }
+  return { format: 'srt', units };
+}
+
+/**
+ * WebVTT: a WEBVTT header, then cues; NOTE, STYLE and REGION blocks are skipped
+ */
+function parseVTT(text) {
+  const units = [];
+  for (const block of blocks(text)) {
+    if (/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(block.lines[0])) continue;
+    const timing = block.lines.findIndex(l => l.includes('-->'));
+    if (timing === -1) continue;
+    const [from, rest] = block.lines[timing].split('-->');
+    const start = parseTimestamp(from);
+    const end = parseTimestamp(rest.trim().split(/\s+/)[0]);
+    const lines = cueLines(block, timing + 1);
+    if (lines.length === 0) continue;
+    units.push(unit(lines, 'cue', start, end));
+  }
+  return { format: 'vtt', units };
+}
+
+/**
+ * LRC lyrics: each line starts with one or more [mm:ss.xx] stamps. A line
+ * ends where the next one starts; the last ends at [length:] when given.
+ * [offset:ms] shifts every stamp earlier by that many milliseconds.
+ */
+function parseLRC(text) {
+  let offset = 0;
+  let length = null;
+  const timed = [];
+
+  lines(text).forEach((raw, i) => {
+    const meta = raw.trim().match(/^\[([a-z]+):(.*)\]$/i);
+    if (meta) {
+      const tag = meta[1].toLowerCase();
+      if (tag === 'offset') offset = Number(meta[2]) / 1000 || 0;
+      if (tag === 'length') length = parseTimestamp(meta[2]);
+      return;
+    }
+    const stamps = [];
+    let rest = raw.trim();
+    for (let m; (m = rest.match(/^\[(\d+:\d+(?:[.:]\d+)?)\]/));) {
+      // Some players write hundredths after a colon: [01:02:50]
+      stamps.push(parseTimestamp(m[1].replace(/^(\d+:\d+):(\d+)$/, '$1.$2')));
+      rest = rest.slice(m[0].length);
+    }
+    // Enhanced LRC marks words with <mm:ss.xx>
+    rest = rest.replace(/<\d+:\d+(?:[.:]\d+)?>/g, '').trim();
+    for (const start of stamps) timed.push({ start, text: rest, line: i + 1 });
+  });
+
+  timed.sort((a, b) => a.start - b.start);
+  const units = [];
+  timed.forEach((entry, i) => {
+    // Empty stamped lines (instrumental breaks) only end the line before
+    if (!entry.text) return;
+    const next = timed[i + 1];
+    const start = Math.max(0, entry.start - offset);
+    const end = next ? Math.max(0, next.start - offset) : length;
+    units.push(unit([entry], 'lyric', start, end));
+  });
+  return { format: 'lrc', units };
+}
+
+/**
+ * Markdown: paragraphs and stanzas are blank-line separated blocks, headings
+ * are their own units. Code, front matter, HTML, images, link targets,
+ * emphasis and list or quote markers are removed.
+ */
+function parseMarkdown(text) {
+  const all = lines(text);
+  let i = 0;
+  // YAML front matter
+  if (all[0] === '---') {
+    const close = all.indexOf('---', 1);
+    if (close !== -1) i = close + 1;
+  }
+
+  const units = [];
+  let paragraph = [];
+  let fence = null;
+  const flush = () => {
+    if (paragraph.length > 0) units.push(unit(paragraph, 'paragraph'));
+    paragraph = [];
+  };
+
+  for (; i < all.length; i++) {
+    const raw = all[i];
+    const fenceMatch = raw.match(/^\s*(```|~~~)/);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1] === fence) fence = null;
+      continue;
+    }
+    if (fenceMatch) {
+      flush();
+      fence = fenceMatch[1];
+      continue;
+    }
+    if (!raw.trim() || /^\s*([-*_])(\s*\1){2,}\s*$/.test(raw)) {
+      // A --- or === line under a paragraph line turns it into a heading
+      if (paragraph.length === 1 && /^\s*-+\s*$/.test(raw)) {
+        units.push(unit(paragraph, 'heading'));
+        paragraph = [];
+      }
+      flush();
+      continue;
+    }
+    if (/^\s*=+\s*$/.test(raw) && paragraph.length === 1) {
+      units.push(unit(paragraph, 'heading'));
+      paragraph = [];
+      continue;
+    }
+    // Indented code
+    if (/^( {4}|\t)/.test(raw) && paragraph.length === 0) continue;
+
+    const heading = raw.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      flush();
+      const textOnly = stripInlineMarkdown(heading[1]);
+      if (textOnly) units.push(unit([{ text: textOnly, line: i + 1 }], 'heading'));
+      continue;
+    }
+
+    const line = stripInlineMarkdown(raw.replace(/^\s*(>\s?)+/, '').replace(/^\s*([-*+]|\d+[.)])\s+/, ''));
+    if (!line) continue;
+    paragraph.push({ text: line, line: i + 1 });
+  }
+  flush();
+  return { format: 'markdown', units };
+}
+
+/**
+ * Analyze a document from parseDocument(), or text with { format }: a
+ * fingerprint for each unit and for the whole document, whose lines are the
+ * units' lines. Other options are those of fingerprint().
+ *
+ * Returns { format, text, fingerprint, syllables, timing, units } where each
+ * unit adds { syllables, fingerprint, duration, syllablesPerSecond } and
+ * timing, for documents with timed units, is
+ * { duration, span, syllablesPerSecond, maxSyllablesPerSecond, fastest }:
+ * duration sums the units' own durations, span runs from the first start to
+ * the last end, and fastest is the index of the fastest unit.
+ */
+function analyzeDocument(document, options = {}) {
+  if (typeof document === 'string') document = parseDocument(document, options.format || 'text');
+
+  const units = document.units.map(unit => {
+    // NFD jamo are composed, so text and character counts match what is shown
+    const u = { ...unit, text: toSyllables(unit.text) };
+    const fp = fingerprint(u.text, options);
+    const syllables = fp ? fp.totalSyllables : 0;
+    const duration = u.start !== null && u.end !== null ? round(u.end - u.start, 3) : null;
+    return {
+      ...u,
+      syllables,
+      fingerprint: fp,
+      duration,
+      syllablesPerSecond: duration > 0 ? round(syllables / duration, 2) : null
+    };
+  });
+
+  const text = units.map(u => u.text).join('\n');
+  const fp = fingerprint(text, options);
+  return {
+    format: document.format,
+    text,
+    fingerprint: fp,
+    syllables: fp ? fp.totalSyllables : 0,
+    timing: timingOf(units),
+    units
+  };
+}
+
+function timingOf(units) {
+  const timed = units.filter(u => u.duration !== null);
+  if (timed.length === 0) return null;
+  const duration = timed.reduce((sum, u) => sum + u.duration, 0);
+  const syllables = timed.reduce((sum, u) => sum + u.syllables, 0);
+  let fastest = null;
+  units.forEach((u, i) => {
+    if (u.syllablesPerSecond !== null && (fastest === null || u.syllablesPerSecond > units[fastest].syllablesPerSecond)) {
+      fastest = i;
+    }
+  });
+  return {
+    duration: round(duration, 3),
+    span: round(Math.max(...timed.map(u => u.end)) - Math.min(...timed.map(u => u.start)), 3),
+    syllablesPerSecond: duration > 0 ? round(syllables / duration, 2) : null,
+    maxSyllablesPerSecond: fastest === null ? null : units[fastest].syllablesPerSecond,
+    fastest
+  };
+}
+
+/**
+ * Seconds from a timestamp: 01:02:03,500 (SRT), 02:03.500 (VTT, LRC) or
+ * 2:03.5. Returns null when it cannot be read.
+ */
+function parseTimestamp(stamp) {
+  const match = String(stamp).trim().match(/^(?:(\d+):)?(\d+):(\d+)(?:[.,](\d+))?$/);
+  if (!match) return null;
+  const [, h = '0', m, s, fraction = '0'] = match;
+  return Number(h) * 3600 + Number(m) * 60 + Number(s) + Number(`0.${fraction}`);
+}
+
+// A unit from its text lines, each { text, line } with its source line
+function unit(lines, kind, start = null, end = null) {
+  return { text: lines.map(l => l.text).join('\n'), line: lines[0].line, lines: lines.map(l => l.line), kind, start, end };
+}
+
+// Cue text lines from index from on, without markup; lines left empty are dropped
+function cueLines(block, from) {
+  return block.lines.slice(from)
+    .map((l, k) => ({ text: stripCueMarkup(l), line: block.line + from + k }))
+    .filter(l => l.text.trim());
+}
+
+function lines(text) {
+  return String(text).replace(/^\uFEFF/, '').split('\n').map(l => l.replace(/\r$/, ''));
+}
+
+// Runs of non-blank lines with the 1-based line number of their first line
+function blocks(text) {
+  const result = [];
+  let current = null;
+  lines(text).forEach((l, i) => {
+    if (!l.trim()) {
+      current = null;
+      return;
+    }
+    if (!current) result.push(current = { line: i + 1, lines: [] });
+    current.lines.push(l);
+  });
+  return result;
+}
+
+// <i>, <v Speaker>, <c.yellow>, <00:01.000>, {\an8} and entities
+function stripCueMarkup(line) {
+  return line
+    .replace(/<[^>]*>/g, '')
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/&(amp|lt|gt|nbsp|quot|#39);/g, entity => ENTITIES[entity])
+    .trim();
+}
+
+function stripInlineMarkdown(line) {
+  return line
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')          // images
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')       // links keep their text
+    .replace(/\[([^\]]*)\]\[[^\]]*\]/g, '$1')      // reference links
+    .replace(/<[^>]*>/g, '')                       // HTML and autolinks
+    .replace(/`+([^`]*)`+/g, '$1')
+    .replace(/(\*\*|__|\*|_|~~)(?=\S)([^]*?\S)\1/g, '$2')
+    .replace(/\\([\\`*_{}[\]()#+\-.!>~|])/g, '$1')
+    .replace(/&(amp|lt|gt|nbsp|quot|#39);/g, entity => ENTITIES[entity])
+    .trim();
+}
+
+function round(n, digits) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+export {
+  DOCUMENT_FORMATS, detectFormat, parseDocument, parseSRT, parseVTT, parseLRC,
+  parseMarkdown, parseTimestamp, analyzeDocument
+};
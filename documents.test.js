@@ -0,0 +1,126 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  detectFormat, parseDocument, parseSRT, parseVTT, parseLRC, parseMarkdown, parseTimestamp, analyzeDocument
+} from './documents.js';
+import { fingerprint } from './hangul.js';
+import { createReport } from './report.js';
+
+const SRT = [
+  '1', '00:00:01,000 --> 00:00:03,500', '<i>하늘을 우러러</i>', '',
+  '2', '00:00:04,000 --> 00:00:06,000', '{\\an8}한 점 부끄럼이', '없기를', ''
+].join('\r\n');
+
+describe('detectFormat', () => {
+  it('reads the file extension', () => {
+    assert.equal(detectFormat('drama/ep01.SRT'), 'srt');
+    assert.equal(detectFormat('a.vtt'), 'vtt');
+    assert.equal(detectFormat('song.lrc'), 'lrc');
+    assert.equal(detectFormat('poems.md'), 'markdown');
+    assert.equal(detectFormat('poem.txt'), 'text');
+    assert.equal(detectFormat('README'), 'text');
+  });
+});
+
+describe('parseTimestamp', () => {
+  it('reads SRT, VTT and LRC stamps in seconds', () => {
+    assert.equal(parseTimestamp('01:02:03,500'), 3723.5);
+    assert.equal(parseTimestamp('02:03.250'), 123.25);
+    assert.equal(parseTimestamp('0:12.3'), 12.3);
+    assert.equal(parseTimestamp('soon'), null);
+  });
+});
+
+describe('parseSRT', () => {
+  it('keeps cue text and timing, dropping numbers and markup', () => {
+    assert.deepEqual(parseSRT(SRT).units, [
+      { text: '하늘을 우러러', line: 3, lines: [3], kind: 'cue', start: 1, end: 3.5 },
+      { text: '한 점 부끄럼이\n없기를', line: 7, lines: [7, 8], kind: 'cue', start: 4, end: 6 }
+    ]);
+  });
+});
+
+describe('parseVTT', () => {
+  it('skips the header, notes and styles', () => {
+    const vtt = 'WEBVTT - drama\n\nNOTE 번역 메모\n\nSTYLE\n::cue { color: red }\n\nintro\n00:01.000 --> 00:03.000 align:start\n<v 민수>안녕 &amp; <c.yellow>잘 가</c>\n';
+    assert.deepEqual(parseVTT(vtt).units, [{ text: '안녕 & 잘 가', line: 10, lines: [10], kind: 'cue', start: 1, end: 3 }]);
+  });
+});
+
+describe('parseLRC', () => {
+  const lrc = [
+    '[ti:노래]', '[offset:500]', '[00:10.00][01:10.00]사랑해 <00:11.00>너를',
+    '[00:15.50]', '[00:20:50]그리워', '[length:01:30]'
+  ].join('\n');
+
+  it('orders lines by time, ending each where the next starts', () => {
+    assert.deepEqual(parseLRC(lrc).units.map(u => [u.text, u.start, u.end]), [
+      ['사랑해 너를', 9.5, 15], ['그리워', 20, 69.5], ['사랑해 너를', 69.5, 90]
+    ]);
+  });
+
+  it('records the source line of repeated lyrics', () => {
+    assert.deepEqual(parseLRC(lrc).units.map(u => u.line), [3, 5, 3]);
+  });
+});
+
+describe('parseMarkdown', () => {
+  it('splits paragraphs and headings and strips markup', () => {
+    const md = [
+      '---', 'title: 서시', '---', '# 서시 #', '',
+      '죽는 **날까지** [하늘](http://x)을', '> 우러러 ![그림](a.png)', '',
+      '```', 'const 코드 = 1;', '```', '',
+      '- 한 점 `부끄럼`이', '',
+      '부제', '---'
+    ].join('\n');
+    assert.deepEqual(parseMarkdown(md).units.map(u => [u.kind, u.text, u.line]), [
+      ['heading', '서시', 4],
+      ['paragraph', '죽는 날까지 하늘을\n우러러', 6],
+      ['paragraph', '한 점 부끄럼이', 13],
+      ['heading', '부제', 15]
+    ]);
+  });
+});
+
+describe('parseDocument', () => {
+  it('splits plain text into stanzas', () => {
+    assert.deepEqual(parseDocument('가나\n다라\n\n\n마바', 'text').units.map(u => [u.text, u.line]), [['가나\n다라', 1], ['마바', 5]]);
+    assert.throws(() => parseDocument('', 'docx'), /Unknown document format/);
+  });
+});
+
+describe('analyzeDocument', () => {
+  it('fingerprints the text without timestamps or cue numbers', () => {
+    const doc = analyzeDocument(parseSRT(SRT));
+    assert.equal(doc.text, '하늘을 우러러\n한 점 부끄럼이\n없기를');
+    assert.deepEqual(doc.fingerprint, fingerprint(doc.text));
+    assert.equal(doc.syllables, 15);
+    assert.equal(doc.units[1].fingerprint.totalSyllables, 9);
+  });
+
+  it('adds syllables per second for timed units', () => {
+    const doc = analyzeDocument(SRT, { format: 'srt' });
+    assert.deepEqual(doc.units.map(u => [u.duration, u.syllablesPerSecond]), [[2.5, 2.4], [2, 4.5]]);
+    assert.deepEqual(doc.timing, { duration: 4.5, span: 5, syllablesPerSecond: 3.33, maxSyllablesPerSecond: 4.5, fastest: 1 });
+  });
+
+  it('composes NFD unit text', () => {
+    const doc = analyzeDocument(SRT.normalize('NFD'), { format: 'srt' });
+    assert.equal(doc.text, '하늘을 우러러\n한 점 부끄럼이\n없기를');
+    assert.deepEqual(doc.units.map(u => u.line), [3, 7]);
+  });
+
+  it('has no timing for untimed documents', () => {
+    const doc = analyzeDocument('# 제목\n\n본문', { format: 'markdown' });
+    assert.equal(doc.timing, null);
+    assert.equal(doc.units[0].syllablesPerSecond, null);
+  });
+
+  it('goes into reports', () => {
+    const document = analyzeDocument(SRT, { format: 'srt' });
+    const report = createReport({ text: SRT, document });
+    assert.equal(report.document.format, 'srt');
+    assert.equal(report.document.units.length, 2);
+    assert.equal(report.analysis.totalSyllables, 15);
+  });
+});
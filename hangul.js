@@ -6,8 +6,30 @@
  *   syllable = (초성 × 21 + 중성) × 28 + 종성 + 0xAC00
  *
  * This module decomposes, analyzes, and finds patterns in Korean text.
+ *
+ * Analyses work on spelling by default. Pass { phonetic: true } to run them
+ * on the standard pronunciation instead (see pronounce.js).
+ *
+ * NFD text (conjoining jamo, as in macOS filenames) is composed before analysis.
+ * Pass { compatibility: true } to also compose runs of compatibility jamo (ㅎㅏㄴ).
+ *
+ * Digits are not syllables and are skipped. Pass { numbers: true } to spell
+ * them out as read aloud first (3개 → 세 개, see numerals.js).
+ *
+ * Old Hangul syllables (ᄒᆞᆫ, as conjoining jamo sequences) decompose and
+ * count like modern ones; see oldhangul.js.
+ *
+ * Per-syllable and per-word results carry a position in the text as given,
+ * before any of the above (see position.js), so editors can highlight them.
  */
 
+import { pronounce } from './pronounce.js';
+import { spellNumbers, numberReadings } from './numerals.js';
+import { createPositionIndex } from './position.js';
+import { similarity, explain } from './similarity.js';
+import { articulationProfile } from './articulation.js';
+import { readOldSyllable, composeOld, isOldJamo, jamoFor, letterOf, oldVowelClass } from './oldhangul.js';
+
 // 초성 (initial consonants) - 19 total
 const CHOSEONG = [
   'ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ',
@@ -43,6 +65,26 @@ const VOWEL_TYPES = {
 
 const SYLLABLE_BASE = 0xAC00;
 const SYLLABLE_END = 0xD7A3;
+const SYLLABLE_COUNT = SYLLABLE_END - SYLLABLE_BASE + 1;
+
+// Vowel class by JUNGSEONG index (1 양성, -1 음성, 0 중성), for lookups in hot loops
+const VOWEL_CLASS = JUNGSEONG.map(v =>
+  VOWEL_TYPES.bright.includes(v) ? 1 : VOWEL_TYPES.dark.includes(v) ? -1 : 0);
+const HARMONY_MARKS = { 1: '+', '-1': '-', 0: '·' };
+
+// Middle Korean harmony differs only in ㅡ and ㅢ, which were 음성 (see oldhangul.js)
+const MIDDLE_KOREAN_CLASS = JUNGSEONG.map((v, i) => (v === 'ㅡ' || v === 'ㅢ' ? -1 : VOWEL_CLASS[i]));
+const HARMONY_SYSTEMS = { modern: VOWEL_CLASS, 'middle-korean': MIDDLE_KOREAN_CLASS };
+
+// Longest line a streaming analyzer holds back before cutting at whitespace
+const MAX_PENDING = 65536;
+
+// Conjoining jamo (U+1100 block) — the form NFD text uses.
+// Modern jamo sit at fixed offsets that mirror the table indices above.
+const CONJOINING_CHO_BASE = 0x1100;   // ᄀ … ᄒ
+const CONJOINING_JUNG_BASE = 0x1161;  // ᅡ … ᅵ
+const CONJOINING_JONG_BASE = 0x11A7;  // ᆨ … ᇂ (index 0 = no final)
+const CONJOINING_JAMO = /[\u1100-\u1112\u1161-\u1175\u11A8-\u11C2]/;
 
 /**
  * Check if a character is a Hangul syllable block
@@ -53,9 +95,30 @@ function isSyllable(ch) {
 }
 
 /**
- * Decompose a single Hangul syllable into its jamo components
+ * Check if a character is a jamo, either conjoining (U+1100 block)
+ * or compatibility (U+3131 block). Old Hangul letters count too.
  */
-function decompose(ch) {
+function isJamo(ch) {
+  return conjoiningRole(ch) !== null ||
+    CHOSEONG.includes(ch) || JUNGSEONG.includes(ch) || JONGSEONG.includes(ch, 1) || isOldJamo(ch);
+}
+
+/**
+ * Decompose a single Hangul syllable into its jamo components.
+ * Also accepts the syllable as a conjoining (NFD) or compatibility jamo sequence.
+ * With { conjoining: true } the jamo are returned in conjoining form.
+ *
+ * Old Hangul syllables exist only as sequences: decompose('ᄒᆞᆫ') gives
+ * { cho: 'ㅎ', jung: 'ㆍ', jong: 'ㄴ', archaic: true, ... }, with -1 as the
+ * index of any letter outside the modern tables.
+ */
+function decompose(ch, options = {}) {
+  if (!ch) return null;
+  if (ch.length > 1) {
+    ch = toSyllables(ch, { compatibility: true });
+    const old = readOldSyllable(ch);
+    if (old && old.length === ch.length) return decomposeOld(old, options);
+  }
   if (!isSyllable(ch)) return null;
 
   const code = ch.charCodeAt(0) - SYLLABLE_BASE;
@@ -63,6 +126,17 @@ function decompose(ch) {
   const jungIdx = ((code - jongIdx) / 28) % 21;
   const choIdx = Math.floor(((code - jongIdx) / 28) / 21);
 
+  if (options.conjoining) {
+    return {
+      syllable: ch,
+      cho: String.fromCharCode(CONJOINING_CHO_BASE + choIdx),
+      jung: String.fromCharCode(CONJOINING_JUNG_BASE + jungIdx),
+      jong: jongIdx ? String.fromCharCode(CONJOINING_JONG_BASE + jongIdx) : null,
+      choIdx, jungIdx, jongIdx,
+      hasJong: jongIdx !== 0
+    };
+  }
+
   return {
     syllable: ch,
     cho: CHOSEONG[choIdx],
@@ -74,82 +148,213 @@ function decompose(ch) {
 }
 
 /**
- * Compose jamo into a syllable block
+ * Compose jamo into a syllable block.
+ * Jamo may be given in compatibility or conjoining form.
+ * With { conjoining: true } the result is the conjoining (NFD) sequence.
+ * Old Hangul letters always give a conjoining sequence: ㅎ ㆍ ㄴ → ᄒᆞᆫ.
  */
-function compose(cho, jung, jong = '') {
-  const choIdx = CHOSEONG.indexOf(cho);
-  const jungIdx = JUNGSEONG.indexOf(jung);
-  const jongIdx = jong ? JONGSEONG.indexOf(jong) : 0;
+function compose(cho, jung, jong = '', options = {}) {
+  const choIdx = jamoIndex(cho, 'cho');
+  const jungIdx = jamoIndex(jung, 'jung');
+  const jongIdx = jong ? jamoIndex(jong, 'jong') : 0;
+
+  if (choIdx < 0 || jungIdx < 0 || jongIdx < 0) return composeOld(cho, jung, jong);
 
-  if (choIdx < 0 || jungIdx < 0 || jongIdx < 0) return null;
+  if (options.conjoining) {
+    return String.fromCharCode(CONJOINING_CHO_BASE + choIdx, CONJOINING_JUNG_BASE + jungIdx) +
+      (jongIdx ? String.fromCharCode(CONJOINING_JONG_BASE + jongIdx) : '');
+  }
 
   const code = SYLLABLE_BASE + (choIdx * 21 + jungIdx) * 28 + jongIdx;
   return String.fromCharCode(code);
 }
 
 /**
- * Analyze a Korean text — decompose all syllables and compute statistics
+ * Compose jamo sequences into syllable blocks, leaving everything else as is.
+ * Conjoining (NFD) sequences are always composed. With { compatibility: true },
+ * runs of compatibility jamo are composed too: ㅎㅏㄴ → 한.
  */
-function analyze(text) {
-  const syllables = [];
-  const choFreq = {};
-  const jungFreq = {};
-  const jongFreq = {};
-  let totalSyllables = 0;
-  let withJong = 0;
-  let brightVowels = 0;
-  let darkVowels = 0;
-  let neutralVowels = 0;
-
-  for (const ch of text) {
-    const d = decompose(ch);
-    if (!d) continue;
+function toSyllables(text, options = {}) {
+  // Most text is already composed; skip the per-character pass
+  if (!options.compatibility && !CONJOINING_JAMO.test(text)) return text;
+
+  const chars = [...text];
+  let out = '';
+
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i];
+
+    if (conjoiningRole(ch) === 'cho' && conjoiningRole(chars[i + 1]) === 'jung') {
+      const syllable = compose(ch, chars[i + 1]);
+      i++;
+      if (conjoiningRole(chars[i + 1]) === 'jong') {
+        out += compose(ch, chars[i], chars[i + 1]);
+        i++;
+      } else {
+        out += syllable;
+      }
+      continue;
+    }
 
-    syllables.push(d);
-    totalSyllables++;
+    // NFC also allows a precomposed LV syllable followed by a conjoining final
+    if (isSyllable(ch) && conjoiningRole(chars[i + 1]) === 'jong') {
+      const d = decompose(ch);
+      if (!d.hasJong) {
+        out += compose(d.cho, d.jung, chars[i + 1]);
+        i++;
+        continue;
+      }
+    }
 
-    choFreq[d.cho] = (choFreq[d.cho] || 0) + 1;
-    jungFreq[d.jung] = (jungFreq[d.jung] || 0) + 1;
-    if (d.jong) {
-      jongFreq[d.jong] = (jongFreq[d.jong] || 0) + 1;
-      withJong++;
+    if (options.compatibility && isLetter(ch, 'cho') && isLetter(chars[i + 1], 'jung')) {
+      const next = chars[i + 2];
+      // A consonant is a final only when it does not start the next syllable
+      if (isLetter(next, 'jong') && !isLetter(chars[i + 3], 'jung')) {
+        out += compose(ch, chars[i + 1], next);
+        i += 2;
+      } else {
+        out += compose(ch, chars[i + 1]);
+        i++;
+      }
+      continue;
     }
 
-    if (VOWEL_TYPES.bright.includes(d.jung)) brightVowels++;
-    else if (VOWEL_TYPES.dark.includes(d.jung)) darkVowels++;
-    else neutralVowels++;
+    out += ch;
   }
 
-  return {
-    syllables,
-    totalSyllables,
-    withJong,
-    withoutJong: totalSyllables - withJong,
-    jongRatio: totalSyllables ? withJong / totalSyllables : 0,
-    choFreq: sortByValue(choFreq),
-    jungFreq: sortByValue(jungFreq),
-    jongFreq: sortByValue(jongFreq),
-    vowelHarmony: {
-      bright: brightVowels,
-      dark: darkVowels,
-      neutral: neutralVowels,
-      tendency: brightVowels > darkVowels ? '양성 (bright)' :
-                darkVowels > brightVowels ? '음성 (dark)' : '균형 (balanced)'
+  return out;
+}
+
+/**
+ * Convert syllable blocks to conjoining jamo sequences (Hangul part of NFD)
+ */
+function toConjoining(text) {
+  let out = '';
+  for (const ch of text) {
+    const d = isSyllable(ch) ? decompose(ch, { conjoining: true }) : null;
+    out += d ? d.cho + d.jung + (d.jong || '') : ch;
+  }
+  return out;
+}
+
+/**
+ * Convert syllable blocks and conjoining jamo to compatibility jamo: 한 → ㅎㅏㄴ.
+ * Old Hangul jamo without a compatibility letter stay conjoining.
+ */
+function toCompatibility(text) {
+  let out = '';
+  for (const ch of text) {
+    const d = isSyllable(ch) ? decompose(ch) : null;
+    if (d) {
+      out += d.cho + d.jung + (d.jong || '');
+      continue;
     }
+    out += letterOf(ch);
+  }
+  return out;
+}
+
+/**
+ * Which position a modern conjoining jamo occupies, or null
+ */
+function conjoiningRole(ch) {
+  if (!ch) return null;
+  const code = ch.charCodeAt(0);
+  if (code >= CONJOINING_CHO_BASE && code < CONJOINING_CHO_BASE + CHOSEONG.length) return 'cho';
+  if (code >= CONJOINING_JUNG_BASE && code < CONJOINING_JUNG_BASE + JUNGSEONG.length) return 'jung';
+  if (code > CONJOINING_JONG_BASE && code < CONJOINING_JONG_BASE + JONGSEONG.length) return 'jong';
+  return null;
+}
+
+// A compatibility jamo (modern or Old Hangul) that can take this position
+function isLetter(ch, role) {
+  return ch >= '\u3131' && ch <= '\u318E' && jamoFor(ch, role) !== null;
+}
+
+// Conjoining jamo of any age: U+1100 block, Jamo Extended-A and -B
+function isConjoiningCode(code) {
+  return (code >= 0x1100 && code <= 0x11FF) || (code >= 0xA960 && code <= 0xA97F) || (code >= 0xD7B0 && code <= 0xD7FF);
+}
+
+function decomposeOld(old, options) {
+  const jamo = [...old.syllable];
+  return {
+    syllable: old.syllable,
+    cho: options.conjoining ? jamo[0] : old.cho,
+    jung: options.conjoining ? jamo[1] : old.jung,
+    jong: options.conjoining ? jamo[2] || null : old.jong,
+    choIdx: CHOSEONG.indexOf(old.cho),
+    jungIdx: JUNGSEONG.indexOf(old.jung),
+    jongIdx: old.jong ? JONGSEONG.indexOf(old.jong, 1) : 0,
+    hasJong: old.jong !== null,
+    archaic: true
   };
 }
 
+// Characters of a text, with each Old Hangul syllable as one unit
+function* units(text) {
+  for (let i = 0; i < text.length; i++) {
+    const old = readOldSyllable(text, i);
+    if (old) {
+      yield [old.syllable, i, old.length];
+      i += old.length - 1;
+      continue;
+    }
+    const ch = String.fromCodePoint(text.codePointAt(i));
+    yield [ch, i, ch.length];
+    i += ch.length - 1;
+  }
+}
+
+/**
+ * Table index of a jamo in compatibility or conjoining form, or -1
+ */
+function jamoIndex(jamo, role) {
+  if (role === 'cho') {
+    return conjoiningRole(jamo) === 'cho' ? jamo.charCodeAt(0) - CONJOINING_CHO_BASE : CHOSEONG.indexOf(jamo);
+  }
+  if (role === 'jung') {
+    return conjoiningRole(jamo) === 'jung' ? jamo.charCodeAt(0) - CONJOINING_JUNG_BASE : JUNGSEONG.indexOf(jamo);
+  }
+  return conjoiningRole(jamo) === 'jong' ? jamo.charCodeAt(0) - CONJOINING_JONG_BASE : JONGSEONG.indexOf(jamo, 1);
+}
+
+/**
+ * Analyze a Korean text — decompose all syllables and compute statistics.
+ * Each syllable carries its position in the source text.
+ */
+function analyze(text, options = {}) {
+  const prepared = prepareMapped(text, options);
+  text = prepared.text;
+  const syllables = [];
+  for (const [unit, index, length] of units(text)) {
+    const d = decompose(unit);
+    if (!d) continue;
+    d.position = prepared.locate(index, index + length);
+    syllables.push(d);
+  }
+
+  const tally = createTally();
+  tallyText(tally, text);
+  return { syllables, ...summarize(tally) };
+}
+
 /**
- * Find rhyming patterns — syllables that share the same 중성+종성
+ * Find rhyming patterns — syllables that share the same 중성+종성.
+ * With { positions: true } each syllable is { syllable, position } instead
+ * of a string.
  */
-function findRhymes(text) {
-  const analysis = analyze(text);
+function findRhymes(text, options = {}) {
+  const prepared = options.positions ? prepareMapped(text, options) : null;
+  text = prepared ? prepared.text : prepare(text, options);
   const endings = {};
 
-  for (const s of analysis.syllables) {
-    const key = s.jung + (s.jong || '');
-    if (!endings[key]) endings[key] = [];
-    endings[key].push(s.syllable);
+  for (let i = 0; i < text.length; i++) {
+    const offset = text.charCodeAt(i) - SYLLABLE_BASE;
+    if (offset < 0 || offset >= SYLLABLE_COUNT) continue;
+    const key = JUNGSEONG[Math.floor(offset / 28) % 21] + JONGSEONG[offset % 28];
+    const item = prepared ? { syllable: text[i], position: prepared.locate(i, i + 1) } : text[i];
+    (endings[key] ||= []).push(item);
   }
 
   return Object.fromEntries(
@@ -159,26 +364,129 @@ function findRhymes(text) {
   );
 }
 
+/**
+ * Streaming analyzer for text too large to hold in memory.
+ *
+ *   const analyzer = createAnalyzer();
+ *   for await (const chunk of stream) analyzer.push(chunk);
+ *   analyzer.result();       // analyze() without the syllables array, plus rhymes
+ *   analyzer.fingerprint();  // same as fingerprint() on the whole text
+ *
+ * Chunks may be strings or UTF-8 bytes (Buffer, Uint8Array), split anywhere.
+ * Text is analyzed a line at a time, so jamo sequences and pronunciation
+ * never straddle a chunk boundary. Only a line longer than 64K characters
+ * is cut early, at whitespace.
+ *
+ * Analyzers are mergeable: state() returns a plain object that can be posted
+ * from a worker thread, and merge() adds an analyzer or state into this one.
+ * Each merged part counts as separate text, with its own lines.
+ */
+function createAnalyzer(options = {}) {
+  const tally = createTally();
+  let pending = '';
+  let decoder = null;
+  let ended = false;
+
+  const consume = (text) => tallyText(tally, prepare(text, options));
+
+  const analyzer = {
+    push(chunk) {
+      if (ended) throw new Error('Analyzer already ended');
+      if (typeof chunk !== 'string') {
+        decoder ||= new TextDecoder('utf-8');
+        chunk = decoder.decode(chunk, { stream: true });
+      }
+      pending += chunk;
+      const cut = safeCut(pending);
+      if (cut > 0) {
+        consume(pending.slice(0, cut));
+        pending = pending.slice(cut);
+      }
+      return analyzer;
+    },
+
+    // Analyze whatever is left; push() is not allowed afterwards
+    end() {
+      if (ended) return analyzer;
+      if (decoder) pending += decoder.decode();
+      consume(pending);
+      pending = '';
+      closeLine(tally);
+      ended = true;
+      return analyzer;
+    },
+
+    merge(other) {
+      const state = typeof other.state === 'function' ? other.state() : other;
+      mergeTally(tally, state);
+      return analyzer;
+    },
+
+    state() {
+      analyzer.end();
+      return {
+        syllables: tally.firstSeen.map(offset => [offset, tally.counts[offset]]),
+        old: [...tally.old],
+        lines: { count: tally.lineCount, sum: tally.lineSum, sumOfSquares: tally.lineSumSq }
+      };
+    },
+
+    result() {
+      analyzer.end();
+      return { ...summarize(tally), rhymes: rhymeGroups(tally) };
+    },
+
+    fingerprint() {
+      analyzer.end();
+      return fingerprintOf(tally);
+    }
+  };
+
+  return analyzer;
+}
+
+/**
+ * Run a readable stream (Node or web) through a new analyzer.
+ * Resolves with the ended analyzer.
+ */
+async function analyzeStream(stream, options = {}) {
+  const analyzer = createAnalyzer(options);
+  for await (const chunk of stream) analyzer.push(chunk);
+  return analyzer.end();
+}
+
 /**
  * Detect vowel harmony patterns (모음조화)
  * Traditional Korean follows vowel harmony: bright vowels pair with bright, dark with dark
+ *
+ * Options: { harmony: 'middle-korean' } classifies vowels as 15th-century
+ * texts do, with ㅡ 음성 opposite ㆍ 양성 and only ㅣ neutral.
+ *
+ * Returns [{ word, pattern, position }], one per whitespace-separated word.
  */
-function vowelHarmonyAnalysis(text) {
-  const analysis = analyze(text);
-  const words = text.split(/\s+/);
+function vowelHarmonyAnalysis(text, options = {}) {
+  const classes = HARMONY_SYSTEMS[options.harmony || 'modern'];
+  if (!classes) throw new Error(`Unknown vowel harmony system: ${options.harmony}`);
+  const prepared = prepareMapped(text, options);
   const wordPatterns = [];
 
-  for (const word of words) {
+  for (const match of prepared.text.matchAll(/\S+/g)) {
+    const word = match[0];
     const pattern = [];
-    for (const ch of word) {
-      const d = decompose(ch);
-      if (!d) continue;
-      if (VOWEL_TYPES.bright.includes(d.jung)) pattern.push('+');
-      else if (VOWEL_TYPES.dark.includes(d.jung)) pattern.push('-');
-      else pattern.push('·');
+    for (let i = 0; i < word.length; i++) {
+      const old = readOldSyllable(word, i);
+      if (old) {
+        pattern.push(HARMONY_MARKS[vowelClass(old.jung, classes)]);
+        i += old.length - 1;
+        continue;
+      }
+      const offset = word.charCodeAt(i) - SYLLABLE_BASE;
+      if (offset < 0 || offset >= SYLLABLE_COUNT) continue;
+      pattern.push(HARMONY_MARKS[classes[Math.floor(offset / 28) % 21]]);
     }
     if (pattern.length > 0) {
-      wordPatterns.push({ word, pattern: pattern.join('') });
+      const position = prepared.locate(match.index, match.index + word.length);
+      wordPatterns.push({ word, pattern: pattern.join(''), position });
     }
   }
 
@@ -188,9 +496,10 @@ function vowelHarmonyAnalysis(text) {
 /**
  * Structural signature — reduce a syllable to its CV(C) pattern
  */
-function structuralPattern(text) {
+function structuralPattern(text, options = {}) {
+  text = prepare(text, options);
   const result = [];
-  for (const ch of text) {
+  for (const [ch] of units(text)) {
     const d = decompose(ch);
     if (!d) {
       if (ch.trim()) result.push(ch);
@@ -210,9 +519,20 @@ function structuralPattern(text) {
  * - Vowel brightness (양성 vs 음성 balance)
  * - Syllable weight (open vs closed ratio)
  * - Rhythmic density (how many heavy syllables per line)
+ * - Consonant texture (tense/aspirated share, sonorants, place of articulation)
+ *
+ * Old Hangul syllables count toward totals, brightness and weight; the
+ * consonant and vowel profiles cover modern jamo so fingerprints stay comparable.
  */
-function fingerprint(text) {
-  const result = analyze(text);
+function fingerprint(text, options = {}) {
+  const tally = createTally();
+  tallyText(tally, prepare(text, options));
+  closeLine(tally);
+  return fingerprintOf(tally);
+}
+
+function fingerprintOf(tally) {
+  const result = summarize(tally);
   if (result.totalSyllables === 0) return null;
 
   const total = result.totalSyllables;
@@ -229,8 +549,14 @@ function fingerprint(text) {
     jungProfile[v] = (result.jungFreq[v] || 0) / total;
   }
 
+  // Final consonant profile: share of syllables closing on each 종성
+  const jongProfile = {};
+  for (const j of JONGSEONG.slice(1)) {
+    jongProfile[j] = (result.jongFreq[j] || 0) / total;
+  }
+
   // Brightness: -1 (all dark) to +1 (all bright)
-  const { bright, dark, neutral } = result.vowelHarmony;
+  const { bright, dark } = result.vowelHarmony;
   const brightnessRaw = bright - dark;
   const brightnessMax = bright + dark || 1;
   const brightness = brightnessRaw / brightnessMax;
@@ -239,18 +565,10 @@ function fingerprint(text) {
   const weight = result.jongRatio;
 
   // Rhythmic analysis: variance in syllable count per line
-  const lines = text.split('\n').filter(l => l.trim());
-  const lineLengths = lines.map(line => {
-    let count = 0;
-    for (const ch of line) { if (isSyllable(ch)) count++; }
-    return count;
-  }).filter(n => n > 0);
-
-  const avgLineLength = lineLengths.length
-    ? lineLengths.reduce((a, b) => a + b, 0) / lineLengths.length
-    : 0;
-  const lineVariance = lineLengths.length > 1
-    ? lineLengths.reduce((sum, n) => sum + (n - avgLineLength) ** 2, 0) / lineLengths.length
+  const { lineCount, lineSum, lineSumSq } = tally;
+  const avgLineLength = lineCount ? lineSum / lineCount : 0;
+  const lineVariance = lineCount > 1
+    ? Math.max(0, lineSumSq / lineCount - avgLineLength ** 2)
     : 0;
   const rhythmRegularity = avgLineLength > 0
     ? 1 - Math.min(1, Math.sqrt(lineVariance) / avgLineLength)
@@ -274,8 +592,13 @@ function fingerprint(text) {
     avgLineLength: round(avgLineLength, 1),
     consonantDiversity: round(consonantDiversity, 3),
     vowelDiversity: round(vowelDiversity, 3),
+    // Consonant texture (see articulation.js)
+    tensionRatio: result.articulation.tensionRatio,
+    sonorityRatio: result.articulation.sonorityRatio,
     choProfile,
     jungProfile,
+    jongProfile,
+    placeProfile: result.articulation.place,
     // Top 3 most frequent sounds
     topCho: Object.entries(result.choFreq).slice(0, 3).map(([k]) => k),
     topJung: Object.entries(result.jungFreq).slice(0, 3).map(([k]) => k)
@@ -285,28 +608,285 @@ function fingerprint(text) {
 /**
  * Compare two texts by computing cosine similarity between their fingerprints.
  * Returns a value from 0 (completely different) to 1 (identical profile).
+ *
+ * metric, features and weights options choose how (see similarity.js);
+ * { explain: true } returns the breakdown from explain() instead, of the
+ * same vector and metric the similarity comes from.
+ */
+function compare(textA, textB, options = {}) {
+  const fpA = fingerprint(textA, options);
+  const fpB = fingerprint(textB, options);
+  if (options.explain) {
+    return explain(fpA, fpB, choosesFeatures(options) ? options : { ...options, features: 'fingerprint' });
+  }
+  return compareFingerprints(fpA, fpB, options);
+}
+
+/**
+ * Cosine similarity between two fingerprints, or null if either is missing.
+ * Without metric, features or weights this is the fixed fingerprintVector()
+ * comparison that corpora use.
  */
-function compare(textA, textB) {
-  const fpA = fingerprint(textA);
-  const fpB = fingerprint(textB);
+function compareFingerprints(fpA, fpB, options = {}) {
+  if (choosesFeatures(options)) return similarity(fpA, fpB, options);
   if (!fpA || !fpB) return null;
+  return round(cosineSimilarity(fingerprintVector(fpA), fingerprintVector(fpB)), 4);
+}
 
-  // Build vectors from cho + jung profiles
-  const vecA = [];
-  const vecB = [];
-  for (const c of CHOSEONG) {
-    vecA.push(fpA.choProfile[c] || 0);
-    vecB.push(fpB.choProfile[c] || 0);
+function choosesFeatures(options) {
+  return Boolean(options.metric || options.features || options.weights);
+}
+
+/**
+ * Flatten a fingerprint into the vector compare() works on:
+ * cho profile, jung profile, then brightness, weight and rhythm regularity.
+ */
+function fingerprintVector(fp) {
+  const vec = [];
+  for (const c of CHOSEONG) vec.push(fp.choProfile[c] || 0);
+  for (const v of JUNGSEONG) vec.push(fp.jungProfile[v] || 0);
+  vec.push(fp.brightness, fp.weight, fp.rhythmRegularity);
+  return vec;
+}
+
+// Per-syllable counts in order of first appearance, plus syllables per line.
+// Everything analyze() reports is derived from these, so tallies merge by addition.
+// Old Hangul syllables have no code point and are counted by sequence.
+function createTally() {
+  return {
+    counts: new Uint32Array(SYLLABLE_COUNT),
+    firstSeen: [],
+    old: new Map(),
+    lineCount: 0,
+    lineSum: 0,
+    lineSumSq: 0,
+    openLine: 0
+  };
+}
+
+function tallyText(tally, text) {
+  const { counts, firstSeen } = tally;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    const offset = code - SYLLABLE_BASE;
+    if (offset >= 0 && offset < SYLLABLE_COUNT) {
+      // An open syllable may take an Old Hangul final: 가ᇫ
+      if (offset % 28 === 0 && isConjoiningCode(text.charCodeAt(i + 1)) && tallyOld(tally, text, i)) {
+        i++;
+        continue;
+      }
+      if (counts[offset]++ === 0) firstSeen.push(offset);
+      tally.openLine++;
+    } else if (code === 10) {
+      closeLine(tally);
+    } else if (isConjoiningCode(code)) {
+      const length = tallyOld(tally, text, i);
+      if (length) i += length - 1;
+    }
   }
-  for (const v of JUNGSEONG) {
-    vecA.push(fpA.jungProfile[v] || 0);
-    vecB.push(fpB.jungProfile[v] || 0);
+}
+
+// Count the Old Hangul syllable at text[i]; returns its length, or 0 if there is none
+function tallyOld(tally, text, i) {
+  const old = readOldSyllable(text, i);
+  if (!old) return 0;
+  tally.old.set(old.syllable, (tally.old.get(old.syllable) || 0) + 1);
+  tally.openLine++;
+  return old.length;
+}
+
+// Lines without syllables do not count toward rhythm
+function closeLine(tally) {
+  const n = tally.openLine;
+  if (n > 0) {
+    tally.lineCount++;
+    tally.lineSum += n;
+    tally.lineSumSq += n * n;
+  }
+  tally.openLine = 0;
+}
+
+function mergeTally(tally, state) {
+  for (const [offset, n] of state.syllables) {
+    if (tally.counts[offset] === 0) tally.firstSeen.push(offset);
+    tally.counts[offset] += n;
+  }
+  for (const [syllable, n] of state.old || []) {
+    tally.old.set(syllable, (tally.old.get(syllable) || 0) + n);
   }
-  // Add scalar features
-  vecA.push(fpA.brightness, fpA.weight, fpA.rhythmRegularity);
-  vecB.push(fpB.brightness, fpB.weight, fpB.rhythmRegularity);
+  tally.lineCount += state.lines.count;
+  tally.lineSum += state.lines.sum;
+  tally.lineSumSq += state.lines.sumOfSquares;
+}
 
-  return round(cosineSimilarity(vecA, vecB), 4);
+// Frequencies keep first-appearance order before sorting, so ties rank as in the text
+function summarize(tally) {
+  const choFreq = {};
+  const jungFreq = {};
+  const jongFreq = {};
+  const harmony = { 1: 0, '-1': 0, 0: 0 };
+  let totalSyllables = 0;
+  let withJong = 0;
+
+  for (const offset of tally.firstSeen) {
+    const n = tally.counts[offset];
+    const cho = CHOSEONG[Math.floor(offset / 588)];
+    const jungIdx = Math.floor(offset / 28) % 21;
+    const jong = JONGSEONG[offset % 28];
+
+    totalSyllables += n;
+    choFreq[cho] = (choFreq[cho] || 0) + n;
+    jungFreq[JUNGSEONG[jungIdx]] = (jungFreq[JUNGSEONG[jungIdx]] || 0) + n;
+    if (jong) {
+      jongFreq[jong] = (jongFreq[jong] || 0) + n;
+      withJong += n;
+    }
+    harmony[VOWEL_CLASS[jungIdx]] += n;
+  }
+
+  for (const [syllable, n] of tally.old) {
+    const { cho, jung, jong } = readOldSyllable(syllable);
+    totalSyllables += n;
+    choFreq[cho] = (choFreq[cho] || 0) + n;
+    jungFreq[jung] = (jungFreq[jung] || 0) + n;
+    if (jong) {
+      jongFreq[jong] = (jongFreq[jong] || 0) + n;
+      withJong += n;
+    }
+    harmony[vowelClass(jung, VOWEL_CLASS)] += n;
+  }
+
+  const brightVowels = harmony[1];
+  const darkVowels = harmony[-1];
+  const articulation = articulationProfile({ choFreq, jongFreq });
+  return {
+    totalSyllables,
+    withJong,
+    withoutJong: totalSyllables - withJong,
+    jongRatio: totalSyllables ? withJong / totalSyllables : 0,
+    choFreq: sortByValue(choFreq),
+    jungFreq: sortByValue(jungFreq),
+    jongFreq: sortByValue(jongFreq),
+    vowelHarmony: {
+      bright: brightVowels,
+      dark: darkVowels,
+      neutral: harmony[0],
+      tendency: brightVowels > darkVowels ? '양성 (bright)' :
+                darkVowels > brightVowels ? '음성 (dark)' : '균형 (balanced)'
+    },
+    articulation
+  };
+}
+
+// Harmony class of a vowel letter; Old Hangul vowels are classed as in Middle Korean
+function vowelClass(vowel, classes) {
+  const idx = JUNGSEONG.indexOf(vowel);
+  return idx >= 0 ? classes[idx] : oldVowelClass(vowel);
+}
+
+// findRhymes grouping from counts: { ending: { count, syllables } }
+function rhymeGroups(tally) {
+  const endings = {};
+  for (const offset of tally.firstSeen) {
+    const key = JUNGSEONG[Math.floor(offset / 28) % 21] + JONGSEONG[offset % 28];
+    const group = endings[key] ||= { count: 0, syllables: [] };
+    group.count += tally.counts[offset];
+    group.syllables.push(String.fromCharCode(SYLLABLE_BASE + offset));
+  }
+
+  return Object.fromEntries(
+    Object.entries(endings)
+      .filter(([, g]) => g.count > 1)
+      .sort((a, b) => b[1].count - a[1].count)
+  );
+}
+
+// Where pending stream text can be split: after the last newline, or for a
+// very long line after its last whitespace, else before the last syllable
+// (so NFD jamo stay together) or the last code point. 0 means wait for more text.
+function safeCut(text) {
+  const newline = text.lastIndexOf('\n') + 1;
+  if (newline > 0 || text.length < MAX_PENDING) return newline;
+  const space = text.search(/\s\S*$/) + 1;
+  if (space > 0) return space;
+  const syllable = text.search(/[\uAC00-\uD7A3\u1100-\u115F\uA960-\uA97C][^\uAC00-\uD7A3\u1100-\u115F\uA960-\uA97C]*$/);
+  if (syllable > 0) return syllable;
+  return /[\uDC00-\uDFFF]/.test(text.at(-1)) ? text.length - 2 : text.length - 1;
+}
+
+function prepare(text, options) {
+  text = toSyllables(text, options);
+  if (options.numbers) text = spellNumbers(text);
+  return options.phonetic ? pronounce(text).text : text;
+}
+
+// prepare(), plus locate(start, end) taking a range of the prepared text to
+// its position in the source. starts[i]..ends[i] is the source range that
+// prepared code unit i came from; null while the two line up one to one.
+function prepareMapped(source, options) {
+  source = String(source);
+  let text = toSyllables(source, options);
+  let starts = null;
+  let ends = null;
+  if (text !== source) ({ starts, ends } = alignComposed(source, text));
+
+  const readings = options.numbers ? numberReadings(text) : [];
+  if (readings.length > 0) {
+    const from = (i) => (starts ? starts[i] : i);
+    const to = (i) => (ends ? ends[i] : i + 1);
+    const spelledStarts = [];
+    const spelledEnds = [];
+    const copy = (a, b) => {
+      for (let i = a; i < b; i++) {
+        spelledStarts.push(from(i));
+        spelledEnds.push(to(i));
+      }
+    };
+    let out = '';
+    let last = 0;
+    // Every character of a reading spans the whole number it reads
+    for (const { index, length, reading } of readings) {
+      copy(last, index);
+      for (let k = 0; k < reading.length; k++) {
+        spelledStarts.push(from(index));
+        spelledEnds.push(to(index + length - 1));
+      }
+      out += text.slice(last, index) + reading;
+      last = index + length;
+    }
+    copy(last, text.length);
+    text = out + text.slice(last);
+    starts = spelledStarts;
+    ends = spelledEnds;
+  }
+
+  // Pronunciation swaps one syllable for another, so offsets still hold
+  if (options.phonetic) text = pronounce(text).text;
+
+  const index = createPositionIndex(source);
+  const locate = (start, end) => index.locate(
+    starts ? starts[start] : start,
+    ends ? ends[end - 1] : end
+  );
+  return { text, locate };
+}
+
+// Source ranges for the output of toSyllables: where the two differ, a
+// syllable was composed from 2 or 3 jamo, or from an open syllable and a final
+function alignComposed(source, text) {
+  const starts = new Array(text.length);
+  const ends = new Array(text.length);
+  let i = 0;
+  for (let j = 0; j < text.length; j++) {
+    let consumed = 1;
+    if (text[j] !== source[i] && isSyllable(text[j])) {
+      consumed = decompose(text[j]).hasJong && !isSyllable(source[i]) ? 3 : 2;
+    }
+    starts[j] = Math.min(i, source.length);
+    ends[j] = Math.min(i + consumed, source.length);
+    i += consumed;
+  }
+  return { starts, ends };
 }
 
 function shannonEntropy(probs) {
@@ -337,6 +917,8 @@ function sortByValue(obj) {
 
 export {
   CHOSEONG, JUNGSEONG, JONGSEONG, CONSONANT_NAMES, VOWEL_TYPES,
-  isSyllable, decompose, compose, analyze, findRhymes,
-  vowelHarmonyAnalysis, structuralPattern, fingerprint, compare
+  isSyllable, isJamo, decompose, compose, toSyllables, toConjoining, toCompatibility,
+  analyze, findRhymes, createAnalyzer, analyzeStream,
+  vowelHarmonyAnalysis, structuralPattern, fingerprint, compare,
+  compareFingerprints, fingerprintVector
 };
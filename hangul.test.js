@@ -2,9 +2,11 @@ import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import {
   decompose, compose, analyze, findRhymes,
-  vowelHarmonyAnalysis, structuralPattern, isSyllable,
-  fingerprint, compare
+  vowelHarmonyAnalysis, structuralPattern, isSyllable, isJamo,
+  toSyllables, toConjoining, toCompatibility,
+  fingerprint, compare, createAnalyzer, analyzeStream
 } from './hangul.js';
+import { Readable } from 'node:stream';
 
 describe('decompose', () => {
   it('decomposes 한 correctly', () => {
@@ -65,6 +67,53 @@ describe('isSyllable', () => {
   });
 });
 
+describe('conjoining and compatibility jamo', () => {
+  const nfd = '한글'.normalize('NFD');
+
+  it('identifies jamo in both forms', () => {
+    assert.equal(isJamo('ㄱ'), true);
+    assert.equal(isJamo('ᄀ'), true);
+    assert.equal(isJamo('ᆫ'), true);
+    assert.equal(isJamo('가'), false);
+  });
+
+  it('composes NFD sequences into syllables', () => {
+    assert.equal(toSyllables(nfd), '한글');
+    assert.equal(toSyllables('가\u11AB'), '간');  // LV + T
+  });
+
+  it('composes compatibility jamo only on request', () => {
+    assert.equal(toSyllables('ㅎㅏㄴㄱㅡㄹ'), 'ㅎㅏㄴㄱㅡㄹ');
+    assert.equal(toSyllables('ㅎㅏㄴㄱㅡㄹ', { compatibility: true }), '한글');
+    assert.equal(toSyllables('ㅋㅋㅋ', { compatibility: true }), 'ㅋㅋㅋ');
+  });
+
+  it('converts to NFD and compatibility form', () => {
+    assert.equal(toConjoining('한글 A'), '한글 A'.normalize('NFD'));
+    assert.equal(toCompatibility('한글'), 'ㅎㅏㄴㄱㅡㄹ');
+    assert.equal(toCompatibility(nfd), 'ㅎㅏㄴㄱㅡㄹ');
+  });
+
+  it('decomposes jamo sequences and returns conjoining jamo on request', () => {
+    assert.equal(decompose(nfd.slice(0, 3)).jong, 'ㄴ');
+    assert.equal(decompose('ㅎㅏㄴ').syllable, '한');
+    const d = decompose('한', { conjoining: true });
+    assert.equal(d.cho, '\u1112');
+    assert.equal(d.jong, '\u11AB');
+  });
+
+  it('composes from conjoining jamo and to conjoining form', () => {
+    assert.equal(compose('\u1112', '\u1161', '\u11AB'), '한');
+    assert.equal(compose('ㅎ', 'ㅏ', 'ㄴ', { conjoining: true }), nfd.slice(0, 3));
+  });
+
+  it('analyzes NFD text like composed text', () => {
+    assert.equal(analyze(nfd).totalSyllables, 2);
+    assert.equal(structuralPattern(nfd), 'CVC CVC');
+    assert.equal(compare(nfd, '한글'), 1);
+  });
+});
+
 describe('analyze', () => {
   it('counts syllables correctly', () => {
     const result = analyze('한글');
@@ -94,6 +143,14 @@ describe('analyze', () => {
   });
 });
 
+describe('numbers option', () => {
+  it('counts spelled-out numbers as syllables', () => {
+    assert.equal(analyze('사과 3개').totalSyllables, 3);
+    assert.equal(analyze('사과 3개', { numbers: true }).totalSyllables, 4);
+    assert.equal(fingerprint('2시 30분', { numbers: true }).totalSyllables, 5);
+  });
+});
+
 describe('findRhymes', () => {
   it('finds syllables with same ending', () => {
     // 산, 간, 만 all end in ㅏ+ㄴ
@@ -211,3 +268,78 @@ describe('compare', () => {
     assert.equal(compare('Hello', 'World'), null);
   });
 });
+
+describe('createAnalyzer', () => {
+  const poem = '죽는 날까지 하늘을 우러러\n한 점 부끄럼이 없기를,\n잎새에 이는 바람에도\n나는 괴로워했다.';
+
+  it('matches analyze and fingerprint on the whole text', () => {
+    const analyzer = createAnalyzer();
+    for (let i = 0; i < poem.length; i += 5) analyzer.push(poem.slice(i, i + 5));
+
+    const { syllables, ...stats } = analyze(poem);
+    const { rhymes, ...result } = analyzer.result();
+    assert.deepEqual(result, stats);
+    assert.deepEqual(analyzer.fingerprint(), fingerprint(poem));
+    assert.deepEqual(Object.keys(rhymes), Object.keys(findRhymes(poem)));
+  });
+
+  it('reports rhymes as counts with unique syllables', () => {
+    const { rhymes } = createAnalyzer().push('산 간 산 물').result();
+    assert.deepEqual(rhymes['ㅏㄴ'], { count: 3, syllables: ['산', '간'] });
+    assert.equal(rhymes['ㅜㄹ'], undefined);
+  });
+
+  it('composes NFD syllables split across chunks', () => {
+    const nfd = toConjoining('한글');
+    const analyzer = createAnalyzer();
+    for (const ch of nfd) analyzer.push(ch);
+    assert.equal(analyzer.result().totalSyllables, 2);
+    assert.deepEqual(analyzer.result().choFreq, { 'ㅎ': 1, 'ㄱ': 1 });
+  });
+
+  it('cuts very long lines without whitespace between syllables', () => {
+    const line = toConjoining('한글').repeat(20000) + '가나다'.repeat(30000);
+    const analyzer = createAnalyzer();
+    for (let i = 0; i < line.length; i += 1000) analyzer.push(line.slice(i, i + 1000));
+    const { totalSyllables, choFreq } = analyzer.end().result();
+    assert.equal(totalSyllables, 130000);
+    assert.deepEqual(choFreq, analyze(line).choFreq);
+  });
+
+  it('decodes UTF-8 bytes split inside a character', () => {
+    const bytes = new TextEncoder().encode('가나다\n라마');
+    const analyzer = createAnalyzer();
+    for (const byte of bytes) analyzer.push(Uint8Array.of(byte));
+    assert.equal(analyzer.fingerprint().totalSyllables, 5);
+    assert.equal(analyzer.fingerprint().avgLineLength, 2.5);
+  });
+
+  it('keeps pronunciation across chunk boundaries', () => {
+    const analyzer = createAnalyzer({ phonetic: true });
+    analyzer.push('국').push('물');
+    assert.deepEqual(analyzer.result().jongFreq, { 'ㅇ': 1, 'ㄹ': 1 });
+  });
+
+  it('merges analyzers and posted state', () => {
+    const lines = poem.split('\n');
+    const whole = createAnalyzer().push(lines.join('\n'));
+    const first = createAnalyzer().push(lines.slice(0, 2).join('\n'));
+    const second = createAnalyzer().push(lines.slice(2).join('\n'));
+    const posted = structuredClone(second.state());
+
+    const merged = createAnalyzer().merge(first).merge(posted);
+    assert.deepEqual(merged.result(), whole.result());
+    assert.deepEqual(merged.fingerprint(), whole.fingerprint());
+  });
+
+  it('rejects pushes after end', () => {
+    const analyzer = createAnalyzer().push('가').end();
+    assert.throws(() => analyzer.push('나'), /already ended/);
+  });
+
+  it('reads a Node stream', async () => {
+    const stream = Readable.from([Buffer.from(poem.slice(0, 7)), Buffer.from(poem.slice(7))]);
+    const analyzer = await analyzeStream(stream);
+    assert.deepEqual(analyzer.fingerprint(), fingerprint(poem));
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Jamo Streams
+ *
+ * `compose` builds one syllable from exact table entries. This module works on
+ * flat jamo streams instead, the way a 2-beolsik (두벌식) input method does:
+ *
+ *   ㅎㅏㄴㄱㅡㄹ → 한글     a final moves to the next syllable when a vowel follows
+ *   ㄷㅏㄹㄱ     → 닭       two finals combine into a double final
+ *   ㅎㅗㅏ       → 화       two vowels combine into a compound vowel
+ *
+ * and the reverse: breaking text into jamo, optionally down to basic letters.
+ */
+
+import { CHOSEONG, JUNGSEONG, JONGSEONG, compose, toCompatibility } from './hangul.js';
+
+// Compound vowels and the two basic vowels typed to produce them
+const COMPOUND_VOWELS = {
+  'ㅘ': ['ㅗ', 'ㅏ'], 'ㅙ': ['ㅗ', 'ㅐ'], 'ㅚ': ['ㅗ', 'ㅣ'],
+  'ㅝ': ['ㅜ', 'ㅓ'], 'ㅞ': ['ㅜ', 'ㅔ'], 'ㅟ': ['ㅜ', 'ㅣ'],
+  'ㅢ': ['ㅡ', 'ㅣ']
+};
+
+// Double finals (겹받침) and their two consonants
+const COMPOUND_FINALS = {
+  'ㄳ': ['ㄱ', 'ㅅ'], 'ㄵ': ['ㄴ', 'ㅈ'], 'ㄶ': ['ㄴ', 'ㅎ'], 'ㄺ': ['ㄹ', 'ㄱ'],
+  'ㄻ': ['ㄹ', 'ㅁ'], 'ㄼ': ['ㄹ', 'ㅂ'], 'ㄽ': ['ㄹ', 'ㅅ'], 'ㄾ': ['ㄹ', 'ㅌ'],
+  'ㄿ': ['ㄹ', 'ㅍ'], 'ㅀ': ['ㄹ', 'ㅎ'], 'ㅄ': ['ㅂ', 'ㅅ']
+};
+
+const VOWEL_PAIRS = pairIndex(COMPOUND_VOWELS);
+const FINAL_PAIRS = pairIndex(COMPOUND_FINALS);
+
+/**
+ * Split a compound vowel or double final into its basic jamo.
+ * Any other jamo is returned on its own.
+ */
+function splitJamo(jamo) {
+  return COMPOUND_VOWELS[jamo] || COMPOUND_FINALS[jamo] || [jamo];
+}
+
+/**
+ * Combine two basic jamo into a compound vowel or double final, or null
+ */
+function combineJamo(a, b) {
+  return VOWEL_PAIRS[a + b] || FINAL_PAIRS[a + b] || null;
+}
+
+/**
+ * Assemble a jamo stream into syllables like a 2-beolsik input automaton.
+ * Syllables already in the input are opened back up, so 하ㄴ becomes 한.
+ * Characters that are not jamo end the current syllable and pass through.
+ */
+function assemble(text) {
+  let out = '';
+  let cho = '';
+  let jung = '';
+  let jong = '';
+
+  const flush = () => {
+    if (cho && jung) out += compose(cho, jung, jong);
+    else out += cho + jung;
+    cho = jung = jong = '';
+  };
+
+  for (const ch of toCompatibility(text)) {
+    if (JUNGSEONG.includes(ch)) {
+      if (jong) {
+        // The final starts the new syllable; a double final gives up its second half
+        const [stay, move] = COMPOUND_FINALS[jong] || ['', jong];
+        jong = stay;
+        flush();
+        cho = move;
+        jung = ch;
+      } else if (jung && VOWEL_PAIRS[jung + ch]) {
+        jung = VOWEL_PAIRS[jung + ch];
+      } else if (jung || !cho) {
+        flush();
+        jung = ch;
+      } else {
+        jung = ch;
+      }
+      continue;
+    }
+
+    if (CHOSEONG.includes(ch) || JONGSEONG.includes(ch, 1)) {
+      if (jong && FINAL_PAIRS[jong + ch]) {
+        jong = FINAL_PAIRS[jong + ch];
+      } else if (cho && jung && !jong && JONGSEONG.includes(ch, 1)) {
+        jong = ch;
+      } else {
+        flush();
+        if (CHOSEONG.includes(ch)) cho = ch;
+        else out += ch;
+      }
+      continue;
+    }
+
+    flush();
+    out += ch;
+  }
+
+  flush();
+  return out;
+}
+
+/**
+ * Break text into compatibility jamo: 한글 → ㅎㅏㄴㄱㅡㄹ.
+ * With { splitCompound: true }, compound vowels and double finals are split
+ * into basic jamo as typed on a keyboard: 닭 → ㄷㅏㄹㄱ, 화 → ㅎㅗㅏ.
+ */
+function disassemble(text, options = {}) {
+  const jamo = toCompatibility(text);
+  if (!options.splitCompound) return jamo;
+
+  let out = '';
+  for (const ch of jamo) out += splitJamo(ch).join('');
+  return out;
+}
+
+function pairIndex(compounds) {
+  return Object.fromEntries(
+    Object.entries(compounds).map(([compound, [a, b]]) => [a + b, compound])
+  );
+}
+
+export { COMPOUND_VOWELS, COMPOUND_FINALS, assemble, disassemble, splitJamo, combineJamo };
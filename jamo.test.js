@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { assemble, disassemble, splitJamo } from './jamo.js';
+
+describe('assemble', () => {
+  it('builds syllables from a jamo stream', () => {
+    assert.equal(assemble('ㅎㅏㄴㄱㅡㄹ'), '한글');
+  });
+
+  it('combines compound vowels and double finals', () => {
+    assert.equal(assemble('ㅎㅗㅏ'), '화');
+    assert.equal(assemble('ㄷㅏㄹㄱ'), '닭');
+    assert.equal(assemble('ㅂㅜㅔㄹㄱ'), '뷁');
+  });
+
+  it('moves a final to the next syllable when a vowel follows', () => {
+    assert.equal(assemble('ㄷㅏㄹㄱㅣ'), '달기');
+    assert.equal(assemble('ㄷㅏㄹㄱㅇㅣ'), '닭이');
+  });
+
+  it('leaves incomplete jamo and other characters alone', () => {
+    assert.equal(assemble('ㅋㅋㅋ!'), 'ㅋㅋㅋ!');
+    assert.equal(assemble('ㄸㅏㄸ'), '따ㄸ');
+    assert.equal(assemble('ㄱㅏㅂㅅ ㅇㅓㅂㅅㅇㅓ'), '값 없어');
+  });
+
+  it('continues syllables already in the input', () => {
+    assert.equal(assemble('하ㄴ'), '한');
+  });
+});
+
+describe('disassemble', () => {
+  it('breaks syllables into compatibility jamo', () => {
+    assert.equal(disassemble('닭 화'), 'ㄷㅏㄺ ㅎㅘ');
+  });
+
+  it('splits compound jamo on request', () => {
+    assert.equal(disassemble('닭 화', { splitCompound: true }), 'ㄷㅏㄹㄱ ㅎㅗㅏ');
+    assert.deepEqual(splitJamo('ㄳ'), ['ㄱ', 'ㅅ']);
+    assert.deepEqual(splitJamo('ㄱ'), ['ㄱ']);
+  });
+
+  it('roundtrips through assemble', () => {
+    const text = '닭이 훨씬 밝은 의자에 앉았다';
+    assert.equal(assemble(disassemble(text, { splitCompound: true })), text);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Josa (조사) Selection
+ *
+ * Many particles have two forms, picked by whether the word before them ends
+ * in a final consonant (받침):
+ *
+ *   은/는  이/가  을/를  과/와  아/야  (이)나  (이)라고  (으)로
+ *
+ * (으)로 also drops 으 after ㄹ: 서울로, 길로. Words that do not end in
+ * Hangul are judged by how they are read: 3 → 삼 → 3을, 10 → 십 → 10을,
+ * URL → 유알엘 → URL을. Trailing punctuation, quotes and a parenthetical
+ * are skipped: "서울(Seoul)" takes 서울's particle.
+ */
+
+import { CONSONANT_NAMES, decompose, isJamo } from './hangul.js';
+import { readSino } from './numerals.js';
+
+// [form after a final consonant, form after a vowel]
+const PAIRS = [
+  ['은', '는'], ['이', '가'], ['을', '를'], ['과', '와'], ['아', '야'],
+  ['이나', '나'], ['이라고', '라고'], ['으로', '로'], ['이랑', '랑'], ['이며', '며'],
+  ['이여', '여'], ['이야', '야'], ['이에요', '예요'], ['이었다', '였다']
+];
+
+const FORMS = {};
+for (const pair of PAIRS) {
+  const [withFinal, withoutFinal] = pair;
+  FORMS[`${withFinal}/${withoutFinal}`] = pair;
+  FORMS[`${withoutFinal}/${withFinal}`] = pair;
+  FORMS[withoutFinal] ||= pair;
+  FORMS[withFinal] ||= pair;
+  // (이)나, (으)로: the form after a final consonant adds a syllable or two
+  const added = withFinal.slice(0, -withoutFinal.length);
+  if (withFinal.endsWith(withoutFinal) && added) FORMS[`(${added})${withoutFinal}`] = pair;
+}
+
+// Korean names of the Latin letters, as used when spelling acronyms
+const LETTER_READINGS = {
+  a: '에이', b: '비', c: '씨', d: '디', e: '이', f: '에프', g: '지', h: '에이치',
+  i: '아이', j: '제이', k: '케이', l: '엘', m: '엠', n: '엔', o: '오', p: '피',
+  q: '큐', r: '알', s: '에스', t: '티', u: '유', v: '브이', w: '더블유', x: '엑스',
+  y: '와이', z: '제트'
+};
+
+// Endings of Latin words as transcribed: apple → 애플, desk → 데스크 is
+// open but book → 북 is not. Only endings that reliably keep a 받침 count.
+const LATIN_FINALS = [
+  [/ng$/i, 'ㅇ'], [/(l|le)$/i, 'ㄹ'], [/m$/i, 'ㅁ'], [/n$/i, 'ㄴ'],
+  [/(ck|[^s]k)$/i, 'ㄱ'], [/[^s]p$/i, 'ㅂ'], [/[^s]t$/i, 'ㅅ']
+];
+
+/**
+ * The final consonant the word is read with: 'ㄴ' for 한, '' for an open
+ * syllable, or null when the reading cannot be determined.
+ */
+function finalSound(word) {
+  word = stripTrailing(String(word));
+  const last = word.at(-1);
+  if (!last) return null;
+
+  const d = decompose(last);
+  if (d) return d.jong || '';
+
+  if (isJamo(last)) {
+    // Consonants are read by name (ㄱ → 기역), vowels as themselves
+    const name = CONSONANT_NAMES[last];
+    return name ? jongOf(name) : '';
+  }
+
+  const number = word.match(/\d[\d,]*(\.\d+)?$/);
+  if (number) {
+    // Past 경 (10^20 and up) there is no reading to go by
+    const digits = number[0].replace(/,/g, '').split('.')[0].replace(/^0+/, '');
+    return digits.length <= 20 ? jongOf(readSino(number[0])) : null;
+  }
+
+  const latin = word.match(/[A-Za-z]+$/);
+  if (latin) {
+    const letters = latin[0];
+    // Acronyms and single letters are spelled out: URL → 유알엘
+    if (letters.length === 1 || letters === letters.toUpperCase()) {
+      return jongOf(LETTER_READINGS[letters.at(-1).toLowerCase()]);
+    }
+    const rule = LATIN_FINALS.find(([pattern]) => pattern.test(letters));
+    return rule ? rule[1] : '';
+  }
+
+  return null;
+}
+
+/**
+ * Pick the particle form for a word. josa may be either form ('를'),
+ * a pair in either order ('을/를'), or a (X)Y form ('(으)로').
+ * When the word's reading is unknown, both forms are returned: '을(를)'.
+ */
+function pickJosa(word, josa) {
+  const [withFinal, withoutFinal] = resolveJosa(josa);
+  const jong = finalSound(word);
+  if (jong === null) return `${withFinal}(${withoutFinal})`;
+
+  // (으)로 takes 로 after ㄹ as well as after a vowel
+  if (withFinal === '으로' && jong === 'ㄹ') return withoutFinal;
+  return jong ? withFinal : withoutFinal;
+}
+
+/**
+ * Append the right particle form: attachJosa('사과', '을/를') → '사과를'
+ */
+function attachJosa(word, josa) {
+  return `${word}${pickJosa(word, josa)}`;
+}
+
+/**
+ * Template tag that fixes particles after each interpolated value:
+ *   josa`${name}이/가 ${place}(으)로 갔다`
+ * A particle is any known form pair or (X)Y form right after a value;
+ * other parentheses, like 선생(님)께, are left as written.
+ */
+function josa(strings, ...values) {
+  let out = strings[0];
+  values.forEach((value, i) => {
+    let rest = strings[i + 1];
+    const m = rest.match(/^(\([가-힣]+\)[가-힣]+|[가-힣]+\/[가-힣]+)/);
+    if (m && knownJosa(m[1])) {
+      out += attachJosa(value, m[1]);
+      rest = rest.slice(m[1].length);
+    } else {
+      out += value;
+    }
+    out += rest;
+  });
+  return out;
+}
+
+function resolveJosa(josa) {
+  const optional = josa.match(/^\(([가-힣]+)\)([가-힣]+)$/);
+  if (optional) return [optional[1] + optional[2], optional[2]];
+  const pair = FORMS[josa];
+  if (!pair) throw new Error(`Unknown josa: ${josa}`);
+  return pair;
+}
+
+function knownJosa(josa) {
+  return Boolean(FORMS[josa]);
+}
+
+// Final consonant of a reading's last syllable, '' if open
+function jongOf(reading) {
+  return decompose(reading.at(-1)).jong || '';
+}
+
+// Drop trailing punctuation, quotes, brackets and a parenthetical gloss
+function stripTrailing(word) {
+  let prev;
+  do {
+    prev = word;
+    word = word.replace(/\s*\([^()]*\)$/, '').replace(/[\s.,!?;:'"’”»」』\]}]+$/, '');
+  } while (word !== prev);
+  return word;
+}
+
+export { finalSound, pickJosa, attachJosa, josa };
@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { finalSound, pickJosa, attachJosa, josa } from './josa.js';
+
+describe('attachJosa', () => {
+  it('picks the form by final consonant', () => {
+    assert.equal(attachJosa('사과', '을/를'), '사과를');
+    assert.equal(attachJosa('책', '을/를'), '책을');
+    assert.equal(attachJosa('물', '은/는'), '물은');
+    assert.equal(attachJosa('바다', '이/가'), '바다가');
+    assert.equal(attachJosa('밥', '과/와'), '밥과');
+    assert.equal(attachJosa('민준', '아/야'), '민준아');
+    assert.equal(attachJosa('민지', '아/야'), '민지야');
+  });
+
+  it('accepts either order, a single form, or a (X)Y form', () => {
+    assert.equal(attachJosa('책', '를/을'), '책을');
+    assert.equal(attachJosa('책', '를'), '책을');
+    assert.equal(attachJosa('친구', '(이)나'), '친구나');
+    assert.equal(attachJosa('동생', '(이)나'), '동생이나');
+    assert.equal(attachJosa('선생님', '(이)라고'), '선생님이라고');
+  });
+
+  it('uses 로 after ㄹ for (으)로', () => {
+    assert.equal(attachJosa('서울', '(으)로'), '서울로');
+    assert.equal(attachJosa('집', '(으)로'), '집으로');
+    assert.equal(attachJosa('학교', '으로/로'), '학교로');
+    assert.equal(attachJosa('7', '(으)로'), '7로');
+  });
+
+  it('reads numbers in Sino-Korean', () => {
+    assert.equal(attachJosa('3', '을/를'), '3을');
+    assert.equal(attachJosa('2', '을/를'), '2를');
+    assert.equal(attachJosa('10', '이/가'), '10이');
+    assert.equal(attachJosa('1,000', '은/는'), '1,000은');
+    assert.equal(attachJosa('100000', '이/가'), '100000이');
+    assert.equal(attachJosa('3.5', '과/와'), '3.5와');
+    assert.equal(attachJosa('0', '이/가'), '0이');
+  });
+
+  it('reads Latin acronyms by letter and words by their ending', () => {
+    assert.equal(attachJosa('URL', '을/를'), 'URL을');
+    assert.equal(attachJosa('API', '을/를'), 'API를');
+    assert.equal(attachJosa('Google', '이/가'), 'Google이');
+    assert.equal(attachJosa('iPad', '을/를'), 'iPad를');
+    assert.equal(attachJosa('Python', '은/는'), 'Python은');
+  });
+
+  it('skips trailing punctuation and parentheticals', () => {
+    assert.equal(attachJosa('"사과"', '을/를'), '"사과"를');
+    assert.equal(attachJosa('서울(Seoul)', '은/는'), '서울(Seoul)은');
+  });
+
+  it('reads consonant jamo by name', () => {
+    assert.equal(attachJosa('ㄱ', '이/가'), 'ㄱ이');
+    assert.equal(attachJosa('ㅏ', '이/가'), 'ㅏ가');
+  });
+
+  it('gives both forms when the reading is unknown', () => {
+    assert.equal(attachJosa('😀', '을/를'), '😀을(를)');
+    assert.equal(pickJosa('', '(으)로'), '으로(로)');
+  });
+
+  it('rejects unknown particles', () => {
+    assert.throws(() => attachJosa('책', '에게/께'), /Unknown josa/);
+  });
+});
+
+describe('finalSound', () => {
+  it('returns the final consonant of the reading', () => {
+    assert.equal(finalSound('한'), 'ㄴ');
+    assert.equal(finalSound('하'), '');
+    assert.equal(finalSound('URL'), 'ㄹ');
+    assert.equal(finalSound('?'), null);
+  });
+});
+
+describe('josa template tag', () => {
+  it('fixes particles after interpolated values', () => {
+    const name = '철수';
+    const city = '부산';
+    assert.equal(josa`${name}이/가 ${city}(으)로 갔다`, '철수가 부산으로 갔다');
+    assert.equal(josa`${'영희'}(이)라고 불렀다`, '영희라고 불렀다');
+    assert.equal(josa`${'선생'}(님)께 ${'교수'}(님)께`, '선생(님)께 교수(님)께');
+    assert.equal(josa`${'민수'}(이)랑 ${'집'}(으)로`, '민수랑 집으로');
+  });
+
+  it('leaves other text alone', () => {
+    assert.equal(josa`${'철수'} 씨, ${3}개`, '철수 씨, 3개');
+    assert.equal(josa`${'철수'}에게/께`, '철수에게/께');
+  });
+});
@@ -0,0 +1,294 @@
+/**
+ * Keyboard Layouts
+ *
+ * Converts between QWERTY keystrokes and Hangul for the two standard layouts:
+ *   2-beolsik (두벌식, KS X 5002) — one key per consonant, one per vowel;
+ *     keystrokes are assembled into syllables by the input automaton (jamo.js)
+ *   3-beolsik final (세벌식 최종, 3-91) — separate keys for initial, medial
+ *     and final jamo, so syllable boundaries are never ambiguous
+ *
+ * Typing Korean with the IME switched off gives text like "gksrmf" (한글);
+ * detectMistyped finds such runs and fixMistyped converts them back.
+ */
+
+import { isSyllable, compose, decompose } from './hangul.js';
+import { COMPOUND_VOWELS, assemble, disassemble, combineJamo } from './jamo.js';
+
+const LAYOUTS = {
+  2: '2', dubeolsik: '2',
+  3: '3', sebeolsik: '3', 'sebeolsik-final': '3', '3-91': '3'
+};
+
+const DUBEOLSIK = {
+  q: 'ㅂ', w: 'ㅈ', e: 'ㄷ', r: 'ㄱ', t: 'ㅅ', y: 'ㅛ', u: 'ㅕ', i: 'ㅑ', o: 'ㅐ', p: 'ㅔ',
+  a: 'ㅁ', s: 'ㄴ', d: 'ㅇ', f: 'ㄹ', g: 'ㅎ', h: 'ㅗ', j: 'ㅓ', k: 'ㅏ', l: 'ㅣ',
+  z: 'ㅋ', x: 'ㅌ', c: 'ㅊ', v: 'ㅍ', b: 'ㅠ', n: 'ㅜ', m: 'ㅡ',
+  Q: 'ㅃ', W: 'ㅉ', E: 'ㄸ', R: 'ㄲ', T: 'ㅆ', O: 'ㅒ', P: 'ㅖ'
+};
+
+// 3-91 keys by role: initial (cho), medial (jung) and final (jong) jamo
+const SEBEOLSIK_CHO = {
+  k: 'ㄱ', h: 'ㄴ', u: 'ㄷ', y: 'ㄹ', i: 'ㅁ', ';': 'ㅂ', n: 'ㅅ', j: 'ㅇ', l: 'ㅈ',
+  o: 'ㅊ', 0: 'ㅋ', '\'': 'ㅌ', p: 'ㅍ', m: 'ㅎ'
+};
+
+const SEBEOLSIK_JUNG = {
+  f: 'ㅏ', r: 'ㅐ', 6: 'ㅑ', G: 'ㅒ', t: 'ㅓ', c: 'ㅔ', e: 'ㅕ', 7: 'ㅖ', v: 'ㅗ',
+  4: 'ㅛ', b: 'ㅜ', 5: 'ㅠ', g: 'ㅡ', 8: 'ㅢ', d: 'ㅣ', '/': 'ㅗ', 9: 'ㅜ'
+};
+
+const SEBEOLSIK_JONG = {
+  x: 'ㄱ', '!': 'ㄲ', V: 'ㄳ', s: 'ㄴ', E: 'ㄵ', S: 'ㄶ', A: 'ㄷ', w: 'ㄹ', '@': 'ㄺ',
+  F: 'ㄻ', D: 'ㄼ', T: 'ㄽ', '%': 'ㄾ', $: 'ㄿ', R: 'ㅀ', z: 'ㅁ', 3: 'ㅂ', X: 'ㅄ',
+  q: 'ㅅ', 2: 'ㅆ', a: 'ㅇ', '#': 'ㅈ', Z: 'ㅊ', C: 'ㅋ', W: 'ㅌ', Q: 'ㅍ', 1: 'ㅎ'
+};
+
+// Shifted 3-91 keys that type digits and symbols instead of their QWERTY character
+const SEBEOLSIK_SYMBOLS = {
+  Y: '5', U: '6', I: '7', O: '8', P: '9', H: '0', J: '1', K: '2', L: '3', ':': '4',
+  '"': '·', B: '?', N: '-', M: '"', '^': '=', '&': '“', '*': '”', '(': '\'', ')': '~',
+  '?': '!'
+};
+
+// In 3-91 a doubled initial is typed by pressing its key twice
+const DOUBLE_INITIALS = { 'ㄱ': 'ㄲ', 'ㄷ': 'ㄸ', 'ㅂ': 'ㅃ', 'ㅅ': 'ㅆ', 'ㅈ': 'ㅉ' };
+
+// Preferred 3-91 keys for the first half of a compound vowel
+const SEBEOLSIK_COMPOUND_KEYS = { 'ㅗ': '/', 'ㅜ': '9' };
+
+// English spelling: a word is consonant clusters around vowel groups, and the
+// clusters must be ones English starts or ends a syllable with. Keystrokes
+// for Hangul rarely fit (gksrmf, dkssud, apdlf), English words do (the → 솓,
+// sleeps → 닏덴)
+const ENGLISH_ONSETS = new Set(`
+  b c d f g h j k l m n p q r s t v w x z bl br ch chr cl cr dr dw fl fr gh gl gn
+  gr kn ph pl pr qu sc sch scr sh shr sk sl sm sn sp spl spr squ st str sw th thr
+  tr tw wh wr
+`.trim().split(/\s+/));
+const ENGLISH_CODAS = new Set(`
+  b c d f g h k l m n p r s t v w x z bb ck ct dd ff gg gh ght ld lf lk ll lm lp
+  lt lth mb mm mp mpt nch nct nd ng ngth nk nn nt nth ph pp pt rb rch rd rf rg rk
+  rl rld rm rn rp rr rst rt rth sh sk sp ss st tch th tt wl wn xt zz
+`.trim().split(/\s+/));
+const ENGLISH_VOWELS = /^(?:[aeiouy]|a[iuwy]|aye|e[aeiouwy]|eau|eye|i[aeo]|iou|o[aeiouwy]|u[aeiy]|y[aeou]|yea|you)$/;
+
+// Runs of keys that can type jamo in each layout; a run needs a letter
+const RUN_PATTERNS = {
+  2: /[A-Za-z]{2,}/g,
+  3: keyRunPattern([SEBEOLSIK_CHO, SEBEOLSIK_JUNG, SEBEOLSIK_JONG])
+};
+
+const DUBEOLSIK_KEYS = invert(DUBEOLSIK);
+const SEBEOLSIK_CHO_KEYS = invert(SEBEOLSIK_CHO);
+// ㅜ has two keys; plain ㅜ is typed with b, 9 is kept for compound vowels
+const SEBEOLSIK_JUNG_KEYS = { ...invert(SEBEOLSIK_JUNG), 'ㅜ': 'b' };
+const SEBEOLSIK_JONG_KEYS = invert(SEBEOLSIK_JONG);
+const SEBEOLSIK_SYMBOL_KEYS = invert(SEBEOLSIK_SYMBOLS);
+
+/**
+ * Convert QWERTY keystrokes to Hangul: gksrmf → 한글.
+ * Options: { layout: '2' (default) or '3' }
+ */
+function fromKeystrokes(keys, options = {}) {
+  const layout = resolveLayout(options.layout);
+  if (layout === '3') return fromSebeolsik(keys);
+
+  let jamo = '';
+  for (const key of keys) {
+    // Unshifted keys ignore caps lock; shift only matters where it types a double jamo
+    jamo += DUBEOLSIK[key] || DUBEOLSIK[key.toLowerCase()] || key;
+  }
+  return assemble(jamo);
+}
+
+/**
+ * Convert Hangul to the QWERTY keystrokes that type it: 한글 → gksrmf.
+ * Options: { layout: '2' (default) or '3' }
+ */
+function toKeystrokes(text, options = {}) {
+  const layout = resolveLayout(options.layout);
+  if (layout === '3') return toSebeolsik(text);
+
+  let keys = '';
+  for (const ch of disassemble(text, { splitCompound: true })) {
+    keys += DUBEOLSIK_KEYS[ch] || ch;
+  }
+  return keys;
+}
+
+/**
+ * Find Latin runs that are probably Hangul typed with the IME off.
+ * Runs are made of the layout's jamo keys (digits and punctuation too in
+ * 3-beolsik). A run is flagged when it converts entirely into complete
+ * syllables and does not look like English: not spelled the way English
+ * words are and, in 2-beolsik, capitals only on keys that type double jamo.
+ * Hangul that happens to be typed with English-looking keys (dufma, 여름)
+ * is left alone.
+ * Returns [{ start, end, text, converted }].
+ */
+function detectMistyped(text, options = {}) {
+  const layout = resolveLayout(options.layout);
+  const runs = [];
+  for (const m of text.matchAll(RUN_PATTERNS[layout])) {
+    if (!/[A-Za-z]/.test(m[0]) || looksEnglish(m[0], layout)) continue;
+    const converted = fromKeystrokes(m[0], options);
+    if (isAllSyllables(converted)) {
+      runs.push({ start: m.index, end: m.index + m[0].length, text: m[0], converted });
+    }
+  }
+  return runs;
+}
+
+/**
+ * Replace mistyped Latin runs with the Hangul they were meant to be
+ */
+function fixMistyped(text, options = {}) {
+  let out = '';
+  let last = 0;
+  for (const run of detectMistyped(text, options)) {
+    out += text.slice(last, run.start) + run.converted;
+    last = run.end;
+  }
+  return out + text.slice(last);
+}
+
+/**
+ * 3-91 automaton — every key knows its role, so a syllable ends only when
+ * a key cannot extend it.
+ */
+function fromSebeolsik(keys) {
+  let out = '';
+  let cho = '';
+  let jung = '';
+  let jong = '';
+
+  const flush = () => {
+    if (cho && jung) out += compose(cho, jung, jong);
+    else out += cho + jung + jong;
+    cho = jung = jong = '';
+  };
+
+  for (const key of keys) {
+    if (SEBEOLSIK_CHO[key]) {
+      const jamo = SEBEOLSIK_CHO[key];
+      if (cho === jamo && !jung && DOUBLE_INITIALS[jamo]) {
+        cho = DOUBLE_INITIALS[jamo];
+      } else {
+        flush();
+        cho = jamo;
+      }
+    } else if (SEBEOLSIK_JUNG[key]) {
+      const jamo = SEBEOLSIK_JUNG[key];
+      if (jung && !jong && combineJamo(jung, jamo)) {
+        jung = combineJamo(jung, jamo);
+      } else if (!jung && !jong) {
+        jung = jamo;
+      } else {
+        flush();
+        jung = jamo;
+      }
+    } else if (SEBEOLSIK_JONG[key]) {
+      const jamo = SEBEOLSIK_JONG[key];
+      if (jong && combineJamo(jong, jamo)) {
+        jong = combineJamo(jong, jamo);
+      } else if (cho && jung && !jong) {
+        jong = jamo;
+      } else {
+        flush();
+        out += jamo;
+      }
+    } else {
+      flush();
+      out += SEBEOLSIK_SYMBOLS[key] || key;
+    }
+  }
+
+  flush();
+  return out;
+}
+
+function toSebeolsik(text) {
+  let keys = '';
+  for (const ch of text) {
+    const d = isSyllable(ch) ? decompose(ch) : null;
+    if (d) {
+      keys += initialKeys(d.cho) + medialKeys(d.jung) + (d.jong ? SEBEOLSIK_JONG_KEYS[d.jong] : '');
+    } else {
+      // A lone jamo is typed in whichever role has a key for it
+      keys += initialKeys(ch) || medialKeys(ch) || SEBEOLSIK_JONG_KEYS[ch] || SEBEOLSIK_SYMBOL_KEYS[ch] || ch;
+    }
+  }
+  return keys;
+}
+
+// Initial consonant keys, pressing a key twice for doubled initials
+function initialKeys(cho) {
+  const plain = Object.keys(DOUBLE_INITIALS).find(k => DOUBLE_INITIALS[k] === cho);
+  return plain ? SEBEOLSIK_CHO_KEYS[plain].repeat(2) : SEBEOLSIK_CHO_KEYS[cho] || '';
+}
+
+// Medial vowel keys; compound vowels start with the dedicated / or 9 key
+function medialKeys(jung) {
+  const [first, second] = COMPOUND_VOWELS[jung] || [];
+  if (second && jung !== 'ㅢ') return SEBEOLSIK_COMPOUND_KEYS[first] + SEBEOLSIK_JUNG_KEYS[second];
+  return SEBEOLSIK_JUNG_KEYS[jung] || '';
+}
+
+function resolveLayout(layout = '2') {
+  const resolved = LAYOUTS[String(layout).toLowerCase()];
+  if (!resolved) throw new Error(`Unknown keyboard layout: ${layout}`);
+  return resolved;
+}
+
+function looksEnglish(word, layout) {
+  if (isEnglishSpelling(word.toLowerCase())) return true;
+  return layout === '2' && /[^a-zQWERTOP]/.test(word);
+}
+
+// Onset, then vowel groups split by clusters that end one syllable and start
+// the next, then a coda that may take a plural s
+function isEnglishSpelling(word) {
+  const parts = word.split(/([aeiouy]+)/);
+  if (parts.length < 3) return false;
+  const onset = parts[0];
+  const coda = parts.at(-1);
+  if (onset && !ENGLISH_ONSETS.has(onset)) return false;
+  if (coda && !ENGLISH_CODAS.has(coda) && !(coda.endsWith('s') && ENGLISH_CODAS.has(coda.slice(0, -1)))) return false;
+  for (let i = 1; i < parts.length; i += 2) {
+    if (!ENGLISH_VOWELS.test(parts[i])) return false;
+  }
+  for (let i = 2; i < parts.length - 1; i += 2) {
+    if (!splitsAcrossSyllables(parts[i])) return false;
+  }
+  return true;
+}
+
+function splitsAcrossSyllables(cluster) {
+  for (let i = 0; i <= cluster.length; i++) {
+    const coda = cluster.slice(0, i);
+    const onset = cluster.slice(i);
+    if ((!coda || ENGLISH_CODAS.has(coda)) && (!onset || ENGLISH_ONSETS.has(onset))) return true;
+  }
+  return false;
+}
+
+// Whole runs only: a run that touches another letter is part of a word
+function keyRunPattern(tables) {
+  const keys = [...new Set(tables.flatMap(Object.keys))];
+  const escaped = keys.map(k => k.replace(/[\\\]^-]/g, '\\$&')).join('');
+  return new RegExp(`(?<![${escaped}A-Za-z])[${escaped}]{2,}(?![${escaped}A-Za-z])`, 'g');
+}
+
+function isAllSyllables(text) {
+  return [...text].every(isSyllable);
+}
+
+function invert(table) {
+  const inverse = {};
+  for (const [key, value] of Object.entries(table)) {
+    if (!(value in inverse)) inverse[value] = key;
+  }
+  return inverse;
+}
+
+export { fromKeystrokes, toKeystrokes, detectMistyped, fixMistyped };
@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fromKeystrokes, toKeystrokes, detectMistyped, fixMistyped } from './keyboard.js';
+
+describe('2-beolsik', () => {
+  it('converts keystrokes to Hangul', () => {
+    assert.equal(fromKeystrokes('gksrmf'), '한글');
+    assert.equal(fromKeystrokes('dkssudgktpdy'), '안녕하세요');
+    assert.equal(fromKeystrokes('rhkgkr'), '과학');
+  });
+
+  it('uses shift for double consonants', () => {
+    assert.equal(fromKeystrokes('Rhc'), '꽃');
+  });
+
+  it('converts Hangul to keystrokes', () => {
+    assert.equal(toKeystrokes('한글'), 'gksrmf');
+    assert.equal(toKeystrokes('닭이'), 'ekfrdl');
+    assert.equal(toKeystrokes('의사 123'), 'dmltk 123');
+  });
+});
+
+describe('3-beolsik final', () => {
+  it('converts keystrokes to Hangul', () => {
+    assert.equal(fromKeystrokes('mfskgw', { layout: '3' }), '한글');
+    assert.equal(fromKeystrokes('kkvZ', { layout: '3' }), '꽃');
+  });
+
+  it('types shifted digits', () => {
+    assert.equal(fromKeystrokes('JPhes', { layout: '3' }), '19년');
+  });
+
+  it('roundtrips through keystrokes', () => {
+    const text = '닭이 과학을 뷁 의사 1945년';
+    assert.equal(fromKeystrokes(toKeystrokes(text, { layout: '3' }), { layout: '3' }), text);
+  });
+
+  it('rejects unknown layouts', () => {
+    assert.throws(() => toKeystrokes('한글', { layout: 'dvorak' }), /Unknown keyboard layout/);
+  });
+});
+
+describe('detectMistyped', () => {
+  it('flags Latin runs typed with the IME off', () => {
+    assert.deepEqual(detectMistyped('오늘 gksrmf 공부'), [
+      { start: 3, end: 9, text: 'gksrmf', converted: '한글' }
+    ]);
+  });
+
+  it('leaves English words alone', () => {
+    assert.deepEqual(detectMistyped('hello world OK'), []);
+  });
+
+  it('flags words whose keys are mostly a/e/i/o/u', () => {
+    assert.equal(fixMistyped('eogksalsrnr apdlf djaak akdma'), '대한민국 메일 엄마 마음');
+  });
+
+  it('leaves common English words that type syllables alone', () => {
+    assert.deepEqual(detectMistyped('the dog and GO to the city'), []);
+  });
+
+  it('leaves plain English prose alone', () => {
+    const prose = 'She sleeps late on Sundays and then goes hiking with her friends in the hills near town. ' +
+      'Our team has Big plans for next year, but we still need people who can write code, test features ' +
+      'and talk to customers. When the weather turns cold, everyone stays inside and reads books by the ' +
+      'fire. They played music, danced, and laughed until midnight. Please send the report before noon.';
+    assert.deepEqual(detectMistyped(prose), []);
+    assert.deepEqual(detectMistyped(prose, { layout: '3' }), []);
+  });
+
+  it('includes digit and punctuation keys in 3-beolsik runs', () => {
+    const keys = toKeystrokes('과학 시간', { layout: '3' });
+    assert.equal(fixMistyped(keys, { layout: '3' }), '과학 시간');
+    assert.deepEqual(detectMistyped('2024년 06월', { layout: '3' }), []);
+  });
+
+  it('only takes whole words as 3-beolsik runs', () => {
+    assert.equal(fixMistyped('Our team has Big plans', { layout: '3' }), 'Our team has Big plans');
+    const keys = toKeystrokes('한글', { layout: '3' });
+    assert.equal(fixMistyped(`(${keys}) 공부`, { layout: '3' }), '(한글) 공부');
+  });
+
+  it('fixes mistyped runs in place', () => {
+    assert.equal(fixMistyped('오늘 gksrmf 공부 hello'), '오늘 한글 공부 hello');
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Syllable Block Layout
+ *
+ * A syllable's glyph shape follows from its vowel and whether it has a final:
+ *
+ *   vertical    ㅏ ㅐ ㅑ ㅒ ㅓ ㅔ ㅕ ㅖ ㅣ   initial left of the vowel       가  각
+ *   horizontal  ㅗ ㅛ ㅜ ㅠ ㅡ              initial above the vowel         고  곡
+ *   mixed       ㅘ ㅙ ㅚ ㅝ ㅞ ㅟ ㅢ        vowel wraps the initial         과  곽
+ *
+ * each with or without a final — the 6 layout types (1–6형) of type design.
+ *
+ * Within a layout the jamo are drawn in different sizes. Variants follow the
+ * 8×4×4 벌 convention of combining (조합형) fonts:
+ *   초성 8벌  by vowel group and final   (1–5 open, 6–8 closed)
+ *   중성 4벌  by initial (ㄱ ㅋ or other) and final
+ *   종성 4벌  by vowel group
+ */
+
+import { JUNGSEONG, decompose, isSyllable } from './hangul.js';
+
+const ORIENTATION = {};
+for (const v of ['ㅏ', 'ㅐ', 'ㅑ', 'ㅒ', 'ㅓ', 'ㅔ', 'ㅕ', 'ㅖ', 'ㅣ']) ORIENTATION[v] = 'vertical';
+for (const v of ['ㅗ', 'ㅛ', 'ㅜ', 'ㅠ', 'ㅡ']) ORIENTATION[v] = 'horizontal';
+for (const v of ['ㅘ', 'ㅙ', 'ㅚ', 'ㅝ', 'ㅞ', 'ㅟ', 'ㅢ']) ORIENTATION[v] = 'mixed';
+
+// Layout type numbers as used in type design: open layouts 1–3, closed 4–6
+const LAYOUTS = ['vertical', 'horizontal', 'mixed', 'vertical-final', 'horizontal-final', 'mixed-final'];
+
+// 초성 벌 without a final, by vowel; with a final it depends on orientation only
+const CHO_OPEN_VARIANT = {
+  vertical: 1, 'ㅗ': 2, 'ㅛ': 2, 'ㅡ': 2, 'ㅜ': 3, 'ㅠ': 3,
+  'ㅘ': 4, 'ㅙ': 4, 'ㅚ': 4, 'ㅢ': 4, 'ㅝ': 5, 'ㅞ': 5, 'ㅟ': 5
+};
+const CHO_CLOSED_VARIANT = { vertical: 6, horizontal: 7, mixed: 8 };
+
+// 종성 벌 by vowel
+const JONG_VARIANT = {
+  'ㅏ': 1, 'ㅑ': 1, 'ㅘ': 1,
+  'ㅓ': 2, 'ㅕ': 2, 'ㅚ': 2, 'ㅝ': 2, 'ㅟ': 2, 'ㅢ': 2, 'ㅣ': 2,
+  'ㅐ': 3, 'ㅒ': 3, 'ㅔ': 3, 'ㅖ': 3, 'ㅙ': 3, 'ㅞ': 3,
+  'ㅗ': 4, 'ㅛ': 4, 'ㅜ': 4, 'ㅠ': 4, 'ㅡ': 4
+};
+
+const VARIANT_COUNTS = { cho: 8, jung: 4, jong: 4 };
+
+/**
+ * Classify a syllable's block layout. Returns null for anything else.
+ *   { syllable, orientation, hasJong, layout, type, choVariant, jungVariant, jongVariant }
+ * layout is one of vertical, horizontal, mixed, or the same with -final;
+ * type is its number 1–6; jongVariant is null without a final.
+ */
+function blockLayout(ch) {
+  if (!isSyllable(ch)) return null;
+  const { cho, jung, hasJong } = decompose(ch);
+  const orientation = ORIENTATION[jung];
+  const layout = hasJong ? `${orientation}-final` : orientation;
+
+  // ㄱ and ㅋ have a descending stroke that the vowel has to make room for
+  const hooked = cho === 'ㄱ' || cho === 'ㅋ';
+
+  return {
+    syllable: ch,
+    orientation,
+    hasJong,
+    layout,
+    type: LAYOUTS.indexOf(layout) + 1,
+    choVariant: hasJong ? CHO_CLOSED_VARIANT[orientation] : CHO_OPEN_VARIANT[jung] || CHO_OPEN_VARIANT[orientation],
+    jungVariant: (hasJong ? 3 : 1) + (hooked ? 0 : 1),
+    jongVariant: hasJong ? JONG_VARIANT[jung] : null
+  };
+}
+
+/**
+ * Which layouts and jamo variants a text uses.
+ *   {
+ *     total,
+ *     layouts:        { vertical: n, …, 'mixed-final': n } — all six, 0 if unused
+ *     missingLayouts: [layout, …]
+ *     variants:       { cho: { ㄱ: { 1: n, 6: n } }, jung: {…}, jong: {…} }
+ *     coverage:       { layouts, cho, jung, jong } — share of the possible
+ *                     layouts / jamo variants the text uses, 0–1
+ *   }
+ */
+function coverageReport(text) {
+  const layouts = Object.fromEntries(LAYOUTS.map(l => [l, 0]));
+  const variants = { cho: {}, jung: {}, jong: {} };
+  let total = 0;
+
+  for (const ch of text) {
+    const block = blockLayout(ch);
+    if (!block) continue;
+    const { cho, jung, jong } = decompose(ch);
+    total++;
+    layouts[block.layout]++;
+    count(variants.cho, cho, block.choVariant);
+    count(variants.jung, jung, block.jungVariant);
+    if (jong) count(variants.jong, jong, block.jongVariant);
+  }
+
+  const used = (table) => Object.values(table).reduce((sum, v) => sum + Object.keys(v).length, 0);
+  return {
+    total,
+    layouts,
+    missingLayouts: LAYOUTS.filter(l => layouts[l] === 0),
+    variants,
+    coverage: {
+      layouts: round(LAYOUTS.filter(l => layouts[l] > 0).length / LAYOUTS.length, 3),
+      cho: round(used(variants.cho) / (19 * VARIANT_COUNTS.cho), 3),
+      jung: round(used(variants.jung) / (JUNGSEONG.length * VARIANT_COUNTS.jung), 3),
+      jong: round(used(variants.jong) / (27 * VARIANT_COUNTS.jong), 3)
+    }
+  };
+}
+
+/**
+ * Pick a small set of sentences from a corpus that together cover every
+ * layout type. The corpus is an array of sentences, or a text split at
+ * sentence ends and line breaks.
+ *
+ * Options: { cover: 'layouts' (default) or 'variants' } — variants asks for
+ * every jamo variant the corpus contains, not just the six layouts.
+ * Greedy set cover: each step takes the sentence adding the most uncovered
+ * features, preferring shorter ones, so the result is small but not
+ * guaranteed minimal.
+ * Returns { sentences, covered, missing } where missing lists features no
+ * sentence has.
+ */
+function minimalPangram(corpus, options = {}) {
+  const cover = options.cover || 'layouts';
+  if (cover !== 'layouts' && cover !== 'variants') throw new Error(`Unknown coverage target: ${cover}`);
+
+  const sentences = (Array.isArray(corpus) ? corpus : corpus.split(/(?<=[.!?。])\s+|\n+/))
+    .map(s => s.trim())
+    .filter(Boolean);
+  const candidates = sentences.map(text => ({ text, features: features(text, cover), length: [...text].filter(isSyllable).length }));
+
+  const available = new Set(candidates.flatMap(c => [...c.features]));
+  const wanted = cover === 'layouts' ? new Set(LAYOUTS) : available;
+  const uncovered = new Set([...wanted].filter(f => available.has(f)));
+  const chosen = [];
+
+  while (uncovered.size > 0) {
+    let best = null;
+    let bestGain = 0;
+    for (const c of candidates) {
+      let gain = 0;
+      for (const f of c.features) if (uncovered.has(f)) gain++;
+      if (gain > bestGain || (gain === bestGain && gain > 0 && c.length < best.length)) {
+        best = c;
+        bestGain = gain;
+      }
+    }
+    chosen.push(best.text);
+    for (const f of best.features) uncovered.delete(f);
+  }
+
+  const missing = [...wanted].filter(f => !available.has(f));
+  return { sentences: chosen, covered: wanted.size - missing.length, missing };
+}
+
+// Layout names, or jamo variant keys like 'cho:ㄱ6', 'jung:ㅏ2', 'jong:ㄴ1'
+function features(text, cover) {
+  const found = new Set();
+  for (const ch of text) {
+    const block = blockLayout(ch);
+    if (!block) continue;
+    if (cover === 'layouts') {
+      found.add(block.layout);
+      continue;
+    }
+    const { cho, jung, jong } = decompose(ch);
+    found.add(`cho:${cho}${block.choVariant}`);
+    found.add(`jung:${jung}${block.jungVariant}`);
+    if (jong) found.add(`jong:${jong}${block.jongVariant}`);
+  }
+  return found;
+}
+
+function count(table, jamo, variant) {
+  table[jamo] ||= {};
+  table[jamo][variant] = (table[jamo][variant] || 0) + 1;
+}
+
+function round(n, digits) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+export { blockLayout, coverageReport, minimalPangram };
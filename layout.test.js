@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { blockLayout, coverageReport, minimalPangram } from './layout.js';
+
+describe('blockLayout', () => {
+  it('classifies the six layout types', () => {
+    assert.deepEqual(['가', '고', '과', '각', '곡', '곽'].map(ch => blockLayout(ch).layout), [
+      'vertical', 'horizontal', 'mixed', 'vertical-final', 'horizontal-final', 'mixed-final'
+    ]);
+    assert.deepEqual(['가', '고', '과', '각', '곡', '곽'].map(ch => blockLayout(ch).type), [1, 2, 3, 4, 5, 6]);
+  });
+
+  it('picks 초성 variants by vowel group and final', () => {
+    assert.deepEqual(['나', '노', '누', '놔', '눠', '난', '논', '놘'].map(ch => blockLayout(ch).choVariant),
+      [1, 2, 3, 4, 5, 6, 7, 8]);
+    assert.equal(blockLayout('늬').choVariant, 4);
+  });
+
+  it('picks 중성 variants by initial and final', () => {
+    assert.equal(blockLayout('가').jungVariant, 1);
+    assert.equal(blockLayout('나').jungVariant, 2);
+    assert.equal(blockLayout('각').jungVariant, 3);
+    assert.equal(blockLayout('난').jungVariant, 4);
+    assert.equal(blockLayout('코').jungVariant, 1);
+  });
+
+  it('picks 종성 variants by vowel group', () => {
+    assert.equal(blockLayout('각').jongVariant, 1);
+    assert.equal(blockLayout('걱').jongVariant, 2);
+    assert.equal(blockLayout('객').jongVariant, 3);
+    assert.equal(blockLayout('곡').jongVariant, 4);
+    assert.equal(blockLayout('가').jongVariant, null);
+  });
+
+  it('returns null for non-syllables', () => {
+    assert.equal(blockLayout('a'), null);
+    assert.equal(blockLayout('ㄱ'), null);
+  });
+});
+
+describe('coverageReport', () => {
+  it('counts layouts and lists the missing ones', () => {
+    const report = coverageReport('다람쥐 헌 쳇바퀴에 타고파');
+    assert.equal(report.total, 11);
+    assert.equal(report.layouts.vertical, 5);
+    assert.equal(report.layouts.mixed, 2);
+    assert.deepEqual(report.missingLayouts, ['horizontal-final', 'mixed-final']);
+    assert.equal(report.coverage.layouts, 0.667);
+  });
+
+  it('lists jamo variants used', () => {
+    const { variants } = coverageReport('가 각 간');
+    assert.deepEqual(variants.cho['ㄱ'], { 1: 1, 6: 2 });
+    assert.deepEqual(variants.jung['ㅏ'], { 1: 1, 3: 2 });
+    assert.deepEqual(variants.jong, { 'ㄱ': { 1: 1 }, 'ㄴ': { 1: 1 } });
+  });
+});
+
+describe('minimalPangram', () => {
+  const corpus = ['하늘', '바다를 보았다', '과자', '곡식', '원숭이', '관광', '노을'];
+
+  it('covers all six layouts with few sentences', () => {
+    const result = minimalPangram(corpus);
+    assert.equal(result.covered, 6);
+    assert.deepEqual(result.missing, []);
+    assert.ok(result.sentences.length <= 3);
+    const covered = coverageReport(result.sentences.join(' '));
+    assert.deepEqual(covered.missingLayouts, []);
+  });
+
+  it('reports layouts the corpus cannot cover', () => {
+    const result = minimalPangram('하늘. 바다!');
+    assert.deepEqual(result.missing, ['horizontal', 'mixed', 'vertical-final', 'mixed-final']);
+  });
+
+  it('covers every jamo variant in the corpus', () => {
+    const all = coverageReport(corpus.join(' ')).variants;
+    const result = minimalPangram(corpus, { cover: 'variants' });
+    const picked = coverageReport(result.sentences.join(' ')).variants;
+    assert.deepEqual(Object.keys(picked.cho).sort(), Object.keys(all.cho).sort());
+    assert.deepEqual(result.missing, []);
+  });
+
+  it('rejects unknown targets', () => {
+    assert.throws(() => minimalPangram(corpus, { cover: 'glyphs' }), /Unknown coverage target/);
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Poetic Meter (음보율)
+ *
+ * Korean verse is measured in 음보 — metrical feet of roughly 3 or 4 syllables,
+ * usually one 어절 each. Short 어절 lean on their neighbours (한 점, 수이 감을),
+ * so adjacent short words are grouped into a single foot.
+ *
+ *   음보율  feet per line: 3음보 (민요, 김소월), 4음보 (시조, 가사)
+ *   음수율  syllables per foot: 3·4조, 4·4조, or 7·5조 across a line
+ *
+ * validateSijo checks the 평시조 form: 3 lines (초장·중장·종장) of 4 feet,
+ * with the 종장 opening on a 3-syllable foot followed by a foot of 5 or more.
+ */
+
+import { isSyllable } from './hangul.js';
+import { createPositionIndex } from './position.js';
+
+/**
+ * Split each line into feet and report the dominant meter and the lines
+ * that deviate from it. Lines keep their source line number and position.
+ */
+function meter(text) {
+  const lines = verseLines(text).map((line, index) => scanLine(line, index));
+
+  const counted = lines.filter(l => l.feet.length > 0);
+  const footCount = mode(counted.map(l => l.feet.length));
+  const deviations = [];
+
+  for (const line of counted) {
+    if (line.feet.length !== footCount) {
+      deviations.push({ index: line.index, text: line.text, reason: `${feetLabel(line.feet.length)}, expected ${footCount}` });
+    }
+    for (const foot of line.feet) {
+      if (foot.syllables < 2 || foot.syllables > 5) {
+        deviations.push({ index: line.index, text: line.text, reason: `foot "${foot.text}" has ${foot.syllables} syllables` });
+      }
+    }
+  }
+
+  return {
+    lines,
+    footCount,
+    meter: footCount ? `${footCount}음보` : null,
+    syllableMeter: syllableMeter(counted),
+    regularity: counted.length
+      ? round(counted.filter(l => l.feet.length === footCount).length / counted.length, 3)
+      : 0,
+    deviations
+  };
+}
+
+/**
+ * Validate the 평시조 form.
+ * Returns { valid, errors, warnings, lines } — errors break the form,
+ * warnings note feet outside the usual 2–5 syllables.
+ */
+function validateSijo(text) {
+  // The 종장 opens on its first 어절, however the rest is grouped
+  const lines = verseLines(text).map((line, index) => scanLine(line, index, 4, index === 2));
+
+  const errors = [];
+  const warnings = [];
+
+  if (lines.length !== 3) {
+    errors.push({ index: null, message: `평시조 has 3 lines (초장, 중장, 종장), found ${lines.length}` });
+  }
+
+  for (const line of lines) {
+    if (line.feet.length !== 4) {
+      errors.push({ index: line.index, message: `line has ${feetLabel(line.feet.length)}, expected 4` });
+    }
+  }
+
+  const last = lines.length === 3 ? lines[2] : null;
+  if (last && last.feet.length === 4) {
+    const [first, second] = last.feet;
+    if (first.syllables !== 3) {
+      errors.push({ index: 2, message: `종장 must open with a 3-syllable foot, "${first.text}" has ${first.syllables}` });
+    }
+    if (second.syllables < 5) {
+      errors.push({ index: 2, message: `종장 second foot must have 5 or more syllables, "${second.text}" has ${second.syllables}` });
+    }
+  }
+
+  for (const line of lines) {
+    line.feet.forEach((foot, i) => {
+      const opening = line.index === 2 && i < 2;
+      if (!opening && (foot.syllables < 2 || foot.syllables > 5)) {
+        warnings.push({ index: line.index, message: `foot "${foot.text}" has ${foot.syllables} syllables` });
+      }
+    });
+  }
+
+  const total = lines.reduce((sum, l) => sum + l.syllables, 0);
+  if (lines.length === 3 && (total < 40 || total > 50)) {
+    warnings.push({ index: null, message: `${total} syllables, 평시조 usually has about 45` });
+  }
+
+  return { valid: errors.length === 0, errors, warnings, lines };
+}
+
+/**
+ * Group a line's 어절 into feet. Without a target, a 1-syllable 어절 joins a
+ * neighbour and adjacent short 어절 (2 syllables or fewer, 4 together at most)
+ * are merged. With a target, a 1-syllable 어절 first joins the word after it
+ * (한 허리를, 날 밤이어든), then the lightest adjacent pair is merged until
+ * the line has that many feet; keepFirst leaves the first foot as it is.
+ */
+function scanLine({ text, line, position }, index, target, keepFirst = false) {
+  let feet = text.split(/\s+/)
+    .map(word => ({ text: word, syllables: countSyllables(word) }))
+    .filter(w => w.syllables > 0);
+  if (target) feet = attachSingles(feet);
+
+  while (feet.length > 1) {
+    let best = -1;
+    for (let i = keepFirst ? 1 : 0; i < feet.length - 1; i++) {
+      const a = feet[i].syllables;
+      const b = feet[i + 1].syllables;
+      const allowed = target
+        ? feet.length > target
+        : a === 1 || b === 1 || (a <= 2 && b <= 2 && a + b <= 4);
+      if (allowed && (best < 0 || a + b < feet[best].syllables + feet[best + 1].syllables)) best = i;
+    }
+    if (best < 0) break;
+    feet.splice(best, 2, join(feet[best], feet[best + 1]));
+  }
+
+  return {
+    index,
+    text,
+    syllables: feet.reduce((sum, f) => sum + f.syllables, 0),
+    feet,
+    pattern: feet.map(f => f.syllables).join('·'),
+    line,
+    position
+  };
+}
+
+// 1-syllable 어절 (관형사, 의존 명사) lean on the next word, or the one before at the end
+function attachSingles(words) {
+  const feet = [];
+  let pending = null;
+  for (const word of words) {
+    const current = pending ? join(pending, word) : word;
+    pending = word.syllables === 1 ? current : null;
+    if (!pending) feet.push(current);
+  }
+  if (pending) feet.push(feet.length > 0 ? join(feet.pop(), pending) : pending);
+  return feet;
+}
+
+function join(a, b) {
+  return { text: `${a.text} ${b.text}`, syllables: a.syllables + b.syllables };
+}
+
+// Non-blank lines, trimmed, with their source line number and position
+function verseLines(text) {
+  const positions = createPositionIndex(text);
+  return text.split('\n')
+    .map((line, i) => ({ text: line.trim(), line: i + 1 }))
+    .filter(l => l.text)
+    .map(l => ({ ...l, position: positions.locateLine(l.line, { trim: true }) }));
+}
+
+/**
+ * 음수율 — 7·5조 when most lines split 7|5 (within a line or across a line pair),
+ * otherwise 3·4조 or 4·4조 when most feet have 3 or 4 syllables.
+ */
+function syllableMeter(lines) {
+  if (lines.length === 0) return null;
+
+  const sevenFive = new Set();
+  lines.forEach((line, i) => {
+    let run = 0;
+    for (const foot of line.feet) {
+      run += foot.syllables;
+      if (run === 7 && line.syllables === 12) sevenFive.add(i);
+    }
+    const next = lines[i + 1];
+    if (line.syllables === 7 && next && next.syllables === 5) {
+      sevenFive.add(i);
+      sevenFive.add(i + 1);
+    }
+  });
+  if (sevenFive.size / lines.length >= 0.5) return '7·5조';
+
+  const sizes = lines.flatMap(l => l.feet.map(f => f.syllables));
+  const threes = sizes.filter(n => n === 3).length;
+  const fours = sizes.filter(n => n === 4).length;
+  if ((threes + fours) / sizes.length < 0.6) return null;
+  return fours / (threes + fours) >= 0.6 ? '4·4조' : '3·4조';
+}
+
+function feetLabel(n) {
+  return `${n} ${n === 1 ? 'foot' : 'feet'}`;
+}
+
+function countSyllables(word) {
+  let count = 0;
+  for (const ch of word) { if (isSyllable(ch)) count++; }
+  return count;
+}
+
+function mode(values) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  let best = null;
+  for (const [v, n] of counts) {
+    if (best === null || n > counts.get(best)) best = v;
+  }
+  return best;
+}
+
+function round(n, digits) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+export { meter, validateSijo };
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { meter, validateSijo } from './meter.js';
+import { seosi, azaleas, flower, sijo } from './poems.js';
+
+describe('meter', () => {
+  it('groups short 어절 into feet', () => {
+    const { lines } = meter('청산리 벽계수야 수이 감을 자랑 마라');
+    assert.deepEqual(lines[0].feet.map(f => f.text), ['청산리', '벽계수야', '수이 감을', '자랑 마라']);
+    assert.equal(lines[0].pattern, '3·4·4·4');
+  });
+
+  it('attaches 1-syllable 어절 to a neighbour', () => {
+    const { lines } = meter('나 보기가 역겨워');
+    assert.equal(lines[0].pattern, '4·3');
+  });
+
+  it('detects 4음보 in sijo', () => {
+    const result = meter(sijo);
+    assert.equal(result.meter, '4음보');
+    assert.equal(result.regularity, 1);
+    assert.deepEqual(result.deviations, []);
+  });
+
+  it('detects 7·5조 in 진달래꽃', () => {
+    assert.equal(meter(azaleas).syllableMeter, '7·5조');
+  });
+
+  it('detects 3·4조 in 꽃', () => {
+    assert.equal(meter(flower).syllableMeter, '3·4조');
+  });
+
+  it('reports lines that deviate from the dominant meter', () => {
+    const result = meter(seosi);
+    assert.equal(result.footCount, 4);
+    const last = result.deviations.filter(d => d.index === 7);
+    assert.deepEqual(last.map(d => d.reason), [
+      '1 foot, expected 4',
+      'foot "걸어가야겠다" has 6 syllables'
+    ]);
+  });
+
+  it('handles text without Korean', () => {
+    const result = meter('Hello world');
+    assert.equal(result.meter, null);
+    assert.equal(result.syllableMeter, null);
+  });
+});
+
+describe('validateSijo', () => {
+  it('accepts 평시조', () => {
+    const result = validateSijo(sijo);
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.lines.map(l => l.pattern), ['3·4·4·4', '2·4·4·4', '3·5·4·3']);
+  });
+
+  it('accepts 단심가 with its long 종장 second foot', () => {
+    const result = validateSijo(`이 몸이 죽고 죽어 일백 번 고쳐 죽어
+백골이 진토 되어 넋이라도 있고 없고
+임 향한 일편단심이야 가실 줄이 있으랴`);
+    assert.equal(result.valid, true);
+    assert.equal(result.lines[2].pattern, '3·6·4·3');
+  });
+
+  it('attaches 1-syllable 어절 forward and keeps the 종장 opening', () => {
+    const result = validateSijo(`동짓달 기나긴 밤을 한 허리를 버혀 내어
+춘풍 니불 아래 서리서리 넣었다가
+어른님 오신 날 밤이어든 굽이굽이 펴리라`);
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.lines[0].feet.map(f => f.text), ['동짓달', '기나긴 밤을', '한 허리를', '버혀 내어']);
+    assert.deepEqual(result.lines[2].feet.map(f => f.text), ['어른님', '오신 날 밤이어든', '굽이굽이', '펴리라']);
+    assert.deepEqual(result.lines.map(l => l.pattern), ['3·5·4·4', '4·2·4·4', '3·7·4·3']);
+  });
+
+  it('rejects the wrong number of lines', () => {
+    const result = validateSijo(seosi);
+    assert.equal(result.valid, false);
+    assert.match(result.errors[0].message, /found 8/);
+  });
+
+  it('checks the fixed 종장 opening', () => {
+    const result = validateSijo(`청산리 벽계수야 수이 감을 자랑 마라
+일도 창해하면 다시 오기 어려우니
+달이 만공산하니 쉬어 간들 어떠리`);
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors.map(e => e.index), [2]);
+    assert.match(result.errors[0].message, /3-syllable foot/);
+  });
+});
@@ -0,0 +1,321 @@
+/**
+ * N-gram Language Model
+ *
+ * fingerprint's diversity scores are unigram entropies. This module models
+ * sequences: how likely each jamo (or syllable) is given the ones before it
+ * within a word. Trained on a reference corpus, a model scores texts by
+ * cross-entropy (bits per token) and perplexity, flags words whose
+ * phonotactics are unusual for the corpus, and samples new pseudo-Korean words.
+ *
+ *   unit 'jamo'      tokens are conjoining jamo, so initial and final
+ *                    consonants stay distinct: 한 → ᄒ ᅡ ᆫ
+ *   unit 'syllable'  tokens are syllables
+ *
+ * Smoothing is Witten–Bell interpolation (default) or add-k. Either way
+ * unseen tokens keep some probability, so perplexity is always finite.
+ * Models serialize with toJSON() and load with loadNgramModel().
+ */
+
+import { isSyllable, toConjoining, toSyllables } from './hangul.js';
+
+const BOS = '<s>';
+const EOS = '</s>';
+const UNITS = ['jamo', 'syllable'];
+const SMOOTHING = ['witten-bell', 'add-k'];
+const MODEL_VERSION = 1;
+
+/**
+ * Create an empty model.
+ * Options: { order: 3, unit: 'jamo' | 'syllable', smoothing: 'witten-bell' | 'add-k', k: 0.01 }
+ * k is the add-k constant, also used for the unigram floor under Witten–Bell.
+ */
+function createNgramModel(options = {}) {
+  const config = {
+    order: options.order ?? 3,
+    unit: options.unit || 'jamo',
+    smoothing: options.smoothing || 'witten-bell',
+    k: options.k ?? 0.01
+  };
+  if (!UNITS.includes(config.unit)) throw new Error(`Unknown n-gram unit: ${config.unit}`);
+  if (!SMOOTHING.includes(config.smoothing)) throw new Error(`Unknown smoothing: ${config.smoothing}`);
+  if (!Number.isInteger(config.order) || config.order < 1) throw new Error(`Invalid n-gram order: ${config.order}`);
+
+  // counts[n] maps a context of n tokens to { total, next: Map(token → count) }
+  const counts = Array.from({ length: config.order }, () => new Map());
+  const vocabulary = new Set();
+  let baseline = null;
+
+  // Counts from toJSON(), when loading a saved model
+  if (options.counts) {
+    for (const token of options.vocabulary) vocabulary.add(token);
+    options.counts.forEach((level, n) => {
+      for (const [context, next] of Object.entries(level)) {
+        const entries = Object.entries(next);
+        counts[n].set(context, { total: entries.reduce((sum, [, c]) => sum + c, 0), next: new Map(entries) });
+      }
+    });
+  }
+
+  const model = {
+    ...config,
+
+    /**
+     * Add a text (or an array of texts) to the counts
+     */
+    train(text) {
+      for (const t of [].concat(text)) {
+        for (const tokens of words(t, config.unit)) {
+          const padded = pad(tokens, config.order);
+          for (let i = config.order - 1; i < padded.length; i++) {
+            vocabulary.add(padded[i]);
+            for (let n = 0; n < config.order; n++) {
+              addCount(counts[n], padded.slice(i - n, i).join(' '), padded[i]);
+            }
+          }
+        }
+      }
+      baseline = null;
+      return model;
+    },
+
+    /**
+     * P(token | context), where context is an array of preceding tokens
+     */
+    probability(token, context = []) {
+      return probability(token, contextOf(context));
+    },
+
+    /**
+     * Average bits per token, counting each word's end
+     */
+    crossEntropy(text) {
+      const { bits, tokens } = scoreText(text);
+      return tokens ? round(bits / tokens, 4) : null;
+    },
+
+    perplexity(text) {
+      const h = model.crossEntropy(text);
+      return h === null ? null : round(2 ** h, 4);
+    },
+
+    /**
+     * How far a text's cross-entropy sits above the training corpus's own.
+     * Returns { crossEntropy, baseline, zScore, words } where words lists each
+     * word with its cross-entropy and z-score, most unusual first. A z-score
+     * above 3 or so is worth a look: typos, garbled encodings, foreign words.
+     */
+    unusualness(text) {
+      const ref = model.baseline();
+      const scored = words(text, config.unit).map(tokens => {
+        const { bits, tokens: n } = scoreWord(tokens);
+        return { word: joinTokens(tokens, config.unit), crossEntropy: round(bits / n, 4), tokens: n };
+      });
+      const tokens = scored.reduce((sum, w) => sum + w.tokens, 0);
+      if (tokens === 0) return null;
+
+      const bits = scored.reduce((sum, w) => sum + w.crossEntropy * w.tokens, 0);
+      const z = (h, n) => (ref.deviation > 0 ? round((h - ref.crossEntropy) / (ref.deviation / Math.sqrt(n)), 2) : 0);
+      return {
+        crossEntropy: round(bits / tokens, 4),
+        baseline: ref.crossEntropy,
+        zScore: z(bits / tokens, tokens),
+        words: scored
+          .map(({ word, crossEntropy, tokens: n }) => ({ word, crossEntropy, zScore: z(crossEntropy, n) }))
+          .sort((a, b) => b.zScore - a.zScore)
+      };
+    },
+
+    /**
+     * Cross-entropy of the training corpus under the model, and the standard
+     * deviation of per-token surprisal — computed from the counts alone
+     */
+    baseline() {
+      if (baseline) return baseline;
+      let n = 0;
+      let sum = 0;
+      let sumSq = 0;
+      for (const [context, { next }] of counts[config.order - 1]) {
+        const tokens = context ? context.split(' ') : [];
+        for (const [token, c] of next) {
+          const bits = -Math.log2(probability(token, tokens));
+          n += c;
+          sum += c * bits;
+          sumSq += c * bits * bits;
+        }
+      }
+      const mean = n ? sum / n : 0;
+      baseline = {
+        crossEntropy: round(mean, 4),
+        deviation: round(Math.sqrt(Math.max(0, (n ? sumSq / n : 0) - mean ** 2)), 4),
+        tokens: n
+      };
+      return baseline;
+    },
+
+    /**
+     * Sample new words. Options: { count: 1, maxSyllables: 4, random: Math.random }.
+     * Jamo models only produce well-formed syllables.
+     */
+    sample(sampleOptions = {}) {
+      const count = sampleOptions.count ?? 1;
+      const maxSyllables = sampleOptions.maxSyllables ?? 4;
+      const random = sampleOptions.random || Math.random;
+      if (vocabulary.size === 0) throw new Error('Cannot sample from an untrained model');
+
+      const out = [];
+      for (let i = 0; i < count; i++) out.push(sampleWord(maxSyllables, random));
+      return out;
+    },
+
+    toJSON() {
+      return {
+        version: MODEL_VERSION,
+        ...config,
+        vocabulary: [...vocabulary],
+        counts: counts.map(level => Object.fromEntries(
+          [...level].map(([context, { next }]) => [context, Object.fromEntries(next)])
+        ))
+      };
+    }
+  };
+
+  // The last order − 1 tokens, padded at the start of a word
+  function contextOf(tokens) {
+    if (config.order === 1) return [];
+    return [...Array(config.order - 1).fill(BOS), ...tokens].slice(-(config.order - 1));
+  }
+
+  function probability(token, context) {
+    if (config.smoothing === 'add-k') {
+      const entry = counts[context.length].get(context.join(' '));
+      const c = entry ? entry.next.get(token) || 0 : 0;
+      return (c + config.k) / ((entry ? entry.total : 0) + config.k * (vocabulary.size + 1));
+    }
+    return wittenBell(token, context);
+  }
+
+  // Interpolate down to a unigram floor that leaves room for unseen tokens
+  function wittenBell(token, context) {
+    const unigrams = counts[0].get('');
+    let p = ((unigrams ? unigrams.next.get(token) || 0 : 0) + config.k) /
+      ((unigrams ? unigrams.total : 0) + config.k * (vocabulary.size + 1));
+
+    for (let n = 1; n <= context.length; n++) {
+      const entry = counts[n].get(context.slice(-n).join(' '));
+      if (!entry) break;
+      const types = entry.next.size;
+      p = ((entry.next.get(token) || 0) + types * p) / (entry.total + types);
+    }
+    return p;
+  }
+
+  function scoreWord(tokens) {
+    const padded = pad(tokens, config.order);
+    let bits = 0;
+    for (let i = config.order - 1; i < padded.length; i++) {
+      bits -= Math.log2(probability(padded[i], contextOf(padded.slice(0, i))));
+    }
+    return { bits, tokens: padded.length - config.order + 1 };
+  }
+
+  function scoreText(text) {
+    let bits = 0;
+    let tokens = 0;
+    for (const w of words(text, config.unit)) {
+      const s = scoreWord(w);
+      bits += s.bits;
+      tokens += s.tokens;
+    }
+    return { bits, tokens };
+  }
+
+  function sampleWord(maxSyllables, random) {
+    const tokens = [];
+    let syllables = 0;
+    for (;;) {
+      const context = contextOf(tokens);
+      const last = tokens.at(-1);
+      const candidates = [...vocabulary].filter(t => allowedNext(t, last, syllables >= maxSyllables));
+      const weights = candidates.map(t => probability(t, context));
+      const token = pick(candidates, weights, random);
+      if (token === EOS) break;
+      tokens.push(token);
+      if (config.unit === 'syllable' || role(token) === 'jung') syllables++;
+      if (config.unit === 'syllable' && syllables >= maxSyllables) break;
+    }
+    return joinTokens(tokens, config.unit);
+  }
+
+  // Jamo order within a word: initial, vowel, optional final, then a new initial or the end
+  function allowedNext(token, last, full) {
+    if (config.unit === 'syllable') return token !== EOS || last !== undefined;
+    const r = token === EOS ? 'end' : role(token);
+    const prev = last === undefined ? 'start' : role(last);
+    if (prev === 'start') return r === 'cho';
+    if (prev === 'cho') return r === 'jung';
+    if (prev === 'jung') return r === 'jong' || r === 'end' || (r === 'cho' && !full);
+    return r === 'end' || (r === 'cho' && !full);
+  }
+
+  return model;
+}
+
+/**
+ * Rebuild a model from toJSON() output (an object or a JSON string)
+ */
+function loadNgramModel(json) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  if (data.version !== MODEL_VERSION) throw new Error(`Unsupported n-gram model version: ${data.version}`);
+  return createNgramModel(data);
+}
+
+function words(text, unit) {
+  const out = [];
+  for (const word of toSyllables(String(text)).split(/[^가-힣]+/)) {
+    if (!word) continue;
+    out.push(unit === 'jamo' ? [...toConjoining(word)] : [...word].filter(isSyllable));
+  }
+  return out;
+}
+
+function joinTokens(tokens, unit) {
+  return unit === 'jamo' ? toSyllables(tokens.join('')) : tokens.join('');
+}
+
+function pad(tokens, order) {
+  return [...Array(order - 1).fill(BOS), ...tokens, EOS];
+}
+
+function role(token) {
+  const code = token.charCodeAt(0);
+  if (code >= 0x1100 && code <= 0x1112) return 'cho';
+  if (code >= 0x1161 && code <= 0x1175) return 'jung';
+  return 'jong';
+}
+
+function addCount(level, context, token) {
+  let entry = level.get(context);
+  if (!entry) {
+    entry = { total: 0, next: new Map() };
+    level.set(context, entry);
+  }
+  entry.total++;
+  entry.next.set(token, (entry.next.get(token) || 0) + 1);
+}
+
+function pick(items, weights, random) {
+  const total = weights.reduce((a, b) => a + b, 0);
+  let r = random() * total;
+  for (let i = 0; i < items.length; i++) {
+    r -= weights[i];
+    if (r < 0) return items[i];
+  }
+  return items.at(-1);
+}
+
+function round(n, digits) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+export { createNgramModel, loadNgramModel };
@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNgramModel, loadNgramModel } from './ngram.js';
+import { isSyllable } from './hangul.js';
+
+const corpus = `죽는 날까지 하늘을 우러러 한 점 부끄럼이 없기를
+잎새에 이는 바람에도 나는 괴로워했다
+별을 노래하는 마음으로 모든 죽어가는 것을 사랑해야지
+그리고 나한테 주어진 길을 걸어가야겠다
+오늘 밤에도 별이 바람에 스치운다`;
+
+// Deterministic stand-in for Math.random
+function seeded(seed) {
+  return () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+}
+
+describe('createNgramModel', () => {
+  it('scores familiar text lower than garbled text', () => {
+    const model = createNgramModel().train(corpus);
+    assert.ok(model.crossEntropy('하늘과 바람과 별') < model.crossEntropy('뷁퉯쀍'));
+    assert.ok(model.perplexity('하늘') > 1);
+  });
+
+  it('keeps unseen tokens finite under both smoothings', () => {
+    for (const smoothing of ['witten-bell', 'add-k']) {
+      const model = createNgramModel({ smoothing }).train(corpus);
+      assert.ok(Number.isFinite(model.crossEntropy('뷁')));
+    }
+  });
+
+  it('gives probabilities that sum to one over the vocabulary', () => {
+    const model = createNgramModel({ unit: 'syllable', order: 2 }).train(corpus);
+    const vocabulary = model.toJSON().vocabulary;
+    const total = vocabulary.reduce((sum, t) => sum + model.probability(t, ['바']), 0);
+    // The remainder is reserved for unseen syllables
+    assert.ok(total < 1 && total > 0.95);
+  });
+
+  it('returns null for text without Korean words', () => {
+    const model = createNgramModel().train(corpus);
+    assert.equal(model.crossEntropy('hello 123'), null);
+    assert.equal(model.unusualness('hello'), null);
+  });
+
+  it('flags unusual words against the training baseline', () => {
+    const model = createNgramModel().train(corpus);
+    const result = model.unusualness('바람이 뷁퉯 하늘');
+    assert.equal(result.baseline, model.baseline().crossEntropy);
+    assert.equal(result.words[0].word, '뷁퉯');
+    assert.ok(result.words[0].zScore > 3);
+    assert.ok(result.words.at(-1).zScore < 1);
+  });
+
+  it('samples well-formed syllables', () => {
+    const model = createNgramModel().train(corpus);
+    const words = model.sample({ count: 20, maxSyllables: 3, random: seeded(7) });
+    assert.equal(words.length, 20);
+    for (const word of words) {
+      assert.ok(word.length >= 1 && word.length <= 3);
+      assert.ok([...word].every(isSyllable), word);
+    }
+    assert.deepEqual(model.sample({ count: 5, random: seeded(1) }), model.sample({ count: 5, random: seeded(1) }));
+  });
+
+  it('samples syllable models', () => {
+    const model = createNgramModel({ unit: 'syllable', order: 2 }).train(corpus);
+    const [word] = model.sample({ maxSyllables: 2, random: seeded(3) });
+    assert.ok(word.length >= 1 && word.length <= 2);
+  });
+
+  it('rejects bad options and untrained sampling', () => {
+    assert.throws(() => createNgramModel({ unit: 'word' }), /Unknown n-gram unit/);
+    assert.throws(() => createNgramModel({ smoothing: 'magic' }), /Unknown smoothing/);
+    assert.throws(() => createNgramModel({ order: 0 }), /Invalid n-gram order/);
+    assert.throws(() => createNgramModel().sample(), /untrained/);
+  });
+});
+
+describe('loadNgramModel', () => {
+  it('round-trips through JSON', () => {
+    const model = createNgramModel({ order: 2, smoothing: 'add-k', k: 0.1 }).train(corpus);
+    const loaded = loadNgramModel(JSON.stringify(model));
+    assert.equal(loaded.order, 2);
+    assert.equal(loaded.smoothing, 'add-k');
+    assert.equal(loaded.crossEntropy('하늘과 바람과 별'), model.crossEntropy('하늘과 바람과 별'));
+    assert.deepEqual(loaded.baseline(), model.baseline());
+  });
+
+  it('keeps training after loading', () => {
+    const loaded = loadNgramModel(createNgramModel().train(corpus).toJSON());
+    const before = loaded.crossEntropy('시인');
+    loaded.train('시인 시인 시인');
+    assert.ok(loaded.crossEntropy('시인') < before);
+  });
+
+  it('rejects unknown versions', () => {
+    assert.throws(() => loadNgramModel({ version: 99 }), /Unsupported n-gram model version/);
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * Korean Numerals
+ *
+ * Korean reads numbers two ways:
+ *   Sino-Korean (한자어)  일 이 삼 … grouped by 만 (10⁴), 억 (10⁸), 조 (10¹²), 경 (10¹⁶)
+ *                        1234 → 천이백삼십사, 120000 → 십이만
+ *   native (고유어)       하나 둘 셋 … up to 99, used with counters like 개, 명, 시
+ *                        and shortened before them: 한 개, 두 시, 스무 살
+ *
+ * spellNumbers rewrites the digits in a text the way it is read aloud
+ * (3개 → 세 개, 2시 30분 → 두 시 삼십 분), and parseNumber reads Korean
+ * number words back into values.
+ */
+
+const DIGITS = ['영', '일', '이', '삼', '사', '오', '육', '칠', '팔', '구'];
+const PLACES = ['', '십', '백', '천'];
+const GROUPS = ['', '만', '억', '조', '경'];
+
+const NATIVE_ONES = ['', '하나', '둘', '셋', '넷', '다섯', '여섯', '일곱', '여덟', '아홉'];
+const NATIVE_TENS = ['', '열', '스물', '서른', '마흔', '쉰', '예순', '일흔', '여든', '아흔'];
+
+// Short forms used right before a counter
+const ATTRIBUTIVE = { '하나': '한', '둘': '두', '셋': '세', '넷': '네', '스물': '스무' };
+
+// Counters that take native numerals (1–99); anything else is read in Sino-Korean
+const NATIVE_COUNTERS = [
+  '개', '명', '사람', '마리', '살', '시간', '시', '권', '잔', '병', '장', '대', '번째', '번',
+  '벌', '채', '켤레', '그루', '송이', '달', '가지', '군데', '척', '통', '줄', '곳', '분들'
+];
+const SINO_COUNTERS = [
+  '분', '초', '원', '년', '월', '일', '층', '호', '회', '개월', '주', '퍼센트', '도',
+  '킬로그램', '킬로미터', '미터', '센티미터', '그램', '리터', '학년', '등', '인분', '세'
+];
+const COUNTERS = [...NATIVE_COUNTERS, ...SINO_COUNTERS].sort((a, b) => b.length - a.length);
+
+// Months drop a final before 월: 육월 → 유월, 십월 → 시월
+const MONTHS = { 6: '유', 10: '시' };
+
+const PARSE_DIGITS = { '영': 0, '공': 0, '일': 1, '이': 2, '삼': 3, '사': 4, '오': 5, '육': 6, '륙': 6, '칠': 7, '팔': 8, '구': 9 };
+const PARSE_PLACES = { '십': 10n, '백': 100n, '천': 1000n };
+const PARSE_GROUPS = { '만': 10n ** 4n, '억': 10n ** 8n, '조': 10n ** 12n, '경': 10n ** 16n };
+const PARSE_NATIVE = {
+  ...Object.fromEntries(NATIVE_ONES.slice(1).map((w, i) => [w, i + 1])),
+  ...Object.fromEntries(NATIVE_TENS.slice(1).map((w, i) => [w, (i + 1) * 10])),
+  '한': 1, '두': 2, '세': 3, '석': 3, '서': 3, '네': 4, '넉': 4, '너': 4, '스무': 20
+};
+
+/**
+ * Read a number in Sino-Korean: 1234 → 천이백삼십사, 3.14 → 삼점일사.
+ * Accepts numbers, bigints and numeric strings (commas allowed).
+ * 1 is silent before 십, 백, 천 and 만 but not before 억 or larger: 만, 일억.
+ * Options: { spacing: true } puts a space between 만 groups and around 점,
+ * as in Korean spacing rules: 십이억 삼천만, 삼 점 일사.
+ */
+function readSino(value, options = {}) {
+  const { negative, integer, fraction } = parseDigits(value);
+  const sep = options.spacing ? ' ' : '';
+
+  let out = readInteger(integer, sep);
+  if (fraction) out += `${sep}점${sep}${[...fraction].map(d => DIGITS[d]).join('')}`;
+  return negative ? `마이너스${sep}${out}` : out;
+}
+
+/**
+ * Read 1–99 with native numerals: 35 → 서른다섯.
+ * With { attributive: true }, the form used before a counter: 1 → 한, 20 → 스무.
+ */
+function readNative(value, options = {}) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > 99) {
+    throw new RangeError(`Native numerals cover 1 to 99: ${value}`);
+  }
+  let tens = NATIVE_TENS[Math.floor(n / 10)];
+  let ones = NATIVE_ONES[n % 10];
+  if (options.attributive) {
+    if (ones) ones = ATTRIBUTIVE[ones] || ones;
+    else tens = ATTRIBUTIVE[tens] || tens;
+  }
+  return tens + ones;
+}
+
+/**
+ * Read a number with its counter: (3, '개') → 세 개, (30, '분') → 삼십 분.
+ * Native counters use native numerals from 1 to 99 and Sino-Korean beyond.
+ */
+function readCounted(value, counter, options = {}) {
+  const n = Number(String(value).replace(/,/g, ''));
+  if (NATIVE_COUNTERS.includes(counter) && Number.isInteger(n) && n >= 1 && n <= 99) {
+    return `${readNative(n, { attributive: true })} ${counter}`;
+  }
+  if (counter === '월' && MONTHS[n]) return `${MONTHS[n]}${counter}`;
+  return `${readSino(value, options)} ${counter}`;
+}
+
+/**
+ * Replace the numbers in a text with how they are read:
+ * '사과 3개와 2시 30분' → '사과 세 개와 두 시 삼십 분'.
+ * A known counter right after a number decides the reading; other numbers
+ * are read in Sino-Korean.
+ */
+function spellNumbers(text, options = {}) {
+  let out = '';
+  let last = 0;
+  for (const { index, length, reading } of numberReadings(text, options)) {
+    out += text.slice(last, index) + reading;
+    last = index + length;
+  }
+  return out + text.slice(last);
+}
+
+/**
+ * The replacements spellNumbers makes, in order: [{ index, length, reading }]
+ * where text.slice(index, index + length) is read as reading. Useful to map
+ * positions in the spelled-out text back to the original.
+ */
+function numberReadings(text, options = {}) {
+  // A hyphen is a minus sign only when it does not join two words (2-3개)
+  const pattern = /((?:(?<![\w.])-)?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?)( ?)([가-힣]*)/g;
+  return [...text.matchAll(pattern)].map(match => {
+    const [whole, number, space, after] = match;
+    const counter = COUNTERS.find(c => after.startsWith(c));
+    const reading = counter
+      ? readCounted(number, counter, options) + after.slice(counter.length)
+      : readSino(number, options) + space + after;
+    return { index: match.index, length: whole.length, reading };
+  });
+}
+
+/**
+ * Parse Korean number words back into a value: 천이백삼십사 → 1234,
+ * 일억 이천만 → 120000000, 스물셋 → 23, 세 → 3, 삼 점 일사 → 3.14.
+ * Digits may mix with units (3만 5천). Returns a number, a bigint when an
+ * integer is beyond Number's exact range, or null when the text is not a number.
+ */
+function parseNumber(text) {
+  let s = String(text).replace(/\s+/g, '');
+  if (!s) return null;
+
+  const native = parseNative(s);
+  if (native !== null) return native;
+
+  let negative = false;
+  if (s.startsWith('마이너스')) {
+    negative = true;
+    s = s.slice(4);
+  }
+
+  const [integerPart, fractionPart, ...rest] = s.split('점');
+  if (rest.length > 0) return null;
+
+  const integer = parseSinoInteger(integerPart);
+  if (integer === null) return null;
+
+  if (fractionPart !== undefined) {
+    const fraction = [...fractionPart].map(ch => (/\d/.test(ch) ? Number(ch) : PARSE_DIGITS[ch]));
+    if (fraction.length === 0 || fraction.some(d => d === undefined)) return null;
+    const value = Number(`${integer}.${fraction.join('')}`);
+    return negative ? -value : value;
+  }
+
+  const value = negative ? -integer : integer;
+  return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+}
+
+function parseNative(s) {
+  const m = s.match(/^(열|스물|스무|서른|마흔|쉰|예순|일흔|여든|아흔)?(하나|한|둘|두|셋|세|석|서|넷|네|넉|너|다섯|여섯|일곱|여덟|아홉)?$/);
+  if (!m || (!m[1] && !m[2])) return null;
+  if (m[1] === '스무' && m[2]) return null;
+  return (m[1] ? PARSE_NATIVE[m[1]] : 0) + (m[2] ? PARSE_NATIVE[m[2]] : 0);
+}
+
+// Sino-Korean integer as a bigint; Arabic digit runs count as one digit value
+function parseSinoInteger(s) {
+  if (!s) return null;
+  let total = 0n;
+  let group = 0n;
+  let current = null;
+  // Places within a 만 group must descend: 천백 but not 십십 or 백천
+  let lastPlace = null;
+
+  for (const m of s.matchAll(/\d+|./g)) {
+    const token = m[0];
+    if (/^\d/.test(token)) {
+      if (current !== null) return null;
+      current = BigInt(token);
+    } else if (token in PARSE_DIGITS) {
+      if (current !== null) return null;
+      current = BigInt(PARSE_DIGITS[token]);
+    } else if (token in PARSE_PLACES) {
+      if (lastPlace !== null && PARSE_PLACES[token] >= lastPlace) return null;
+      lastPlace = PARSE_PLACES[token];
+      group += (current ?? 1n) * PARSE_PLACES[token];
+      current = null;
+    } else if (token in PARSE_GROUPS) {
+      const amount = group + (current ?? 0n);
+      total += (amount || 1n) * PARSE_GROUPS[token];
+      group = 0n;
+      current = null;
+      lastPlace = null;
+    } else {
+      return null;
+    }
+  }
+
+  return total + group + (current ?? 0n);
+}
+
+function parseDigits(value) {
+  const s = typeof value === 'bigint' ? value.toString() : String(value).replace(/,/g, '').trim();
+  const m = s.match(/^(-)?(\d+)(?:\.(\d+))?$/);
+  if (!m) throw new Error(`Not a number: ${value}`);
+  return { negative: Boolean(m[1]), integer: m[2].replace(/^0+(?=\d)/, ''), fraction: m[3] || '' };
+}
+
+function readInteger(digits, sep) {
+  if (/^0+$/.test(digits)) return DIGITS[0];
+  if (Math.ceil(digits.length / 4) > GROUPS.length) {
+    throw new RangeError(`Number too large to read: ${digits}`);
+  }
+
+  const parts = [];
+  const groupCount = Math.ceil(digits.length / 4);
+  for (let k = groupCount - 1; k >= 0; k--) {
+    const end = digits.length - k * 4;
+    const group = Number(digits.slice(Math.max(0, end - 4), end));
+    if (group === 0) continue;
+    // 일 is dropped before 만 (만 원, not 일만 원) but kept before 억 and up
+    const words = group === 1 && k === 1 ? '' : readGroup(group);
+    parts.push(words + GROUPS[k]);
+  }
+  return parts.join(sep);
+}
+
+// 1–9999; a leading 일 before 십, 백 and 천 is silent
+function readGroup(n) {
+  let out = '';
+  for (let place = 3; place >= 0; place--) {
+    const d = Math.floor(n / 10 ** place) % 10;
+    if (d === 0) continue;
+    out += (d === 1 && place > 0 ? '' : DIGITS[d]) + PLACES[place];
+  }
+  return out;
+}
+
+export { readSino, readNative, readCounted, spellNumbers, numberReadings, parseNumber };
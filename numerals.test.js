@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readSino, readNative, readCounted, spellNumbers, parseNumber } from './numerals.js';
+
+describe('readSino', () => {
+  it('reads integers without a leading 일 before 십, 백, 천 and 만', () => {
+    assert.equal(readSino(1234), '천이백삼십사');
+    assert.equal(readSino(10), '십');
+    assert.equal(readSino(111), '백십일');
+    assert.equal(readSino(10000), '만');
+    assert.equal(readSino(11000), '만천');
+    assert.equal(readSino(0), '영');
+  });
+
+  it('groups large values by 만, 억, 조 and 경', () => {
+    assert.equal(readSino(120000), '십이만');
+    assert.equal(readSino(100000000), '일억');
+    assert.equal(readSino('1,234,567,890'), '십이억삼천사백오십육만칠천팔백구십');
+    assert.equal(readSino(1234567890, { spacing: true }), '십이억 삼천사백오십육만 칠천팔백구십');
+    assert.equal(readSino(10n ** 12n), '일조');
+    assert.equal(readSino(10n ** 16n + 5n), '일경오');
+    assert.throws(() => readSino(10n ** 20n), RangeError);
+  });
+
+  it('reads decimals and negatives', () => {
+    assert.equal(readSino(3.14), '삼점일사');
+    assert.equal(readSino('0.05'), '영점영오');
+    assert.equal(readSino(-5), '마이너스오');
+    assert.equal(readSino(3.5, { spacing: true }), '삼 점 오');
+  });
+
+  it('rejects non-numbers', () => {
+    assert.throws(() => readSino('abc'), /Not a number/);
+  });
+});
+
+describe('readNative', () => {
+  it('reads 1 to 99', () => {
+    assert.equal(readNative(1), '하나');
+    assert.equal(readNative(35), '서른다섯');
+    assert.equal(readNative(99), '아흔아홉');
+    assert.throws(() => readNative(100), RangeError);
+    assert.throws(() => readNative(0), RangeError);
+  });
+
+  it('shortens forms before a counter', () => {
+    assert.equal(readNative(1, { attributive: true }), '한');
+    assert.equal(readNative(4, { attributive: true }), '네');
+    assert.equal(readNative(20, { attributive: true }), '스무');
+    assert.equal(readNative(21, { attributive: true }), '스물한');
+  });
+});
+
+describe('readCounted', () => {
+  it('chooses native or Sino-Korean by counter', () => {
+    assert.equal(readCounted(3, '개'), '세 개');
+    assert.equal(readCounted(2, '시'), '두 시');
+    assert.equal(readCounted(30, '분'), '삼십 분');
+    assert.equal(readCounted(100, '명'), '백 명');
+  });
+
+  it('uses 유월 and 시월', () => {
+    assert.equal(readCounted(6, '월'), '유월');
+    assert.equal(readCounted(10, '월'), '시월');
+    assert.equal(readCounted(11, '월'), '십일 월');
+  });
+});
+
+describe('spellNumbers', () => {
+  it('spells out numbers with their counters', () => {
+    assert.equal(spellNumbers('사과 3개와 2시 30분'), '사과 세 개와 두 시 삼십 분');
+    assert.equal(spellNumbers('1234'), '천이백삼십사');
+    assert.equal(spellNumbers('20살'), '스무 살');
+    assert.equal(spellNumbers('1,000원'), '천 원');
+  });
+
+  it('reads other numbers in Sino-Korean and keeps what follows', () => {
+    assert.equal(spellNumbers('3을 더하면'), '삼을 더하면');
+    assert.equal(spellNumbers('기온 -5도'), '기온 마이너스오 도');
+    assert.equal(spellNumbers('2-3개'), '이-세 개');
+  });
+});
+
+describe('parseNumber', () => {
+  it('parses Sino-Korean numbers', () => {
+    assert.equal(parseNumber('천이백삼십사'), 1234);
+    assert.equal(parseNumber('일억 이천만'), 120000000);
+    assert.equal(parseNumber('만'), 10000);
+    assert.equal(parseNumber('삼 점 일사'), 3.14);
+    assert.equal(parseNumber('마이너스 오'), -5);
+    assert.equal(parseNumber('3만 5천'), 35000);
+  });
+
+  it('parses native numbers and counter forms', () => {
+    assert.equal(parseNumber('스물셋'), 23);
+    assert.equal(parseNumber('세'), 3);
+    assert.equal(parseNumber('스무'), 20);
+    assert.equal(parseNumber('열'), 10);
+  });
+
+  it('returns a bigint past the exact Number range', () => {
+    assert.equal(parseNumber('일경'), 10n ** 16n);
+  });
+
+  it('round-trips readSino', () => {
+    for (const n of [7, 10, 1234, 10000, 120000, 987654321]) {
+      assert.equal(parseNumber(readSino(n)), n);
+    }
+  });
+
+  it('returns null for other words', () => {
+    assert.equal(parseNumber('하늘'), null);
+    assert.equal(parseNumber(''), null);
+  });
+
+  it('rejects places that do not descend within a 만 group', () => {
+    assert.equal(parseNumber('십십'), null);
+    assert.equal(parseNumber('백천'), null);
+    assert.equal(parseNumber('천만천'), 10001000);
+  });
+});
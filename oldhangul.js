@@ -0,0 +1,201 @@
+/**
+ * Old Hangul (옛한글)
+ *
+ * Middle Korean texts (훈민정음 언해, 용비어천가) use letters modern Hangul
+ * dropped — ㆍ 아래아, ㅿ 반치음, ㆁ 옛이응, ㆆ 여린히읗, ㅸ 순경음 비읍 —
+ * and initial clusters such as ㅄ and ㅴ. Unicode has no precomposed
+ * syllables for them: ᄒᆞᆫ is a conjoining jamo sequence, drawing on the
+ * U+1100 block and Hangul Jamo Extended-A (initials) and -B (vowels, finals).
+ * NFC may also leave a modern syllable followed by an archaic final: 가ᇫ.
+ *
+ * Letters are reported in compatibility form where Unicode has one (ㆍ, ㅿ)
+ * and as the conjoining jamo otherwise. decompose() and compose() in
+ * hangul.js fall back to this module for anything outside the modern tables.
+ */
+
+import { CHOSEONG, JUNGSEONG, JONGSEONG } from './hangul.js';
+
+// Compatibility letters with archaic conjoining forms: [initial, vowel, final], 0 if none
+const ARCHAIC_LETTERS = {
+  'ㄵ': [0x115C, 0, 0], 'ㄶ': [0x115D, 0, 0], 'ㄸ': [0, 0, 0xD7CD],
+  'ㄺ': [0xA964, 0, 0], 'ㄻ': [0xA968, 0, 0], 'ㄼ': [0xA969, 0, 0],
+  'ㄽ': [0xA96C, 0, 0], 'ㅀ': [0x111A, 0, 0], 'ㅃ': [0, 0, 0xD7E6],
+  'ㅄ': [0x1121, 0, 0], 'ㅉ': [0, 0, 0xD7F9], 'ㅥ': [0x1114, 0, 0x11FF],
+  'ㅦ': [0x1115, 0, 0x11C6], 'ㅧ': [0x115B, 0, 0x11C7], 'ㅨ': [0, 0, 0x11C8],
+  'ㅩ': [0, 0, 0x11CC], 'ㅪ': [0xA966, 0, 0x11CE], 'ㅫ': [0, 0, 0x11D3],
+  'ㅬ': [0, 0, 0x11D7], 'ㅭ': [0, 0, 0x11D9], 'ㅮ': [0x111C, 0, 0x11DC],
+  'ㅯ': [0xA971, 0, 0x11DD], 'ㅰ': [0, 0, 0x11DF], 'ㅱ': [0x111D, 0, 0x11E2],
+  'ㅲ': [0x111E, 0, 0], 'ㅳ': [0x1120, 0, 0xD7E3], 'ㅴ': [0x1122, 0, 0],
+  'ㅵ': [0x1123, 0, 0xD7E7], 'ㅶ': [0x1127, 0, 0xD7E8], 'ㅷ': [0x1129, 0, 0],
+  'ㅸ': [0x112B, 0, 0x11E6], 'ㅹ': [0x112C, 0, 0], 'ㅺ': [0x112D, 0, 0x11E7],
+  'ㅻ': [0x112E, 0, 0], 'ㅼ': [0x112F, 0, 0x11E8], 'ㅽ': [0x1132, 0, 0x11EA],
+  'ㅾ': [0x1136, 0, 0xD7EF], 'ㅿ': [0x1140, 0, 0x11EB], 'ㆀ': [0x1147, 0, 0x11EE],
+  'ㆁ': [0x114C, 0, 0x11F0], 'ㆂ': [0, 0, 0x11F1], 'ㆃ': [0, 0, 0x11F2],
+  'ㆄ': [0x1157, 0, 0x11F4], 'ㆅ': [0x1158, 0, 0], 'ㆆ': [0x1159, 0, 0x11F9],
+  'ㆇ': [0, 0x1184, 0], 'ㆈ': [0, 0x1185, 0], 'ㆉ': [0, 0x1188, 0],
+  'ㆊ': [0, 0x1191, 0], 'ㆋ': [0, 0x1192, 0], 'ㆌ': [0, 0x1194, 0],
+  'ㆍ': [0, 0x119E, 0], 'ㆎ': [0, 0x11A1, 0]
+};
+
+const ROLES = ['cho', 'jung', 'jong'];
+
+// Archaic conjoining jamo by position: [first, last] code ranges
+const ARCHAIC_RANGES = {
+  cho: [[0x1113, 0x115E], [0xA960, 0xA97C]],
+  jung: [[0x1176, 0x11A7], [0xD7B0, 0xD7C6]],
+  jong: [[0x11C3, 0x11FF], [0xD7CB, 0xD7FB]]
+};
+
+// Modern conjoining jamo; the offsets mirror the CHOSEONG/JUNGSEONG/JONGSEONG tables
+const MODERN_BASE = { cho: 0x1100, jung: 0x1161, jong: 0x11A7 };
+const MODERN_RANGES = { cho: [0x1100, 0x1112], jung: [0x1161, 0x1175], jong: [0x11A8, 0x11C2] };
+
+const LETTER_BY_CODE = new Map();
+for (const [letter, codes] of Object.entries(ARCHAIC_LETTERS)) {
+  for (const code of codes) if (code) LETTER_BY_CODE.set(code, letter);
+}
+
+// Archaic jamo inventories in display form, one entry per conjoining jamo
+const OLD_CHOSEONG = inventory('cho');
+const OLD_JUNGSEONG = inventory('jung');
+const OLD_JONGSEONG = inventory('jong');
+
+// Vowel classes in Middle Korean harmony (15th century): ㆍ ㅗ ㅏ are 양성,
+// ㅡ ㅜ ㅓ their 음성 counterparts, and only ㅣ is neutral. Diphthongs take
+// the class of their first vowel other than a leading ㅣ.
+const MIDDLE_KOREAN_VOWEL_TYPES = {
+  bright: ['ㆍ', 'ㅏ', 'ㅐ', 'ㅑ', 'ㅒ', 'ㅗ', 'ㅘ', 'ㅙ', 'ㅚ', 'ㅛ', 'ㆎ', 'ㆇ', 'ㆈ', 'ㆉ'],
+  dark: ['ㅡ', 'ㅓ', 'ㅔ', 'ㅕ', 'ㅖ', 'ㅜ', 'ㅝ', 'ㅞ', 'ㅟ', 'ㅠ', 'ㅢ', 'ㆊ', 'ㆋ', 'ㆌ'],
+  neutral: ['ㅣ']
+};
+const ARCHAIC_BRIGHT = /[\u1176-\u1179\u117F-\u1188\u1198-\u119A\u119D-\u11A4\u11A6\u11A7\uD7B0-\uD7B4\uD7BD\uD7BE\uD7C1\uD7C2\uD7C5\uD7C6]/;
+const ARCHAIC_DARK = /[\u117A-\u117E\u1189-\u1197\u119B\u119C\u11A5\uD7B5-\uD7BC\uD7BF\uD7C0\uD7C3]/;
+
+/**
+ * Check if a character is an archaic jamo, conjoining or compatibility
+ */
+function isOldJamo(ch) {
+  if (!ch) return false;
+  const role = jamoRole(ch);
+  if (role) return !inRange(ch.charCodeAt(0), MODERN_RANGES[role]);
+  return ch in ARCHAIC_LETTERS && !CHOSEONG.includes(ch) && !JUNGSEONG.includes(ch) && !JONGSEONG.includes(ch, 1);
+}
+
+/**
+ * Read an Old Hangul syllable starting at text[index]:
+ * an initial, a vowel and an optional final as conjoining jamo, at least one
+ * of them archaic, or a modern open syllable followed by an archaic final.
+ * Returns { syllable, cho, jung, jong, length } with letters in display form
+ * and syllable as a conjoining sequence, or null.
+ */
+function readOldSyllable(text, index = 0) {
+  const first = text.charCodeAt(index);
+
+  // 가 + ᇫ, as NFC leaves it
+  const offset = first - 0xAC00;
+  if (offset >= 0 && offset < 11172 && offset % 28 === 0 && isArchaicCode(text.charCodeAt(index + 1), 'jong')) {
+    const cho = MODERN_BASE.cho + Math.floor(offset / 588);
+    const jung = MODERN_BASE.jung + Math.floor(offset / 28) % 21;
+    return oldSyllable([cho, jung, text.charCodeAt(index + 1)], 2);
+  }
+
+  if (jamoRole(text[index]) !== 'cho' || jamoRole(text[index + 1]) !== 'jung') return null;
+  const codes = [first, text.charCodeAt(index + 1)];
+  if (jamoRole(text[index + 2]) === 'jong') codes.push(text.charCodeAt(index + 2));
+  if (!codes.some((code, i) => isArchaicCode(code, ROLES[i]))) return null;
+  return oldSyllable(codes, codes.length);
+}
+
+/**
+ * Compose letters into an Old Hangul conjoining sequence: ㅎ ㆍ ㄴ → ᄒᆞᆫ.
+ * Letters may be compatibility or conjoining jamo. Returns null when a
+ * letter cannot take its position or every letter is modern.
+ */
+function composeOld(cho, jung, jong = '') {
+  const parts = [jamoFor(cho, 'cho'), jamoFor(jung, 'jung')];
+  if (jong) parts.push(jamoFor(jong, 'jong'));
+  if (parts.includes(null)) return null;
+  if (!parts.some((ch, i) => isArchaicCode(ch.charCodeAt(0), ROLES[i]))) return null;
+  return parts.join('');
+}
+
+/**
+ * The conjoining jamo for a letter in a position ('cho', 'jung', 'jong'), or null
+ */
+function jamoFor(letter, role) {
+  if (!letter) return null;
+  if (jamoRole(letter) === role) return letter;
+  const modern = role === 'cho' ? CHOSEONG.indexOf(letter)
+    : role === 'jung' ? JUNGSEONG.indexOf(letter)
+    : JONGSEONG.indexOf(letter, 1);
+  if (modern >= 0) return String.fromCharCode(MODERN_BASE[role] + modern);
+  const code = ARCHAIC_LETTERS[letter]?.[ROLES.indexOf(role)];
+  return code ? String.fromCharCode(code) : null;
+}
+
+/**
+ * Display form of a conjoining jamo: the compatibility letter if there is one
+ */
+function letterOf(ch) {
+  const role = jamoRole(ch);
+  if (!role) return ch;
+  const code = ch.charCodeAt(0);
+  if (inRange(code, MODERN_RANGES[role])) {
+    const table = role === 'cho' ? CHOSEONG : role === 'jung' ? JUNGSEONG : JONGSEONG;
+    return table[code - MODERN_BASE[role]];
+  }
+  return LETTER_BY_CODE.get(code) || ch;
+}
+
+/**
+ * Position of any conjoining jamo, modern or archaic, or null
+ */
+function jamoRole(ch) {
+  if (!ch) return null;
+  const code = ch.charCodeAt(0);
+  for (const role of ROLES) {
+    if (inRange(code, MODERN_RANGES[role]) || isArchaicCode(code, role)) return role;
+  }
+  return null;
+}
+
+/**
+ * Vowel class of an archaic vowel: 1 양성, -1 음성, 0 중성
+ */
+function oldVowelClass(vowel) {
+  const jamo = jamoFor(vowel, 'jung');
+  if (!jamo) return 0;
+  return ARCHAIC_BRIGHT.test(jamo) ? 1 : ARCHAIC_DARK.test(jamo) ? -1 : 0;
+}
+
+function oldSyllable(codes, length) {
+  const jamo = codes.map(code => String.fromCharCode(code));
+  return {
+    syllable: jamo.join(''),
+    cho: letterOf(jamo[0]),
+    jung: letterOf(jamo[1]),
+    jong: jamo[2] ? letterOf(jamo[2]) : null,
+    length
+  };
+}
+
+function isArchaicCode(code, role) {
+  return ARCHAIC_RANGES[role].some(range => inRange(code, range));
+}
+
+function inRange(code, [first, last]) {
+  return code >= first && code <= last;
+}
+
+function inventory(role) {
+  const letters = [];
+  for (const [first, last] of ARCHAIC_RANGES[role]) {
+    for (let code = first; code <= last; code++) letters.push(LETTER_BY_CODE.get(code) || String.fromCharCode(code));
+  }
+  return letters;
+}
+
+export {
+  OLD_CHOSEONG, OLD_JUNGSEONG, OLD_JONGSEONG, MIDDLE_KOREAN_VOWEL_TYPES,
+  isOldJamo, readOldSyllable, composeOld, jamoFor, letterOf, jamoRole, oldVowelClass
+};
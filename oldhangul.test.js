@@ -0,0 +1,129 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  OLD_CHOSEONG, OLD_JUNGSEONG, OLD_JONGSEONG, MIDDLE_KOREAN_VOWEL_TYPES,
+  isOldJamo, readOldSyllable, composeOld, letterOf, oldVowelClass
+} from './oldhangul.js';
+import {
+  decompose, compose, toSyllables, toCompatibility, isJamo,
+  analyze, createAnalyzer, fingerprint, vowelHarmonyAnalysis, structuralPattern
+} from './hangul.js';
+
+// 훈민정음 언해 서문
+const EONHAE = '나랏 말ᄊᆞ미 듀ᇰ귁에 달아 文字와로 서르 ᄉᆞᄆᆞᆺ디 아니ᄒᆞᆯᄊᆡ';
+
+describe('Old Hangul inventories', () => {
+  it('list the archaic letters by position', () => {
+    assert.ok(OLD_CHOSEONG.includes('ㅿ') && OLD_CHOSEONG.includes('ㆁ') && OLD_CHOSEONG.includes('ㆆ'));
+    assert.ok(OLD_CHOSEONG.includes('ㅸ') && OLD_CHOSEONG.includes('ㅄ'));
+    assert.ok(OLD_JUNGSEONG.includes('ㆍ') && OLD_JUNGSEONG.includes('ㆎ'));
+    assert.ok(OLD_JONGSEONG.includes('ㅿ') && OLD_JONGSEONG.includes('ㆁ'));
+    assert.ok(!OLD_CHOSEONG.includes('ㄱ'));
+  });
+
+  it('recognize archaic jamo in both forms', () => {
+    assert.ok(isOldJamo('ㆍ'));
+    assert.ok(isOldJamo('ᆞ'));
+    assert.ok(isOldJamo('ᅀ'));
+    assert.ok(!isOldJamo('ㄱ'));
+    assert.ok(!isOldJamo('ᄀ'));
+    assert.ok(isJamo('ㅿ'));
+  });
+
+  it('shows conjoining jamo as compatibility letters', () => {
+    assert.equal(letterOf('ᆞ'), 'ㆍ');
+    assert.equal(letterOf('ᇫ'), 'ㅿ');
+    assert.equal(letterOf('ᄒ'), 'ㅎ');
+    // No compatibility letter: stays conjoining
+    assert.equal(letterOf('ᆢ'), 'ᆢ');
+  });
+});
+
+describe('Old Hangul syllables', () => {
+  it('decompose conjoining sequences', () => {
+    const d = decompose('ᄒᆞᆫ');
+    assert.equal(d.cho, 'ㅎ');
+    assert.equal(d.jung, 'ㆍ');
+    assert.equal(d.jong, 'ㄴ');
+    assert.equal(d.jungIdx, -1);
+    assert.ok(d.archaic && d.hasJong);
+    assert.equal(decompose('ᅀᅵ').cho, 'ㅿ');
+    assert.equal(decompose('ᄒᆞᆫ', { conjoining: true }).jung, 'ᆞ');
+  });
+
+  it('decompose a modern syllable with an archaic final', () => {
+    const d = decompose('듀ᇰ');
+    assert.deepEqual([d.cho, d.jung, d.jong], ['ㄷ', 'ㅠ', 'ㆁ']);
+    assert.equal(d.syllable, '듀ᇰ');
+  });
+
+  it('compose letters into conjoining sequences', () => {
+    assert.equal(compose('ㅎ', 'ㆍ', 'ㄴ'), 'ᄒᆞᆫ');
+    assert.equal(compose('ㅿ', 'ㅏ'), 'ᅀᅡ');
+    assert.equal(composeOld('ㄱ', 'ㅏ'), null);
+    assert.equal(compose('ㅏ', 'ㆍ'), null);
+    assert.equal(compose('ㄱ', 'ㅏ', 'ㄴ'), '간');
+  });
+
+  it('compose compatibility runs and convert back', () => {
+    assert.equal(toSyllables('ㅎㆍㄴ', { compatibility: true }), 'ᄒᆞᆫ');
+    assert.equal(toCompatibility('ᄒᆞᆫ'), 'ㅎㆍㄴ');
+  });
+
+  it('reads syllables inside text', () => {
+    assert.equal(readOldSyllable('말ᄊᆞ미', 1).length, 2);
+    assert.equal(readOldSyllable('말ᄊᆞ미', 0), null);
+  });
+});
+
+describe('Old Hangul analysis', () => {
+  it('counts archaic letters in frequencies', () => {
+    const a = analyze(EONHAE);
+    assert.equal(a.totalSyllables, 21);
+    assert.equal(a.jungFreq['ㆍ'], 4);
+    assert.equal(a.choFreq['ㅆ'], 2);
+    assert.equal(a.jongFreq['ㆁ'], 1);
+    assert.ok(a.syllables.some(s => s.archaic));
+  });
+
+  it('classifies ㆍ as bright', () => {
+    assert.equal(oldVowelClass('ㆍ'), 1);
+    assert.equal(oldVowelClass('ㆌ'), -1);
+    assert.ok(MIDDLE_KOREAN_VOWEL_TYPES.bright.includes('ㆍ'));
+    assert.equal(analyze('ᄒᆞᄂᆞ').vowelHarmony.bright, 2);
+  });
+
+  it('streams the same counts', () => {
+    const analyzer = createAnalyzer();
+    for (const line of EONHAE.split(' ')) analyzer.push(`${line}\n`);
+    const streamed = analyzer.result();
+    assert.equal(streamed.totalSyllables, 21);
+    assert.equal(streamed.jungFreq['ㆍ'], 4);
+
+    const merged = createAnalyzer().merge(analyzer.state());
+    assert.deepEqual(merged.result().jungFreq, streamed.jungFreq);
+  });
+
+  it('keeps fingerprint profiles modern', () => {
+    const fp = fingerprint(EONHAE);
+    assert.equal(fp.totalSyllables, 21);
+    assert.equal(fp.jungProfile['ㆍ'], undefined);
+  });
+
+  it('treats Old Hangul syllables as one unit in patterns', () => {
+    assert.equal(structuralPattern('ᄒᆞᆫ ᄉᆞ'), 'CVC CV');
+  });
+});
+
+describe('Middle Korean vowel harmony', () => {
+  it('puts ㅡ opposite ㆍ', () => {
+    const modern = vowelHarmonyAnalysis('ᄆᆞᄅᆞ 서르');
+    const middle = vowelHarmonyAnalysis('ᄆᆞᄅᆞ 서르', { harmony: 'middle-korean' });
+    assert.deepEqual(modern.map(w => w.pattern), ['++', '-·']);
+    assert.deepEqual(middle.map(w => w.pattern), ['++', '--']);
+  });
+
+  it('rejects unknown systems', () => {
+    assert.throws(() => vowelHarmonyAnalysis('하늘', { harmony: 'ancient' }), /Unknown vowel harmony system/);
+  });
+});
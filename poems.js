@@ -0,0 +1,36 @@
+/**
+ * Sample poems used by demo.js and the tests
+ */
+
+// 윤동주 — 서시 (Prologue)
+const seosi = `죽는 날까지 하늘을 우러러
+한 점 부끄럼이 없기를
+잎새에 이는 바람에도
+나는 괴로워했다
+별을 노래하는 마음으로
+모든 죽어가는 것을 사랑해야지
+그리고 나한테 주어진 길을
+걸어가야겠다`;
+
+// 김소월 — 진달래꽃 (Azaleas)
+const azaleas = `나 보기가 역겨워
+가실 때에는
+말없이 고이 보내 드리오리다
+영변에 약산
+진달래꽃
+아름 따다 가실 길에 뿌리오리다`;
+
+// 김춘수 — 꽃 (Flower)
+const flower = `내가 그의 이름을 불러 주기 전에는
+그는 다만
+하나의 몸짓에 지나지 않았다
+내가 그의 이름을 불러 주었을 때
+그는 나에게로 와서
+꽃이 되었다`;
+
+// 황진이 — 청산리 벽계수야 (평시조)
+const sijo = `청산리 벽계수야 수이 감을 자랑 마라
+일도 창해하면 다시 오기 어려우니
+명월이 만공산하니 쉬어 간들 어떠리`;
+
+export { seosi, azaleas, flower, sijo };
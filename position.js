@@ -0,0 +1,87 @@
+/**
+ * Source Positions
+ *
+ * Locates a range of a source text for editors: offsets in UTF-16 code units
+ * (what JavaScript strings, LSP and most editors count) and in code points
+ * (what Python, Rust char indices and terminals count), plus line and column.
+ *
+ *   {
+ *     offset, length,                    UTF-16 units, offset from 0
+ *     codePointOffset, codePointLength,  the same in code points
+ *     line, column, codePointColumn      from 1, columns in each unit
+ *   }
+ *
+ * Lines end at \n. A \r before it (CRLF) belongs to the line break, so it
+ * never shifts a column; it only shows up in a line's range when trim is off.
+ */
+
+/**
+ * Index a source text for repeated lookups.
+ *   locate(start, end)         position of source.slice(start, end)
+ *   locateLine(line, options)  position of a line's text without its break;
+ *                              { trim: true } also drops surrounding whitespace
+ */
+function createPositionIndex(source) {
+  source = String(source);
+  const lineStarts = [0];
+  for (let i = source.indexOf('\n'); i !== -1; i = source.indexOf('\n', i + 1)) lineStarts.push(i + 1);
+
+  // Code point index for each UTF-16 offset, only needed with astral characters
+  let codePoints = null;
+  if (/[\uD800-\uDBFF][\uDC00-\uDFFF]/.test(source)) {
+    codePoints = new Int32Array(source.length + 1);
+    let count = 0;
+    for (let i = 0; i < source.length; i++) {
+      codePoints[i] = count;
+      const code = source.charCodeAt(i);
+      const low = source.charCodeAt(i + 1);
+      if (code >= 0xD800 && code <= 0xDBFF && low >= 0xDC00 && low <= 0xDFFF) {
+        codePoints[++i] = count;
+      }
+      count++;
+    }
+    codePoints[source.length] = count;
+  }
+  const codePointAt = (offset) => (codePoints ? codePoints[offset] : offset);
+
+  function lineOf(offset) {
+    let lo = 0;
+    let hi = lineStarts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (lineStarts[mid] <= offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo;
+  }
+
+  function locate(start, end = start) {
+    const line = lineOf(start);
+    const lineStart = lineStarts[line];
+    const codePointOffset = codePointAt(start);
+    return {
+      offset: start,
+      length: end - start,
+      codePointOffset,
+      codePointLength: codePointAt(end) - codePointOffset,
+      line: line + 1,
+      column: start - lineStart + 1,
+      codePointColumn: codePointOffset - codePointAt(lineStart) + 1
+    };
+  }
+
+  function locateLine(line, options = {}) {
+    const start = lineStarts[line - 1];
+    if (start === undefined) throw new Error(`Unknown line: ${line}`);
+    let end = line < lineStarts.length ? lineStarts[line] - 1 : source.length;
+    if (source[end - 1] === '\r') end--;
+    if (!options.trim) return locate(start, end);
+    const text = source.slice(start, end);
+    const lead = text.length - text.trimStart().length;
+    return locate(start + lead, Math.max(start + lead, start + text.trimEnd().length));
+  }
+
+  return { lineCount: lineStarts.length, locate, locateLine };
+}
+
+export { createPositionIndex };
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPositionIndex } from './position.js';
+import { analyze, findRhymes, vowelHarmonyAnalysis, toConjoining } from './hangul.js';
+import { rhymeScheme } from './rhyme.js';
+import { meter } from './meter.js';
+
+const slice = (text, p) => text.slice(p.offset, p.offset + p.length);
+
+describe('createPositionIndex', () => {
+  it('counts lines and columns from 1', () => {
+    const index = createPositionIndex('가나\n다라');
+    assert.deepEqual(index.locate(4, 5), {
+      offset: 4, length: 1, codePointOffset: 4, codePointLength: 1, line: 2, column: 2, codePointColumn: 2
+    });
+    assert.equal(index.lineCount, 2);
+  });
+
+  it('counts astral characters as two units but one code point', () => {
+    const text = '😀a\n𝄞😀한';
+    const index = createPositionIndex(text);
+    const p = index.locate(text.indexOf('한'), text.indexOf('한') + 1);
+    assert.equal(p.offset, 8);
+    assert.equal(p.codePointOffset, 5);
+    assert.equal(p.column, 5);
+    assert.equal(p.codePointColumn, 3);
+    assert.equal(index.locate(0, 2).codePointLength, 1);
+  });
+
+  it('keeps \\r out of CRLF lines', () => {
+    const text = '가\r\n  나 \r\n';
+    const index = createPositionIndex(text);
+    assert.equal(index.locate(3).line, 2);
+    assert.equal(index.locate(3).column, 1);
+    assert.equal(slice(text, index.locateLine(1)), '가');
+    assert.equal(slice(text, index.locateLine(2)), '  나 ');
+    assert.equal(slice(text, index.locateLine(2, { trim: true })), '나');
+    assert.equal(index.locateLine(3).length, 0);
+    assert.throws(() => index.locateLine(4), /Unknown line/);
+  });
+});
+
+describe('analysis positions', () => {
+  it('locates each syllable of analyze in mixed text', () => {
+    const text = 'Hi 😀 한글!\r\n세상';
+    const { syllables } = analyze(text);
+    assert.deepEqual(syllables.map(s => slice(text, s.position)), ['한', '글', '세', '상']);
+    assert.deepEqual(syllables.map(s => [s.position.line, s.position.column, s.position.codePointColumn]), [
+      [1, 7, 6], [1, 8, 7], [2, 1, 1], [2, 2, 2]
+    ]);
+  });
+
+  it('maps composed, spelled-out and pronounced text back to the source', () => {
+    const nfd = toConjoining('한글');
+    assert.deepEqual(analyze(nfd).syllables.map(s => [s.position.offset, s.position.length]), [[0, 3], [3, 3]]);
+
+    const text = '사과 3개';
+    const spelled = analyze(text, { numbers: true }).syllables;
+    assert.deepEqual(spelled.map(s => s.syllable), ['사', '과', '세', '개']);
+    assert.equal(slice(text, spelled[2].position), '3개');
+
+    const said = analyze('국물', { phonetic: true }).syllables;
+    assert.deepEqual(said.map(s => [s.syllable, s.position.offset]), [['궁', 0], ['물', 1]]);
+  });
+
+  it('locates Old Hangul syllables', () => {
+    const text = '가 ᄒᆞᆫ';
+    const old = analyze(text).syllables.find(s => s.archaic);
+    assert.equal(slice(text, old.position), 'ᄒᆞᆫ');
+  });
+
+  it('locates rhyming syllables on request', () => {
+    const text = '산에\n간다';
+    assert.deepEqual(findRhymes(text)['ㅏㄴ'], ['산', '간']);
+    const rhymes = findRhymes(text, { positions: true })['ㅏㄴ'];
+    assert.deepEqual(rhymes.map(r => r.syllable), ['산', '간']);
+    assert.deepEqual(rhymes.map(r => [r.position.line, r.position.column]), [[1, 1], [2, 1]]);
+  });
+
+  it('locates words in vowel harmony results', () => {
+    const text = '  아버지\t어머니 ';
+    const words = vowelHarmonyAnalysis(text);
+    assert.deepEqual(words.map(w => slice(text, w.position)), ['아버지', '어머니']);
+    assert.equal(words[1].position.column, 7);
+  });
+
+  it('numbers rhyme scheme and meter lines as in the source', () => {
+    const text = '하늘을 우러러\r\n\r\n  한 점 부끄럼이 없기를\r\n';
+    const scheme = rhymeScheme(text);
+    assert.deepEqual(scheme.lines.map(l => l.line), [1, 3]);
+    assert.equal(slice(text, scheme.lines[1].position), '한 점 부끄럼이 없기를');
+    assert.deepEqual(meter(text).lines.map(l => [l.line, l.position.column]), [[1, 1], [3, 3]]);
+  });
+});
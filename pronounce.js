@@ -0,0 +1,212 @@
+/**
+ * Pronunciation Engine (표준 발음법)
+ *
+ * Spelling and sound diverge in Korean: 국물 is said [궁물], 같이 is said [가치].
+ * This module rewrites each syllable to its surface pronunciation by applying
+ * the standard sound-change rules between neighbouring syllables:
+ *
+ *   ㅎ rules     좋고 [조코], 좋아 [조아], 놓는 [논는], 국화 [구콰]
+ *   구개음화     같이 [가치], 굳히다 [구치다]
+ *   연음         닭을 [달글], 값을 [갑쓸], 맛 없다 [마덥따]
+ *   경음화       학교 [학꾜], 앉고 [안꼬]
+ *   끝소리 규칙  부엌 [부억], 꽃 [꼳]
+ *   비음화       국물 [궁물], 밥 먹어 [밤머거], 백로 [뱅노]
+ *   유음화       신라 [실라], 칼날 [칼랄]
+ *
+ * Rules that depend on word class or morpheme boundaries (ㄴ 첨가, 사이시옷,
+ * the 밟- exception) cannot be decided from spelling alone and are not applied.
+ */
+
+import { decompose, compose } from './hangul.js';
+import { COMPOUND_FINALS } from './jamo.js';
+
+// 음절의 끝소리 규칙 — only 7 consonants can be pronounced as a final
+const NEUTRALIZE = {
+  'ㄲ': 'ㄱ', 'ㅋ': 'ㄱ', 'ㄳ': 'ㄱ', 'ㄺ': 'ㄱ',
+  'ㅅ': 'ㄷ', 'ㅆ': 'ㄷ', 'ㅈ': 'ㄷ', 'ㅊ': 'ㄷ', 'ㅌ': 'ㄷ', 'ㅎ': 'ㄷ',
+  'ㅍ': 'ㅂ', 'ㅄ': 'ㅂ', 'ㄿ': 'ㅂ',
+  'ㄼ': 'ㄹ', 'ㄽ': 'ㄹ', 'ㄾ': 'ㄹ', 'ㅀ': 'ㄹ',
+  'ㄻ': 'ㅁ', 'ㄵ': 'ㄴ', 'ㄶ': 'ㄴ'
+};
+
+const ASPIRATE = { 'ㄱ': 'ㅋ', 'ㄷ': 'ㅌ', 'ㅂ': 'ㅍ', 'ㅈ': 'ㅊ' };
+const TENSE = { 'ㄱ': 'ㄲ', 'ㄷ': 'ㄸ', 'ㅂ': 'ㅃ', 'ㅅ': 'ㅆ', 'ㅈ': 'ㅉ' };
+const NASALIZE = { 'ㄱ': 'ㅇ', 'ㄷ': 'ㄴ', 'ㅂ': 'ㅁ' };
+
+// What remains of an ㅎ-final once the ㅎ merges into the next consonant
+const H_REMAINDER = { 'ㅎ': '', 'ㄶ': 'ㄴ', 'ㅀ': 'ㄹ' };
+
+// Stem finals that tense a following lax consonant even though they end in a sonorant
+const TENSING_STEM_FINALS = ['ㄵ', 'ㄻ', 'ㄼ', 'ㄾ', 'ㄺ'];
+
+/**
+ * Convert text to its standard pronunciation.
+ * Non-Hangul characters are kept in place; each syllable is rewritten.
+ *
+ * Returns { source, text, syllables } where every syllable entry is
+ * { source, pronounced, index } and index is its position in the input string.
+ */
+function pronounce(text) {
+  const units = [];
+  let index = 0;
+  for (const ch of text) {
+    const d = decompose(ch);
+    if (d) units.push({ index, source: ch, cho: d.cho, jung: d.jung, jong: d.jong || '' });
+    index += ch.length;
+  }
+
+  // boundaries[i] describes the gap between units[i] and units[i + 1]
+  const boundaries = [];
+  for (let i = 0; i < units.length - 1; i++) {
+    const gap = text.slice(units[i].index + 1, units[i + 1].index);
+    boundaries.push(gap === '' ? 'word' : /^[ \t]+$/.test(gap) ? 'space' : 'break');
+  }
+
+  const eachPair = (fn) => {
+    for (let i = 0; i < boundaries.length; i++) {
+      if (boundaries[i] !== 'break') fn(units[i], units[i + 1], boundaries[i] === 'word');
+    }
+  };
+
+  eachPair(applyH);
+  eachPair(palatalize);
+  eachPair(liaison);
+
+  for (let i = 0; i < units.length; i++) {
+    const next = boundaries[i] === 'word' ? units[i + 1] : null;
+    tenseAndNeutralize(units[i], next);
+  }
+
+  eachPair(assimilate);
+
+  const syllables = units.map(u => {
+    let jung = u.jung;
+    // 자음 + ㅢ → [ㅣ] (희망 [히망]); ㅈ/ㅉ/ㅊ + ㅕ → [ㅓ] (가져 [가저])
+    if (jung === 'ㅢ' && u.cho !== 'ㅇ') jung = 'ㅣ';
+    if (jung === 'ㅕ' && ['ㅈ', 'ㅉ', 'ㅊ'].includes(u.cho)) jung = 'ㅓ';
+    return { source: u.source, pronounced: compose(u.cho, jung, u.jong), index: u.index };
+  });
+
+  let out = '';
+  let last = 0;
+  for (const s of syllables) {
+    out += text.slice(last, s.index) + s.pronounced;
+    last = s.index + 1;
+  }
+  out += text.slice(last);
+
+  return { source: text, text: out, syllables };
+}
+
+/**
+ * ㅎ 축약/탈락 — ㅎ-finals merge with or vanish before the next consonant,
+ * and a plain obstruent final aspirates a following ㅎ.
+ */
+function applyH(a, b, sameWord) {
+  if (a.jong in H_REMAINDER) {
+    if (!sameWord) return;
+    const rest = H_REMAINDER[a.jong];
+    if (ASPIRATE[b.cho]) {
+      b.cho = ASPIRATE[b.cho];
+      a.jong = rest;
+    } else if (b.cho === 'ㅅ') {
+      b.cho = 'ㅆ';
+      a.jong = rest;
+    } else if (b.cho === 'ㄴ') {
+      a.jong = rest || 'ㄴ';
+    } else if (b.cho === 'ㅇ') {
+      a.jong = rest;
+    }
+    return;
+  }
+
+  if (b.cho !== 'ㅎ' || !a.jong) return;
+
+  const split = COMPOUND_FINALS[a.jong];
+  if (sameWord && split && ASPIRATE[split[1]]) {
+    // 밝히다 [발키다], 앉히다 [안치다]
+    a.jong = split[0];
+    b.cho = ASPIRATE[split[1]];
+    return;
+  }
+
+  const plain = NEUTRALIZE[a.jong] || a.jong;
+  if (!ASPIRATE[plain]) return;
+  a.jong = '';
+  // ㄷ + 히 palatalizes as well: 굳히다 [구치다]
+  b.cho = plain === 'ㄷ' && b.jung === 'ㅣ' && sameWord ? 'ㅊ' : ASPIRATE[plain];
+}
+
+/**
+ * 구개음화 — ㄷ/ㅌ before 이 become ㅈ/ㅊ
+ */
+function palatalize(a, b, sameWord) {
+  if (!sameWord || b.cho !== 'ㅇ' || b.jung !== 'ㅣ') return;
+  if (a.jong === 'ㄷ') { a.jong = ''; b.cho = 'ㅈ'; }
+  else if (a.jong === 'ㅌ') { a.jong = ''; b.cho = 'ㅊ'; }
+  else if (a.jong === 'ㄾ') { a.jong = 'ㄹ'; b.cho = 'ㅊ'; }
+}
+
+/**
+ * 연음 — a final moves into a following ㅇ-initial syllable.
+ * Across a word boundary the final is neutralized first (맛 없다 [마덥따]).
+ */
+function liaison(a, b, sameWord) {
+  if (b.cho !== 'ㅇ' || !a.jong || a.jong === 'ㅇ') return;
+
+  if (!sameWord) {
+    b.cho = NEUTRALIZE[a.jong] || a.jong;
+    a.jong = '';
+    return;
+  }
+
+  const split = COMPOUND_FINALS[a.jong];
+  if (split) {
+    a.jong = split[0];
+    // 값을 [갑쓸], 넋이 [넉씨]
+    b.cho = split[1] === 'ㅅ' ? 'ㅆ' : split[1];
+  } else {
+    b.cho = a.jong;
+    a.jong = '';
+  }
+}
+
+/**
+ * 경음화 and 음절의 끝소리 규칙 — decide the pronounced final of `a`,
+ * tensing the next initial when it follows an obstruent or a tensing stem final.
+ */
+function tenseAndNeutralize(a, next) {
+  if (!a.jong) return;
+
+  let plain = NEUTRALIZE[a.jong] || a.jong;
+  // ㄺ is said [ㄹ] before ㄱ: 맑게 [말께]
+  if (a.jong === 'ㄺ' && next && next.cho === 'ㄱ') plain = 'ㄹ';
+
+  if (next && TENSE[next.cho] &&
+      (NASALIZE[plain] || TENSING_STEM_FINALS.includes(a.jong))) {
+    next.cho = TENSE[next.cho];
+  }
+
+  a.jong = plain;
+}
+
+/**
+ * 비음화 and 유음화 — consonant assimilation across the syllable boundary
+ */
+function assimilate(a, b) {
+  if (!a.jong) return;
+
+  // ㄹ is said [ㄴ] after ㅁ, ㅇ and obstruents: 강릉 [강능], 백로 [뱅노]
+  if (b.cho === 'ㄹ' && (a.jong === 'ㅁ' || a.jong === 'ㅇ' || NASALIZE[a.jong])) {
+    b.cho = 'ㄴ';
+  }
+
+  if ((b.cho === 'ㄴ' || b.cho === 'ㅁ') && NASALIZE[a.jong]) {
+    a.jong = NASALIZE[a.jong];
+  }
+
+  if (a.jong === 'ㄴ' && b.cho === 'ㄹ') a.jong = 'ㄹ';
+  else if (a.jong === 'ㄹ' && b.cho === 'ㄴ') b.cho = 'ㄹ';
+}
+
+export { pronounce };
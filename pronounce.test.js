@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { pronounce } from './pronounce.js';
+import { analyze, findRhymes, fingerprint, compare } from './hangul.js';
+
+const say = (text) => pronounce(text).text;
+
+describe('pronounce', () => {
+  it('applies liaison (연음)', () => {
+    assert.equal(say('닭을'), '달글');
+    assert.equal(say('앉아'), '안자');
+    assert.equal(say('값을'), '갑쓸');
+    assert.equal(say('있어'), '이써');
+  });
+
+  it('neutralizes finals before liaison across words', () => {
+    assert.equal(say('맛 없다'), '마 덥따');
+  });
+
+  it('applies nasalization (비음화)', () => {
+    assert.equal(say('국물'), '궁물');
+    assert.equal(say('밥 먹어'), '밤 머거');
+    assert.equal(say('종로'), '종노');
+    assert.equal(say('백로'), '뱅노');
+  });
+
+  it('applies liquidization (유음화)', () => {
+    assert.equal(say('신라'), '실라');
+    assert.equal(say('칼날'), '칼랄');
+    assert.equal(say('뚫는'), '뚤른');
+  });
+
+  it('applies palatalization (구개음화)', () => {
+    assert.equal(say('같이'), '가치');
+    assert.equal(say('굳이'), '구지');
+    assert.equal(say('굳히다'), '구치다');
+  });
+
+  it('applies ㅎ aspiration and deletion', () => {
+    assert.equal(say('좋고'), '조코');
+    assert.equal(say('좋아'), '조아');
+    assert.equal(say('국화'), '구콰');
+    assert.equal(say('밝히다'), '발키다');
+    assert.equal(say('옷 한 벌'), '오 탄 벌');
+  });
+
+  it('applies tensification (경음화)', () => {
+    assert.equal(say('학교'), '학꾜');
+    assert.equal(say('앉고'), '안꼬');
+    assert.equal(say('맑게'), '말께');
+  });
+
+  it('neutralizes final consonants', () => {
+    assert.equal(say('부엌'), '부억');
+    assert.equal(say('꽃'), '꼳');
+  });
+
+  it('keeps non-Hangul characters and aligns syllables to the source', () => {
+    const result = pronounce('A 국물!');
+    assert.equal(result.text, 'A 궁물!');
+    assert.deepEqual(result.syllables, [
+      { source: '국', pronounced: '궁', index: 2 },
+      { source: '물', pronounced: '물', index: 3 }
+    ]);
+  });
+
+  it('does not carry sound changes across punctuation', () => {
+    assert.equal(say('밥. 먹어'), '밥. 머거');
+  });
+});
+
+describe('phonetic option', () => {
+  it('counts pronounced finals in analyze', () => {
+    assert.equal(analyze('국물').jongFreq['ㄱ'], 1);
+    assert.equal(analyze('국물', { phonetic: true }).jongFreq['ㅇ'], 1);
+  });
+
+  it('rhymes on pronunciation', () => {
+    // 같 is said [가], so it joins the open ㅏ group only when pronounced
+    assert.equal(findRhymes('같이 바다')['ㅏ'].length, 2);
+    assert.equal(findRhymes('같이 바다', { phonetic: true })['ㅏ'].length, 3);
+  });
+
+  it('passes the option through fingerprint and compare', () => {
+    const fp = fingerprint('꽃잎', { phonetic: true });
+    assert.equal(fp.totalSyllables, 2);
+    assert.equal(compare('같이', '가치', { phonetic: true }), 1);
+  });
+});
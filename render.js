@@ -0,0 +1,127 @@
+/**
+ * Annotated Rendering
+ *
+ * Prints the text itself with its sound marked inline, instead of a
+ * separate "CV CVC CV" line per verse:
+ *
+ *   vowel brightness   양성 warm, 음성 cool, 중성 grey
+ *   syllable weight    closed (CVC) syllables shaded darker than open (CV)
+ *   rhymes             the most frequent findRhymes() groups underlined
+ *   jamo               한 → ㅎ ㅏ ㄴ, in HTML tooltips
+ *
+ * renderHTML() returns a standalone page; renderANSI() colors the text for a
+ * terminal. Both annotate the spelling, not the pronunciation.
+ */
+
+import { VOWEL_TYPES, decompose, findRhymes, toSyllables } from './hangul.js';
+
+const VOWEL_LABELS = { bright: '양성', dark: '음성', neutral: '중성' };
+
+// Underline colors for rhyme groups, most frequent first
+const RHYME_COLORS = ['#d1495b', '#00798c', '#edae49', '#66a182', '#8d5a97', '#30638e'];
+
+const ANSI = {
+  reset: '\x1b[0m', bold: '\x1b[1m', underline: '\x1b[4m',
+  bright: '\x1b[33m', dark: '\x1b[34m', neutral: '\x1b[37m'
+};
+
+const STYLE = `body { font-family: sans-serif; line-height: 2; max-width: 40em; margin: 2em auto; }
+.line { white-space: pre-wrap; font-size: 1.4em; }
+.s { padding: 0 1px; border-radius: 3px; }
+.bright { color: #b45309; } .dark { color: #1d4ed8; } .neutral { color: #4b5563; }
+.cvc { background: #e5e7eb; }
+.legend { color: #555; font-size: 0.9em; }
+${RHYME_COLORS.map((c, i) => `.r${i} { text-decoration: underline 2px ${c}; }`).join('\n')}`;
+
+/**
+ * Split a text into annotated lines: [[token, …], …]. Hangul syllables get
+ * { text, cho, jung, jong, vowel, weight, rhyme } where rhyme is the index of
+ * its rhyme group or null; anything else is { text }.
+ *
+ * Options: { rhymes: 3 } — how many of the most frequent rhyme groups to mark.
+ * Returns { lines, rhymes } with rhymes the marked endings in group order.
+ */
+function annotate(text, options = {}) {
+  text = toSyllables(String(text));
+  const limit = options.rhymes ?? 3;
+  const rhymes = Object.keys(findRhymes(text)).slice(0, limit);
+  const group = new Map(rhymes.map((ending, i) => [ending, i]));
+
+  const lines = text.split('\n').map(line => [...line.replace(/\r$/, '')].map(ch => {
+    const d = decompose(ch);
+    if (!d) return { text: ch };
+    const vowel = Object.keys(VOWEL_TYPES).find(type => VOWEL_TYPES[type].includes(d.jung));
+    return {
+      text: ch,
+      cho: d.cho,
+      jung: d.jung,
+      jong: d.jong || null,
+      vowel,
+      weight: d.hasJong ? 'CVC' : 'CV',
+      rhyme: group.get(d.jung + (d.jong || '')) ?? null
+    };
+  }));
+  return { lines, rhymes };
+}
+
+/**
+ * Standalone HTML page with every syllable in a span carrying its vowel,
+ * weight and rhyme classes and a jamo tooltip. Options: those of annotate,
+ * plus title.
+ */
+function renderHTML(text, options = {}) {
+  const { lines, rhymes } = annotate(text, options);
+  const title = escapeHTML(options.title ?? 'hangul-analyzer');
+
+  const body = lines.map(tokens => {
+    const html = tokens.map(token => {
+      if (!token.vowel) return escapeHTML(token.text);
+      const classes = ['s', token.vowel, token.weight.toLowerCase()];
+      if (token.rhyme !== null) classes.push(`r${token.rhyme % RHYME_COLORS.length}`);
+      const jamo = [token.cho, token.jung, token.jong].filter(Boolean).join(' ');
+      const tip = `${jamo} · ${token.weight} · ${VOWEL_LABELS[token.vowel]}`;
+      return `<span class="${classes.join(' ')}" title="${tip}">${token.text}</span>`;
+    }).join('');
+    return `<div class="line">${html || '&nbsp;'}</div>`;
+  });
+
+  const legend = rhymes.map((ending, i) =>
+    `<span class="r${i % RHYME_COLORS.length}">-${escapeHTML(ending)}</span>`).join(' ');
+
+  return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+${STYLE}
+</style>
+</head>
+<body>
+${body.join('\n')}
+<p class="legend"><span class="bright">양성</span> <span class="dark">음성</span> <span class="neutral">중성</span> · <span class="cvc">CVC</span> CV${legend ? ` · 운: ${legend}` : ''}</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * The text with ANSI escapes: yellow 양성, blue 음성, grey 중성, bold for
+ * closed syllables, underlined rhymes. Options: those of annotate.
+ */
+function renderANSI(text, options = {}) {
+  const { lines } = annotate(text, options);
+  return lines.map(tokens => tokens.map(token => {
+    if (!token.vowel) return token.text;
+    let codes = ANSI[token.vowel];
+    if (token.weight === 'CVC') codes += ANSI.bold;
+    if (token.rhyme !== null) codes += ANSI.underline;
+    return codes + token.text + ANSI.reset;
+  }).join('')).join('\n');
+}
+
+function escapeHTML(s) {
+  return String(s).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+}
+
+export { annotate, renderHTML, renderANSI };
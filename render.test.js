@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { annotate, renderHTML, renderANSI } from './render.js';
+
+const POEM = '하늘을 우러러\n한 점 부끄럼이 없기를';
+
+describe('annotate', () => {
+  it('marks vowel class, weight and jamo per syllable', () => {
+    const { lines } = annotate('한글 a');
+    assert.deepEqual(lines[0][0], { text: '한', cho: 'ㅎ', jung: 'ㅏ', jong: 'ㄴ', vowel: 'bright', weight: 'CVC', rhyme: null });
+    assert.equal(lines[0][1].vowel, 'neutral');
+    assert.deepEqual(lines[0].slice(2), [{ text: ' ' }, { text: 'a' }]);
+  });
+
+  it('numbers the most frequent rhyme groups', () => {
+    const { lines, rhymes } = annotate(POEM);
+    assert.deepEqual(rhymes, ['ㅡㄹ', 'ㅜ', 'ㅓ']);
+    assert.equal(lines[0][1].rhyme, 0);   // 늘
+    assert.equal(lines[1].at(-1).rhyme, 0);  // 를
+    assert.equal(lines[0][0].rhyme, null);   // 하 rhymes with nothing
+    assert.deepEqual(annotate(POEM, { rhymes: 1 }).rhymes, ['ㅡㄹ']);
+  });
+
+  it('composes conjoining jamo and drops carriage returns', () => {
+    const { lines } = annotate('가\r\n나');
+    assert.equal(lines[0].length, 1);
+    assert.equal(lines[0][0].text, '가');
+  });
+});
+
+describe('renderHTML', () => {
+  it('produces a standalone page with classes and tooltips', () => {
+    const html = renderHTML(POEM, { title: 'poem.txt' });
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<title>poem\.txt<\/title>/);
+    assert.match(html, /<span class="s neutral cvc r0" title="ㄴ ㅡ ㄹ · CVC · 중성">늘<\/span>/);
+    assert.match(html, /<span class="s bright cv" title="ㅎ ㅏ · CV · 양성">하<\/span>/);
+  });
+
+  it('escapes markup in the text', () => {
+    assert.match(renderHTML('가 <b>&'), /&#60;b&#62;&#38;/);
+  });
+});
+
+describe('renderANSI', () => {
+  it('colors syllables and leaves other characters alone', () => {
+    assert.equal(renderANSI('하 a'), '\x1b[33m하\x1b[0m a');
+    assert.equal(renderANSI('점'), '\x1b[34m\x1b[1m점\x1b[0m');
+  });
+
+  it('underlines rhymes', () => {
+    const lines = renderANSI(POEM).split('\n');
+    assert.equal(lines.length, 2);
+    assert.ok(lines[0].includes('\x1b[37m\x1b[1m\x1b[4m늘\x1b[0m'));
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Reports
+ *
+ * Machine-readable analysis results for pipelines. A report collects the
+ * analysis of one input under a versioned schema:
+ *
+ *   {
+ *     source, phonetic, numbers,
+ *     analysis:    analyze() without the syllables array
+ *     fingerprint: fingerprint(), or null without Korean syllables
+ *     rhymes:      { ending: { count, syllables } } — findRhymes() as counts
+ *     structure:   [{ line, text, syllables, pattern, position }] — one per
+ *                  non-blank line, numbered from 1 as in the source, with its
+ *                  position there (see position.js); null when only the
+ *                  streamed summary is available. For a document, one per
+ *                  text line of its units, at the line it came from
+ *     document:    { format, syllables, timing, units } from analyzeDocument(),
+ *                  only for subtitle, lyric and Markdown input
+ *   }
+ *
+ * formatReports() renders reports as json, ndjson, csv or md. Fields are
+ * only ever added within a schema version; renaming or removing one bumps it.
+ */
+
+import { createAnalyzer, structuralPattern, isSyllable, toSyllables } from './hangul.js';
+import { createPositionIndex } from './position.js';
+
+const REPORT_SCHEMA = 'hangul-analyzer/report';
+const REPORT_VERSION = 1;
+const FORMATS = ['json', 'ndjson', 'csv', 'md'];
+const SECTIONS = ['analysis', 'fingerprint', 'rhymes', 'structure'];
+
+const SUMMARY_COLUMNS = [
+  'source', 'syllables', 'with_jong', 'jong_ratio', 'bright', 'dark', 'neutral',
+  'brightness', 'weight', 'rhythm_regularity', 'avg_line_length',
+  'consonant_diversity', 'vowel_diversity', 'top_cho', 'top_jung'
+];
+
+/**
+ * Build a report. Pass text, an ended analyzer (from createAnalyzer or
+ * analyzeStream), or both — without text there are no per-line records.
+ * A document from analyzeDocument() adds its units and timing; text is then
+ * the file it was parsed from, so structure lines and positions point into
+ * the .srt, .lrc or .md file, and the analysis covers the document's text.
+ * Options: { source, phonetic, numbers, sections } where sections limits the
+ * report to some of analysis, fingerprint, rhymes and structure.
+ */
+function createReport({ text = null, analyzer = null, document = null }, options = {}) {
+  const sections = options.sections || SECTIONS;
+  const analysisOptions = { phonetic: Boolean(options.phonetic), numbers: Boolean(options.numbers) };
+  const source = text;
+  if (text !== null) text = toSyllables(text);
+  analyzer ||= createAnalyzer(analysisOptions).push(document ? document.text : text ?? '').end();
+
+  const { rhymes, ...analysis } = analyzer.result();
+  const report = { source: options.source ?? null, ...analysisOptions };
+  if (sections.includes('analysis')) report.analysis = analysis;
+  if (sections.includes('fingerprint')) report.fingerprint = analyzer.fingerprint();
+  if (sections.includes('rhymes')) report.rhymes = rhymes;
+  if (sections.includes('structure')) {
+    report.structure = text === null && !document ? null
+      : document ? unitRecords(document.units, source, analysisOptions)
+      : structureRecords(text, source, analysisOptions);
+  }
+  if (document) {
+    const { format, syllables, timing, units } = document;
+    report.document = { format, syllables, timing, units };
+  }
+  return report;
+}
+
+/**
+ * Render reports:
+ *   json    { schema, version, reports }
+ *   ndjson  a 'report' record per input, then a 'line' record per structure line
+ *   csv     one table: 'summary' (default), 'lines' or 'rhymes'
+ *   md      summary table, then a section per input
+ */
+function formatReports(reports, format, options = {}) {
+  if (!FORMATS.includes(format)) throw new Error(`Unknown format: ${format}`);
+  if (format === 'json') {
+    return JSON.stringify({ schema: REPORT_SCHEMA, version: REPORT_VERSION, reports }, null, 2);
+  }
+  if (format === 'ndjson') return toNDJSON(reports);
+  if (format === 'csv') return toCSV(reports, options.table || 'summary');
+  return toMarkdown(reports);
+}
+
+// Positions come from the source as given, before composing NFD jamo
+function structureRecords(text, source, options) {
+  const positions = createPositionIndex(source);
+  const records = [];
+  text.split('\n').forEach((raw, i) => {
+    const line = raw.replace(/\r$/, '');
+    if (!line.trim()) return;
+    records.push({
+      line: i + 1,
+      text: line,
+      syllables: [...line].filter(isSyllable).length,
+      pattern: structuralPattern(line, options),
+      position: positions.locateLine(i + 1)
+    });
+  });
+  return records;
+}
+
+// Units keep the source line of each text line; positions need the source
+function unitRecords(units, source, options) {
+  const positions = source === null ? null : createPositionIndex(source);
+  return units.flatMap(unit => unit.text.split('\n').map((line, k) => ({
+    line: unit.lines[k],
+    text: line,
+    syllables: [...line].filter(isSyllable).length,
+    pattern: structuralPattern(line, options),
+    position: positions ? positions.locateLine(unit.lines[k]) : null
+  })));
+}
+
+function toNDJSON(reports) {
+  const header = { schema: REPORT_SCHEMA, version: REPORT_VERSION };
+  const records = [];
+  for (const { structure, ...report } of reports) {
+    records.push({ ...header, type: 'report', ...report });
+    for (const line of structure || []) {
+      records.push({ ...header, type: 'line', source: report.source, ...line });
+    }
+  }
+  return records.map(r => JSON.stringify(r)).join('\n');
+}
+
+function toCSV(reports, table) {
+  if (table === 'lines') {
+    const rows = reports.flatMap(r => (r.structure || []).map(l => [r.source, l.line, l.syllables, l.pattern, l.text]));
+    return csvTable(['source', 'line', 'syllables', 'pattern', 'text'], rows);
+  }
+  if (table === 'rhymes') {
+    const rows = reports.flatMap(r => Object.entries(r.rhymes || {})
+      .map(([ending, { count, syllables }]) => [r.source, ending, count, syllables.join(' ')]));
+    return csvTable(['source', 'ending', 'count', 'syllables'], rows);
+  }
+  if (table !== 'summary') throw new Error(`Unknown CSV table: ${table}`);
+  return csvTable(SUMMARY_COLUMNS, reports.map(summaryRow));
+}
+
+function summaryRow({ source, analysis, fingerprint: fp }) {
+  const a = analysis || {};
+  const f = fp || {};
+  return [
+    source, a.totalSyllables, a.withJong, a.jongRatio !== undefined ? round(a.jongRatio, 3) : '',
+    a.vowelHarmony?.bright, a.vowelHarmony?.dark, a.vowelHarmony?.neutral,
+    f.brightness, f.weight, f.rhythmRegularity, f.avgLineLength,
+    f.consonantDiversity, f.vowelDiversity, (f.topCho || []).join(''), (f.topJung || []).join('')
+  ];
+}
+
+function csvTable(columns, rows) {
+  return [columns, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+function csvCell(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Summary table in the layout of the README poem table, then details per input
+function toMarkdown(reports) {
+  const out = [
+    '| Source | Syllables | Open % | Brightness | Weight | Rhythm |',
+    '|--------|-----------|--------|------------|--------|--------|'
+  ];
+  for (const { source, analysis, fingerprint: fp } of reports) {
+    const open = analysis && analysis.totalSyllables
+      ? `${(analysis.withoutJong / analysis.totalSyllables * 100).toFixed(1)}%`
+      : '-';
+    out.push(`| ${mdCell(source ?? '-')} | ${fp ? fp.totalSyllables : analysis?.totalSyllables ?? 0} | ${open} | ` +
+      `${fp ? signed(fp.brightness) : '-'} | ${fp ? fp.weight : '-'} | ${fp ? fp.rhythmRegularity : '-'} |`);
+  }
+
+  for (const report of reports) {
+    out.push('', `## ${report.source ?? 'Text'}`);
+
+    if (report.analysis) {
+      const { vowelHarmony, choFreq, jungFreq } = report.analysis;
+      out.push('', `- 모음: 양성 ${vowelHarmony.bright}, 음성 ${vowelHarmony.dark}, 중성 ${vowelHarmony.neutral} (${vowelHarmony.tendency})`);
+      out.push(`- 초성: ${topCounts(choFreq)}`);
+      out.push(`- 중성: ${topCounts(jungFreq)}`);
+    }
+    if (report.fingerprint) {
+      const fp = report.fingerprint;
+      if (!report.analysis) out.push('');
+      out.push(`- 자음 다양성 ${fp.consonantDiversity}, 모음 다양성 ${fp.vowelDiversity}, 대표음 ${fp.topCho.join('')} / ${fp.topJung.join('')}`);
+    }
+
+    const rhymes = Object.entries(report.rhymes || {});
+    if (rhymes.length > 0) {
+      out.push('', '| Ending | Count | Syllables |', '|--------|-------|-----------|');
+      for (const [ending, { count, syllables }] of rhymes) {
+        out.push(`| ${ending} | ${count} | ${syllables.join(' ')} |`);
+      }
+    }
+
+    if (report.structure && report.structure.length > 0) {
+      out.push('', '| Line | Syllables | Pattern | Text |', '|------|-----------|---------|------|');
+      for (const l of report.structure) {
+        out.push(`| ${l.line} | ${l.syllables} | ${l.pattern} | ${mdCell(l.text)} |`);
+      }
+    }
+  }
+
+  return out.join('\n');
+}
+
+function topCounts(freq) {
+  return Object.entries(freq).slice(0, 5).map(([k, v]) => `${k}(${v})`).join(' ');
+}
+
+function mdCell(value) {
+  return String(value).replace(/\|/g, '\\|');
+}
+
+function signed(n) {
+  return n > 0 ? `+${n}` : String(n);
+}
+
+function round(n, digits) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+export { REPORT_SCHEMA, REPORT_VERSION, FORMATS, createReport, formatReports };
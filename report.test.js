@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { REPORT_SCHEMA, REPORT_VERSION, createReport, formatReports } from './report.js';
+import { analyze, fingerprint, createAnalyzer, toConjoining } from './hangul.js';
+import { analyzeDocument } from './documents.js';
+
+const poem = '죽는 날까지 하늘을 우러러\n\n한 점 부끄럼이 없기를, "나는"';
+
+describe('createReport', () => {
+  it('collects analysis, fingerprint, rhymes and structure', () => {
+    const report = createReport({ text: poem }, { source: 'poem.txt' });
+    const { syllables, ...analysis } = analyze(poem);
+
+    assert.equal(report.source, 'poem.txt');
+    assert.equal(report.phonetic, false);
+    assert.deepEqual(report.analysis, analysis);
+    assert.deepEqual(report.fingerprint, fingerprint(poem));
+    assert.deepEqual(report.rhymes['ㅓ'], { count: 2, syllables: ['러'] });
+  });
+
+  it('numbers structure lines as in the source, skipping blank lines', () => {
+    const { structure } = createReport({ text: poem });
+    assert.deepEqual(structure.map(l => l.line), [1, 3]);
+    assert.deepEqual(structure[0], {
+      line: 1, text: '죽는 날까지 하늘을 우러러', syllables: 11,
+      pattern: 'CVC CVC CVC CV CV CV CVC CVC CV CV CV',
+      position: { offset: 0, length: 14, codePointOffset: 0, codePointLength: 14, line: 1, column: 1, codePointColumn: 1 }
+    });
+  });
+
+  it('composes NFD input', () => {
+    const report = createReport({ text: toConjoining('한글') });
+    assert.equal(report.structure[0].text, '한글');
+    assert.equal(report.structure[0].position.length, 6);  // positions count the jamo as given
+    assert.equal(report.analysis.totalSyllables, 2);
+  });
+
+  it('numbers document lines as in the subtitle file', () => {
+    const srt = '1\n00:00:01,000 --> 00:00:03,500\n<i>하늘을 우러러</i>\n\n2\n00:00:04,000 --> 00:00:06,000\n한 점\n부끄럼이\n';
+    const document = analyzeDocument(srt, { format: 'srt' });
+    const report = createReport({ text: srt, document });
+    assert.deepEqual(report.structure.map(l => [l.line, l.text, l.position.offset]), [
+      [3, '하늘을 우러러', 32], [7, '한 점', 80], [8, '부끄럼이', 84]
+    ]);
+    assert.equal(srt.slice(80, 80 + report.structure[1].position.length), '한 점');
+    assert.equal(report.analysis.totalSyllables, 12);
+  });
+
+  it('has no structure records for a streamed summary', () => {
+    const analyzer = createAnalyzer().push(poem).end();
+    const report = createReport({ analyzer });
+    assert.equal(report.structure, null);
+    assert.equal(report.fingerprint.totalSyllables, 22);
+  });
+
+  it('limits the report to selected sections', () => {
+    const report = createReport({ text: poem }, { sections: ['fingerprint'] });
+    assert.deepEqual(Object.keys(report), ['source', 'phonetic', 'numbers', 'fingerprint']);
+  });
+});
+
+describe('formatReports', () => {
+  const reports = [
+    createReport({ text: poem }, { source: 'a.txt' }),
+    createReport({ text: 'Hello' }, { source: 'b.txt' })
+  ];
+
+  it('wraps JSON in the versioned schema', () => {
+    const json = JSON.parse(formatReports(reports, 'json'));
+    assert.equal(json.schema, REPORT_SCHEMA);
+    assert.equal(json.version, REPORT_VERSION);
+    assert.equal(json.reports.length, 2);
+    assert.equal(json.reports[1].fingerprint, null);
+  });
+
+  it('writes a report record then line records as NDJSON', () => {
+    const records = formatReports(reports, 'ndjson').split('\n').map(l => JSON.parse(l));
+    assert.deepEqual(records.map(r => r.type), ['report', 'line', 'line', 'report', 'line']);
+    assert.ok(records.every(r => r.schema === REPORT_SCHEMA && r.version === REPORT_VERSION));
+    assert.equal(records[2].source, 'a.txt');
+    assert.equal(records[2].line, 3);
+    assert.equal(records[0].structure, undefined);
+  });
+
+  it('writes CSV summary, line and rhyme tables', () => {
+    const summary = formatReports(reports, 'csv').split('\n');
+    assert.ok(summary[0].startsWith('source,syllables,with_jong,jong_ratio'));
+    assert.ok(summary[1].startsWith('a.txt,22,'));
+    assert.equal(summary[2], 'b.txt,0,0,0,0,0,0,,,,,,,,');
+
+    const lines = formatReports(reports, 'csv', { table: 'lines' }).split('\n');
+    assert.ok(lines[2].startsWith('a.txt,3,11,"CVC CVC'));
+    assert.ok(lines[2].endsWith(',"한 점 부끄럼이 없기를, ""나는"""'));
+
+    const rhymes = formatReports(reports, 'csv', { table: 'rhymes' }).split('\n');
+    assert.equal(rhymes[0], 'source,ending,count,syllables');
+  });
+
+  it('writes a Markdown report', () => {
+    const md = formatReports(reports, 'md');
+    assert.ok(md.startsWith('| Source | Syllables | Open % | Brightness | Weight | Rhythm |'));
+    assert.match(md, /\| a\.txt \| 22 \| /);
+    assert.match(md, /## a\.txt/);
+    assert.match(md, /\| 3 \| 11 \| /);
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => formatReports(reports, 'xml'), /Unknown format/);
+  });
+});
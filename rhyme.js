@@ -0,0 +1,185 @@
+/**
+ * Line-level Rhyme
+ *
+ * findRhymes pools every syllable in a text. rhymeScheme looks where rhyme
+ * matters in verse — at line ends — and labels the poem ABAB-style:
+ *
+ *   identical  same syllable               (…하네 / …하네)
+ *   full       same vowel and final        (산 / 간)
+ *   vowel      same vowel only, 모음 압운    (바다 / 하나)
+ *   consonant  same final only             (산 / 먼)
+ *
+ * It also finds 두운 (lines opening on the same sound) and, inside each line,
+ * alliteration (consecutive 어절 opening on the same consonant) and
+ * assonance (runs of 3+ syllables on the same vowel).
+ */
+
+import { decompose, toSyllables } from './hangul.js';
+import { pronounce } from './pronounce.js';
+import { createPositionIndex } from './position.js';
+
+const MATCH_SCORES = { identical: 1, full: 1, vowel: 0.6, consonant: 0.3 };
+
+/**
+ * Label line endings with a rhyme scheme.
+ *
+ * Options:
+ *   syllables  how many line-final syllables to compare (default 1)
+ *   threshold  minimum match strength to share a label (default 0.6)
+ *   phonetic   compare pronunciation instead of spelling; text, endings
+ *              and runs are still reported as spelled
+ *
+ * Returns { scheme, lines, headRhyme } where each line is
+ * { index, text, ending, label, match, strength, alliteration, assonance,
+ * line, position }. match/strength compare the line with the first line
+ * carrying its label; line and position locate the trimmed line in the source.
+ */
+function rhymeScheme(text, options = {}) {
+  const size = options.syllables || 1;
+  const threshold = options.threshold ?? 0.6;
+
+  const positions = createPositionIndex(text);
+  text = toSyllables(text);
+  // Pronouncing keeps every character in place, so sound lines up with text
+  const sound = options.phonetic ? pronounce(text).text : text;
+  const soundLines = sound.split('\n');
+
+  // Composing and pronouncing keep line breaks, so line numbers match the source
+  const numbered = text.split('\n')
+    .map((line, i) => ({ text: line.trim(), sound: soundLines[i].trim(), line: i + 1 }))
+    .filter(({ text: line }) => [...line].some(ch => decompose(ch)));
+  const lines = numbered.map(l => l.sound);
+
+  const groups = [];
+  const result = numbered.map(({ text: line, sound: spoken }, index) => {
+    const spelled = [...line];
+    const syllables = [...spoken]
+      .map((ch, i) => {
+        const d = decompose(ch);
+        return d && { ...d, source: spelled[i] };
+      })
+      .filter(Boolean);
+    const ending = syllables.slice(-size);
+
+    let best = null;
+    for (const group of groups) {
+      const m = compareEndings(group.ending, ending);
+      if (m.strength >= threshold && (!best || m.strength > best.strength)) best = { group, ...m };
+    }
+
+    let label;
+    if (best) {
+      label = best.group.label;
+    } else {
+      label = schemeLabel(groups.length);
+      groups.push({ label, ending });
+    }
+
+    return {
+      index,
+      text: line,
+      ending: ending.map(s => s.source).join(''),
+      label,
+      match: best ? best.match : null,
+      strength: best ? best.strength : null,
+      alliteration: alliterationRuns(spoken, line),
+      assonance: assonanceRuns(syllables),
+      line: numbered[index].line,
+      position: positions.locateLine(numbered[index].line, { trim: true })
+    };
+  });
+
+  return {
+    scheme: result.map(l => l.label).join(''),
+    lines: result,
+    headRhyme: headRhyme(lines)
+  };
+}
+
+/**
+ * Compare two line endings syllable by syllable from the end
+ */
+function compareEndings(a, b) {
+  const n = Math.min(a.length, b.length);
+  if (n === 0) return { match: null, strength: 0 };
+
+  let total = 0;
+  const matches = [];
+  for (let i = 1; i <= n; i++) {
+    const match = syllableMatch(a[a.length - i], b[b.length - i]);
+    matches.push(match);
+    total += match ? MATCH_SCORES[match] : 0;
+  }
+
+  return {
+    match: matches[0],
+    strength: Math.round(total / n * 1000) / 1000
+  };
+}
+
+function syllableMatch(a, b) {
+  if (a.syllable === b.syllable) return 'identical';
+  if (a.jung === b.jung && a.jong === b.jong) return 'full';
+  if (a.jung === b.jung) return 'vowel';
+  if (a.jong && a.jong === b.jong) return 'consonant';
+  return null;
+}
+
+/**
+ * 두운 — initial consonants shared by the opening syllable of two or more
+ * lines. A silent initial ㅇ is no shared sound, so those lines are skipped.
+ */
+function headRhyme(lines) {
+  const byCho = {};
+  lines.forEach((line, index) => {
+    const first = [...line].map(ch => decompose(ch)).find(Boolean);
+    if (!first || first.cho === 'ㅇ') return;
+    (byCho[first.cho] ||= []).push(index);
+  });
+
+  return Object.entries(byCho)
+    .filter(([, indices]) => indices.length > 1)
+    .map(([sound, indices]) => ({ sound, lines: indices }))
+    .sort((a, b) => b.lines.length - a.lines.length);
+}
+
+/**
+ * Runs of consecutive 어절 whose first syllables share an initial consonant,
+ * judged on the sound and reported as spelled
+ */
+function alliterationRuns(sound, line) {
+  const spelled = line.split(/\s+/);
+  const words = sound.split(/\s+/)
+    .map((word, i) => ({ word: spelled[i], first: [...word].map(ch => decompose(ch)).find(Boolean) }))
+    .filter(w => w.first);
+
+  return collectRuns(words, w => w.first.cho, 2)
+    .map(run => ({ sound: run.key, words: run.items.map(w => w.word) }));
+}
+
+/**
+ * Runs of 3 or more consecutive syllables sharing a vowel
+ */
+function assonanceRuns(syllables) {
+  return collectRuns(syllables, s => s.jung, 3)
+    .map(run => ({ sound: run.key, syllables: run.items.map(s => s.source).join('') }));
+}
+
+function collectRuns(items, keyOf, minLength) {
+  const runs = [];
+  let start = 0;
+  for (let i = 1; i <= items.length; i++) {
+    if (i < items.length && keyOf(items[i]) === keyOf(items[start])) continue;
+    if (i - start >= minLength) runs.push({ key: keyOf(items[start]), items: items.slice(start, i) });
+    start = i;
+  }
+  return runs;
+}
+
+// A … Z, then A2 … Z2 for very long poems
+function schemeLabel(n) {
+  const letter = String.fromCharCode(65 + n % 26);
+  return n < 26 ? letter : letter + (Math.floor(n / 26) + 1);
+}
+
+export { rhymeScheme };
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { rhymeScheme } from './rhyme.js';
+import { seosi } from './poems.js';
+
+describe('rhymeScheme', () => {
+  it('labels line endings ABAB', () => {
+    const result = rhymeScheme('산에는 꽃 피네\n바다로 가자\n꽃이 피네\n하늘로 가자');
+    assert.equal(result.scheme, 'ABAB');
+    assert.equal(result.lines[2].ending, '네');
+    assert.equal(result.lines[2].match, 'identical');
+    assert.equal(result.lines[2].strength, 1);
+    assert.equal(result.lines[0].match, null);
+  });
+
+  it('grades match strength', () => {
+    const full = rhymeScheme('푸른 산\n먼 간');
+    assert.equal(full.lines[1].match, 'full');
+    assert.equal(full.scheme, 'AA');
+
+    const vowel = rhymeScheme('넓은 바닥\n오직 하나');
+    assert.equal(vowel.lines[1].match, 'vowel');
+    assert.equal(vowel.lines[1].strength, 0.6);
+
+    const consonant = rhymeScheme('푸른 산\n먼 먼');
+    assert.equal(consonant.scheme, 'AB');
+    assert.equal(rhymeScheme('푸른 산\n먼 먼', { threshold: 0.3 }).lines[1].match, 'consonant');
+  });
+
+  it('compares the last two syllables on request', () => {
+    const text = '바다로 가자\n하늘로 뛰자';
+    assert.equal(rhymeScheme(text).scheme, 'AA');
+    assert.equal(rhymeScheme(text, { syllables: 2 }).scheme, 'AB');
+    assert.equal(rhymeScheme(text, { syllables: 2, threshold: 0.5 }).lines[1].strength, 0.5);
+  });
+
+  it('can compare pronunciation', () => {
+    // 같이 [가치] ends on 치, rhyming with 김치
+    assert.equal(rhymeScheme('우리 같이\n맛있는 김치', { phonetic: true }).lines[1].match, 'identical');
+  });
+
+  it('reports the spelled text when comparing pronunciation', () => {
+    const [line] = rhymeScheme('굳이 같이 갈까', { phonetic: true, syllables: 2 }).lines;
+    assert.equal(line.text, '굳이 같이 갈까');
+    assert.equal(line.ending, '갈까');
+    assert.deepEqual(line.alliteration, [{ sound: 'ㄱ', words: ['굳이', '같이', '갈까'] }]);
+  });
+
+  it('finds head rhyme across lines', () => {
+    const result = rhymeScheme('산에는 꽃 피네\n바다로 가자\n사랑이 피네');
+    assert.deepEqual(result.headRhyme, [{ sound: 'ㅅ', lines: [0, 2] }]);
+  });
+
+  it('does not count a silent ㅇ as head rhyme', () => {
+    assert.deepEqual(rhymeScheme('우리 함께\n언제나 너와\n아침 햇살').headRhyme, []);
+  });
+
+  it('counts alliteration and assonance inside lines', () => {
+    const [line] = rhymeScheme('가고 가는 가을 바다 하나 다').lines;
+    assert.deepEqual(line.alliteration, [{ sound: 'ㄱ', words: ['가고', '가는', '가을'] }]);
+    assert.deepEqual(line.assonance, [{ sound: 'ㅏ', syllables: '바다하나다' }]);
+  });
+
+  it('labels every line of a poem', () => {
+    const result = rhymeScheme(seosi);
+    assert.equal(result.scheme.length, 8);
+    assert.equal(result.scheme[0], 'A');
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Romanization
+ *
+ * Three systems are supported:
+ *   rr    Revised Romanization (2000) — transcribes pronunciation, ASCII only
+ *   mr    McCune–Reischauer — transcribes pronunciation, with ŏ/ŭ and aspiration marks
+ *   yale  Yale — transliterates spelling (morphophonemic), one spelling per jamo
+ *
+ * RR and MR romanize each word from its pronunciation (see pronounce.js),
+ * without tensification, which neither system writes. RR also keeps the ㅎ
+ * that follows ㄱ, ㄷ or ㅂ in nouns (묵호 Mukho, 집현전 Jiphyeonjeon).
+ */
+
+import { decompose } from './hangul.js';
+import { pronounce } from './pronounce.js';
+
+const SYSTEMS = {
+  rr: 'rr', revised: 'rr',
+  mr: 'mr', 'mccune-reischauer': 'mr',
+  yale: 'yale'
+};
+
+const RR_CHO = {
+  'ㄱ': 'g', 'ㄲ': 'kk', 'ㄴ': 'n', 'ㄷ': 'd', 'ㄸ': 'tt', 'ㄹ': 'r', 'ㅁ': 'm',
+  'ㅂ': 'b', 'ㅃ': 'pp', 'ㅅ': 's', 'ㅆ': 'ss', 'ㅇ': '', 'ㅈ': 'j', 'ㅉ': 'jj',
+  'ㅊ': 'ch', 'ㅋ': 'k', 'ㅌ': 't', 'ㅍ': 'p', 'ㅎ': 'h'
+};
+
+const RR_JUNG = {
+  'ㅏ': 'a', 'ㅐ': 'ae', 'ㅑ': 'ya', 'ㅒ': 'yae', 'ㅓ': 'eo', 'ㅔ': 'e', 'ㅕ': 'yeo',
+  'ㅖ': 'ye', 'ㅗ': 'o', 'ㅘ': 'wa', 'ㅙ': 'wae', 'ㅚ': 'oe', 'ㅛ': 'yo', 'ㅜ': 'u',
+  'ㅝ': 'wo', 'ㅞ': 'we', 'ㅟ': 'wi', 'ㅠ': 'yu', 'ㅡ': 'eu', 'ㅢ': 'ui', 'ㅣ': 'i'
+};
+
+// Finals as pronounced (RR and MR share them); compound finals reduce to their sound
+const FINAL_SOUND = {
+  'ㄱ': 'k', 'ㄲ': 'k', 'ㄳ': 'k', 'ㄴ': 'n', 'ㄵ': 'n', 'ㄶ': 'n', 'ㄷ': 't',
+  'ㄹ': 'l', 'ㄺ': 'k', 'ㄻ': 'm', 'ㄼ': 'l', 'ㄽ': 'l', 'ㄾ': 'l', 'ㄿ': 'p',
+  'ㅀ': 'l', 'ㅁ': 'm', 'ㅂ': 'p', 'ㅄ': 'p', 'ㅅ': 't', 'ㅆ': 't', 'ㅇ': 'ng',
+  'ㅈ': 't', 'ㅊ': 't', 'ㅋ': 'k', 'ㅌ': 't', 'ㅍ': 'p', 'ㅎ': 't'
+};
+
+const MR_CHO = {
+  'ㄱ': 'k', 'ㄲ': 'kk', 'ㄴ': 'n', 'ㄷ': 't', 'ㄸ': 'tt', 'ㄹ': 'r', 'ㅁ': 'm',
+  'ㅂ': 'p', 'ㅃ': 'pp', 'ㅅ': 's', 'ㅆ': 'ss', 'ㅇ': '', 'ㅈ': 'ch', 'ㅉ': 'tch',
+  'ㅊ': 'ch\'', 'ㅋ': 'k\'', 'ㅌ': 't\'', 'ㅍ': 'p\'', 'ㅎ': 'h'
+};
+
+// Plain stops are voiced between voiced sounds in MR
+const MR_VOICED = { 'ㄱ': 'g', 'ㄷ': 'd', 'ㅂ': 'b', 'ㅈ': 'j' };
+
+const MR_JUNG = {
+  ...RR_JUNG,
+  'ㅓ': 'ŏ', 'ㅕ': 'yŏ', 'ㅝ': 'wŏ', 'ㅡ': 'ŭ', 'ㅢ': 'ŭi'
+};
+
+const YALE_CHO = {
+  'ㄱ': 'k', 'ㄲ': 'kk', 'ㄴ': 'n', 'ㄷ': 't', 'ㄸ': 'tt', 'ㄹ': 'l', 'ㅁ': 'm',
+  'ㅂ': 'p', 'ㅃ': 'pp', 'ㅅ': 's', 'ㅆ': 'ss', 'ㅇ': '', 'ㅈ': 'c', 'ㅉ': 'cc',
+  'ㅊ': 'ch', 'ㅋ': 'kh', 'ㅌ': 'th', 'ㅍ': 'ph', 'ㅎ': 'h'
+};
+
+const YALE_JONG = {
+  ...YALE_CHO, 'ㅇ': 'ng',
+  'ㄳ': 'ks', 'ㄵ': 'nc', 'ㄶ': 'nh', 'ㄺ': 'lk', 'ㄻ': 'lm', 'ㄼ': 'lp',
+  'ㄽ': 'ls', 'ㄾ': 'lth', 'ㄿ': 'lph', 'ㅀ': 'lh', 'ㅄ': 'ps'
+};
+
+const YALE_JUNG = {
+  'ㅏ': 'a', 'ㅐ': 'ay', 'ㅑ': 'ya', 'ㅒ': 'yay', 'ㅓ': 'e', 'ㅔ': 'ey', 'ㅕ': 'ye',
+  'ㅖ': 'yey', 'ㅗ': 'o', 'ㅘ': 'wa', 'ㅙ': 'way', 'ㅚ': 'oy', 'ㅛ': 'yo', 'ㅜ': 'wu',
+  'ㅝ': 'we', 'ㅞ': 'wey', 'ㅟ': 'wi', 'ㅠ': 'yu', 'ㅡ': 'u', 'ㅢ': 'uy', 'ㅣ': 'i'
+};
+
+const LABIALS = ['ㅁ', 'ㅂ', 'ㅃ', 'ㅍ'];
+const SONORANT_FINALS = ['ㄴ', 'ㄹ', 'ㅁ', 'ㅇ'];
+const LAX_TO_TENSE = { 'ㄱ': 'ㄲ', 'ㄷ': 'ㄸ', 'ㅂ': 'ㅃ', 'ㅅ': 'ㅆ', 'ㅈ': 'ㅉ' };
+const SIOT_COMPOUNDS = ['ㄳ', 'ㄽ', 'ㅄ'];
+
+// Finals after which RR keeps ㅎ, and syllables whose ㅎ is a verb ending's
+const H_FINALS = ['ㄱ', 'ㄷ', 'ㅂ'];
+const VERBAL_H = '하한할함합해했히힌힐혀혔';
+
+// Two-syllable surnames, for splitting names in RR name mode
+const DOUBLE_SURNAMES = ['남궁', '황보', '제갈', '선우', '독고', '사공', '서문', '동방'];
+
+/**
+ * Romanize Korean text. Non-Hangul characters pass through unchanged.
+ *
+ * Options:
+ *   system  'rr' (default), 'mr' or 'yale'
+ *   hyphen  RR only — separate syllables whose boundary would be ambiguous (jung-ang)
+ *   name    RR only — treat the text as a personal name: no sound changes,
+ *           surname separated and capitalized (Hong Gildong, or Hong Gil-dong with hyphen)
+ */
+function romanize(text, options = {}) {
+  const system = SYSTEMS[(options.system || 'rr').toLowerCase()];
+  if (!system) throw new Error(`Unknown romanization system: ${options.system}`);
+
+  if (system === 'rr' && options.name) return romanizeName(text, options);
+
+  return text.split(/(\s+)/)
+    .map(part => /^\s*$/.test(part) ? part : romanizeWord(part, system, options))
+    .join('');
+}
+
+/**
+ * Romanize a personal name in RR: surname, then given name without sound changes
+ */
+function romanizeName(text, options) {
+  return text.trim().split(/\s+/).map(name => {
+    const surnameLength = DOUBLE_SURNAMES.includes(name.slice(0, 2)) && name.length > 2 ? 2 : 1;
+    const surname = name.slice(0, surnameLength);
+    const given = name.slice(surnameLength);
+    const romanGiven = [...given].map(ch => renderRR(spell(ch), null)).filter(Boolean);
+    return [
+      capitalize(romanizeWord(surname, 'rr', { spelled: true })),
+      capitalize(romanGiven.join(options.hyphen ? '-' : ''))
+    ].filter(Boolean).join(' ');
+  }).join(' ');
+}
+
+function romanizeWord(word, system, options) {
+  const units = system === 'yale' || options.spelled ? spelledUnits(word) : soundUnits(word, system);
+  const render = system === 'rr' ? renderRR : system === 'mr' ? renderMR : renderYale;
+
+  let out = '';
+  let prev = null;
+  let index = 0;
+  for (const ch of word) {
+    const unit = units.get(index);
+    index += ch.length;
+    if (!unit) {
+      out += ch;
+      prev = null;
+      continue;
+    }
+
+    const roman = render(unit, prev);
+    if (prev && needsSeparator(system, prev, unit, out, roman, options)) {
+      out += system === 'yale' ? '.' : system === 'mr' ? '\'' : '-';
+    }
+    out += roman;
+    prev = unit;
+  }
+  return out;
+}
+
+/**
+ * Units keyed by string index: the spelled vowel with the pronounced consonants
+ */
+function soundUnits(word, system) {
+  const units = new Map();
+  let prevJong = null;
+  let prevUnit = null;
+  for (const s of pronounce(word).syllables) {
+    const source = decompose(s.source);
+    const sound = decompose(s.pronounced);
+    // Neither RR nor MR writes tensification, including the ㅅ of 값을 [갑쓸]
+    let cho = LAX_TO_TENSE[source.cho] === sound.cho ? source.cho : sound.cho;
+    if (cho === 'ㅆ' && source.cho === 'ㅇ' && SIOT_COMPOUNDS.includes(prevJong)) cho = 'ㅅ';
+    if (system === 'rr' && keepsH(source, prevJong, s.source) && prevUnit) {
+      cho = 'ㅎ';
+      prevUnit.jong = prevJong;
+    }
+    prevUnit = { cho, jung: source.jung, jong: sound.jong || '' };
+    units.set(s.index, prevUnit);
+    prevJong = source.jong;
+  }
+  return units;
+}
+
+// RR writes ㅎ after ㄱ ㄷ ㅂ in nouns only; without parts of speech, the
+// syllables of 하다 and the passive 히 are taken as verb forms (급하다 geupada)
+function keepsH(source, prevJong, syllable) {
+  return source.cho === 'ㅎ' && H_FINALS.includes(prevJong) && !VERBAL_H.includes(syllable);
+}
+
+function spelledUnits(word) {
+  const units = new Map();
+  let index = 0;
+  for (const ch of word) {
+    const unit = spell(ch);
+    if (unit) units.set(index, unit);
+    index += ch.length;
+  }
+  return units;
+}
+
+function spell(ch) {
+  const d = decompose(ch);
+  return d ? { cho: d.cho, jung: d.jung, jong: d.jong || '' } : null;
+}
+
+function renderRR(unit, prev) {
+  const cho = unit.cho === 'ㄹ' && prev && prev.jong === 'ㄹ' ? 'l' : RR_CHO[unit.cho];
+  return cho + RR_JUNG[unit.jung] + (unit.jong ? FINAL_SOUND[unit.jong] : '');
+}
+
+function renderMR(unit, prev) {
+  let cho = MR_CHO[unit.cho];
+  const voiced = prev && (!prev.jong || SONORANT_FINALS.includes(prev.jong));
+  if (voiced && MR_VOICED[unit.cho]) cho = MR_VOICED[unit.cho];
+  if (unit.cho === 'ㄹ' && prev && prev.jong === 'ㄹ') cho = 'l';
+  if (unit.cho === 'ㅅ' && unit.jung === 'ㅟ') cho = 'sh';
+  return cho + MR_JUNG[unit.jung] + (unit.jong ? FINAL_SOUND[unit.jong] : '');
+}
+
+function renderYale(unit) {
+  const vowel = unit.jung === 'ㅜ' && LABIALS.includes(unit.cho) ? 'u' : YALE_JUNG[unit.jung];
+  return YALE_CHO[unit.cho] + vowel + (unit.jong ? YALE_JONG[unit.jong] : '');
+}
+
+/**
+ * Whether two adjacent syllables need a separator to be read back unambiguously
+ */
+function needsSeparator(system, prev, unit, out, roman, options) {
+  const last = out[out.length - 1];
+  const first = roman[0];
+  const startsWithVowel = unit.cho === 'ㅇ';
+
+  if (system === 'mr') {
+    // Han'gŭl — n followed by g would read as ng
+    return last === 'n' && first === 'g';
+  }
+
+  if (system === 'yale') {
+    if (startsWithVowel) return !/[aeiou]/.test(last);
+    // pwuk.han — k + h would read as kh; hak.kyo — k + k as kk
+    return (first === 'h' && /[ktpcnl]/.test(last)) || first === last;
+  }
+
+  if (!options.hyphen) return false;
+  // jung-ang, se-un, ban-gudae
+  return startsWithVowel || (last === 'n' && first === 'g');
+}
+
+function capitalize(s) {
+  return s ? s[0].toUpperCase() + s.slice(1) : s;
+}
+
+export { romanize };
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { romanize } from './romanize.js';
+
+describe('romanize — Revised Romanization', () => {
+  it('is the default system', () => {
+    assert.equal(romanize('한글'), 'hangeul');
+    assert.equal(romanize('부산'), 'busan');
+  });
+
+  it('applies context-sensitive consonant rules', () => {
+    assert.equal(romanize('국물'), 'gungmul');
+    assert.equal(romanize('신라'), 'silla');
+    assert.equal(romanize('같이'), 'gachi');
+    assert.equal(romanize('독립문'), 'dongnimmun');
+  });
+
+  it('does not write tensification', () => {
+    assert.equal(romanize('학교'), 'hakgyo');
+    assert.equal(romanize('값을'), 'gapseul');
+  });
+
+  it('keeps ㅎ after ㄱ, ㄷ and ㅂ in nouns', () => {
+    assert.equal(romanize('묵호 집현전'), 'mukho jiphyeonjeon');
+    assert.equal(romanize('국화'), 'gukhwa');
+    assert.equal(romanize('좋고 잡혀 급하다'), 'joko japyeo geupada');
+  });
+
+  it('keeps spelled vowels and word boundaries', () => {
+    assert.equal(romanize('희망'), 'huimang');
+    assert.equal(romanize('맛 없다'), 'mat eopda');
+  });
+
+  it('hyphenates ambiguous syllable boundaries on request', () => {
+    assert.equal(romanize('중앙'), 'jungang');
+    assert.equal(romanize('중앙 해운대 반구대', { hyphen: true }), 'jung-ang hae-undae ban-gudae');
+  });
+
+  it('romanizes personal names', () => {
+    assert.equal(romanize('홍길동', { name: true }), 'Hong Gildong');
+    assert.equal(romanize('홍길동', { name: true, hyphen: true }), 'Hong Gil-dong');
+    assert.equal(romanize('한복남', { name: true }), 'Han Boknam');
+    assert.equal(romanize('남궁민', { name: true }), 'Namgung Min');
+  });
+});
+
+describe('romanize — McCune–Reischauer', () => {
+  it('uses diacritics and aspiration marks', () => {
+    assert.equal(romanize('한글', { system: 'mr' }), 'han\'gŭl');
+    assert.equal(romanize('같이', { system: 'mr' }), 'kach\'i');
+  });
+
+  it('voices plain stops between voiced sounds', () => {
+    assert.equal(romanize('부산', { system: 'mr' }), 'pusan');
+    assert.equal(romanize('학교', { system: 'mr' }), 'hakkyo');
+    assert.equal(romanize('종로', { system: 'mr' }), 'chongno');
+  });
+});
+
+describe('romanize — Yale', () => {
+  it('transliterates spelling without sound changes', () => {
+    assert.equal(romanize('국물', { system: 'yale' }), 'kwukmul');
+    assert.equal(romanize('맛 없다', { system: 'yale' }), 'mas epsta');
+    assert.equal(romanize('부산', { system: 'yale' }), 'pusan');
+  });
+
+  it('marks ambiguous syllable boundaries with a period', () => {
+    assert.equal(romanize('북한', { system: 'yale' }), 'puk.han');
+    assert.equal(romanize('값을', { system: 'yale' }), 'kaps.ul');
+  });
+});
+
+describe('romanize — options', () => {
+  it('passes non-Hangul text through', () => {
+    assert.equal(romanize('K-pop 노래!'), 'K-pop norae!');
+  });
+
+  it('rejects unknown systems', () => {
+    assert.throws(() => romanize('한글', { system: 'xyz' }), /Unknown romanization system/);
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Korean-style Search
+ *
+ * Search boxes in Korean apps match more than literal text:
+ *   초성 search     ㅎㄱ matches 한글 — a bare consonant matches any syllable it starts
+ *   partial input   한그 matches 한글 — the last syllable may still be mid-composition
+ *
+ * Syllables sharing an initial (or an initial and vowel) occupy contiguous
+ * Unicode ranges, so a query compiles to a single RegExp of character classes.
+ * That keeps matching fast enough for lists of 100k entries.
+ */
+
+import { CHOSEONG, isSyllable, decompose, compose } from './hangul.js';
+import { COMPOUND_VOWELS, COMPOUND_FINALS } from './jamo.js';
+
+// 21 vowels × 28 finals
+const SYLLABLES_PER_CHO = 21 * 28;
+
+/**
+ * Reduce text to its initial consonants: 한글 과학 → ㅎㄱ ㄱㅎ
+ */
+function getChoseong(text) {
+  let out = '';
+  for (const ch of text) {
+    const d = decompose(ch);
+    out += d ? d.cho : ch;
+  }
+  return out;
+}
+
+/**
+ * Find a 초성 query in target. Consonants in the query match any syllable with
+ * that initial; other characters match literally (case-insensitive).
+ * Returns { start, end } of the first match, or null.
+ */
+function matchChoseong(query, target) {
+  return firstMatch(compileQuery(query, { partial: false }), target);
+}
+
+/**
+ * Find a query whose last syllable may be incomplete: 한그 matches 한글,
+ * 가ㄴ or 간 matches 가나. Consonants match by initial as in matchChoseong.
+ * Returns { start, end } of the first match, or null.
+ */
+function matchPartial(query, target) {
+  return firstMatch(compileQuery(query, { partial: true }), target);
+}
+
+/**
+ * Build a search index over a list of strings (or objects, with { key }).
+ * index.search(query, { limit }) returns ranked hits:
+ *   { item, index, score, ranges: [{ start, end }, ...] }
+ */
+function createSearchIndex(items, options = {}) {
+  const key = typeof options.key === 'function' ? options.key
+    : options.key ? (item) => item[options.key]
+    : (item) => item;
+  const entries = items.map((item, index) => ({ item, index, text: String(key(item)) }));
+
+  function search(query, searchOptions = {}) {
+    const limit = searchOptions.limit ?? 20;
+    query = query.trim();
+    if (!query) return [];
+
+    const pattern = compileQuery(query, { partial: true });
+    const hits = [];
+
+    for (const entry of entries) {
+      const ranges = allMatches(pattern, entry.text);
+      if (ranges.length === 0) continue;
+      hits.push({
+        item: entry.item,
+        index: entry.index,
+        score: score(query, entry.text, ranges[0]),
+        ranges
+      });
+    }
+
+    hits.sort((a, b) => b.score - a.score || a.index - b.index);
+    return hits.slice(0, limit);
+  }
+
+  return { search, size: entries.length };
+}
+
+/**
+ * Rank a hit: literal matches before 초성/partial ones, then whole-string and
+ * prefix matches, then matches at a word start, then anywhere. Shorter
+ * targets beat longer ones.
+ */
+function score(query, text, range) {
+  const length = range.end - range.start;
+  let s = length === text.length ? 100
+    : range.start === 0 ? 80
+    : /[\s\p{P}]/u.test(text[range.start - 1]) ? 60
+    : 40;
+  if (text.slice(range.start, range.end).toLowerCase() === query.toLowerCase()) s += 100;
+  s -= 10 * (text.length - length) / text.length;
+  return Math.round(s * 1000) / 1000;
+}
+
+/**
+ * Compile a query into a RegExp source where each query character becomes
+ * the set of target text it can match.
+ */
+function compileQuery(query, { partial }) {
+  const chars = [...query];
+  const parts = chars.map((ch, i) => {
+    if (CHOSEONG.includes(ch)) return choseongClass(ch);
+    if (partial && i === chars.length - 1 && isSyllable(ch)) return partialSyllable(ch);
+    return escapeRegExp(ch);
+  });
+  return new RegExp(parts.join(''), 'gi');
+}
+
+// Every syllable starting with a consonant, plus the bare consonant itself
+function choseongClass(cho) {
+  const first = compose(cho, 'ㅏ').charCodeAt(0);
+  return `[${cho}${charRange(first, first + SYLLABLES_PER_CHO - 1)}]`;
+}
+
+// Every syllable sharing an initial and vowel, with or without a final
+function openSyllableClass(cho, jung) {
+  const first = compose(cho, jung).charCodeAt(0);
+  return charRange(first, first + 27);
+}
+
+/**
+ * Alternatives a still-being-typed syllable can turn into
+ */
+function partialSyllable(ch) {
+  const { cho, jung, jong } = decompose(ch);
+
+  if (!jong) {
+    // 그 → 그, 글, 긁 …; 고 → 과, 괜, 괴 …
+    const vowels = [jung, ...Object.keys(COMPOUND_VOWELS).filter(v => COMPOUND_VOWELS[v][0] === jung)];
+    return `[${vowels.map(v => openSyllableClass(cho, v)).join('')}]`;
+  }
+
+  const alternatives = [escapeRegExp(ch)];
+
+  // 달 → 닭, 닮, 닳 …
+  for (const [compound, [first]] of Object.entries(COMPOUND_FINALS)) {
+    if (first === jong) alternatives.push(compose(cho, jung, compound));
+  }
+
+  // The final may really be the next syllable's initial: 간 → 가나, 닭 → 달기
+  const [stay, move] = COMPOUND_FINALS[jong] || ['', jong];
+  if (CHOSEONG.includes(move)) {
+    alternatives.push(compose(cho, jung, stay) + choseongClass(move));
+  }
+
+  return `(?:${alternatives.join('|')})`;
+}
+
+function firstMatch(pattern, target) {
+  pattern.lastIndex = 0;
+  const m = pattern.exec(target);
+  return m ? { start: m.index, end: m.index + m[0].length } : null;
+}
+
+function allMatches(pattern, target) {
+  const ranges = [];
+  pattern.lastIndex = 0;
+  let m;
+  while ((m = pattern.exec(target))) {
+    ranges.push({ start: m.index, end: m.index + m[0].length });
+    if (m[0].length === 0) pattern.lastIndex++;
+  }
+  return ranges;
+}
+
+function charRange(from, to) {
+  return `${String.fromCharCode(from)}-${String.fromCharCode(to)}`;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export { getChoseong, matchChoseong, matchPartial, createSearchIndex };
@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getChoseong, matchChoseong, matchPartial, createSearchIndex } from './search.js';
+
+describe('getChoseong', () => {
+  it('reduces syllables to initial consonants', () => {
+    assert.equal(getChoseong('한글 과학'), 'ㅎㄱ ㄱㅎ');
+  });
+});
+
+describe('matchChoseong', () => {
+  it('matches consonants against syllable initials', () => {
+    assert.deepEqual(matchChoseong('ㅎㄱ', '한글'), { start: 0, end: 2 });
+    assert.deepEqual(matchChoseong('ㅎㄱ', '우리 한국'), { start: 3, end: 5 });
+    assert.equal(matchChoseong('ㅎㄱ', '하늘'), null);
+  });
+
+  it('mixes consonants with literal characters', () => {
+    assert.deepEqual(matchChoseong('한ㄱ', '한글'), { start: 0, end: 2 });
+    assert.deepEqual(matchChoseong('ab', 'xABy'), { start: 1, end: 3 });
+  });
+});
+
+describe('matchPartial', () => {
+  it('matches a last syllable still being typed', () => {
+    assert.deepEqual(matchPartial('한그', '한글날'), { start: 0, end: 2 });
+    assert.deepEqual(matchPartial('고', '사과'), { start: 1, end: 2 });
+    assert.deepEqual(matchPartial('달', '닭'), { start: 0, end: 1 });
+  });
+
+  it('lets a typed final become the next initial', () => {
+    assert.deepEqual(matchPartial('간', '가나다'), { start: 0, end: 2 });
+    assert.deepEqual(matchPartial('닭', '달기'), { start: 0, end: 2 });
+  });
+
+  it('only treats the last syllable as partial', () => {
+    assert.equal(matchPartial('그한', '글한'), null);
+  });
+});
+
+describe('createSearchIndex', () => {
+  const index = createSearchIndex(['우리 한글', '한글날', '한글', '하늘', '학교']);
+
+  it('ranks exact, prefix and word-start matches first', () => {
+    const hits = index.search('ㅎㄱ');
+    assert.deepEqual(hits.map(h => h.item), ['한글', '학교', '한글날', '우리 한글']);
+  });
+
+  it('ranks literal matches above partial ones', () => {
+    const hits = createSearchIndex(['하눗', '한줹', '우리 한']).search('한');
+    assert.deepEqual(hits.map(h => h.item), ['한줹', '우리 한', '하눗']);
+  });
+
+  it('returns matched ranges', () => {
+    const [hit] = index.search('한그');
+    assert.equal(hit.item, '한글');
+    assert.deepEqual(hit.ranges, [{ start: 0, end: 2 }]);
+  });
+
+  it('indexes objects by key and respects the limit', () => {
+    const songs = createSearchIndex([{ title: '봄날' }, { title: '벚꽃 엔딩' }], { key: 'title' });
+    const hits = songs.search('ㅂ', { limit: 1 });
+    assert.equal(hits.length, 1);
+    assert.equal(hits[0].item.title, '봄날');
+  });
+
+  it('returns nothing for an empty query', () => {
+    assert.deepEqual(index.search('  '), []);
+  });
+});
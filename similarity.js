@@ -0,0 +1,219 @@
+/**
+ * Fingerprint Similarity
+ *
+ * compare() flattens a fingerprint into one fixed vector and takes the cosine.
+ * Here the vector is built from feature groups, each with a weight:
+ *
+ *   cho        choseong profile (share of syllables per initial)
+ *   jung       jungseong profile
+ *   jong       jongseong profile (sums to the fingerprint's weight)
+ *   shape      brightness (rescaled to 0–1), weight, rhythm regularity
+ *   diversity  consonant and vowel diversity
+ *
+ * and compared by one of the metrics, all scaled so 1 means identical:
+ *
+ *   cosine       angle between the vectors
+ *   euclidean    1 / (1 + distance)
+ *   correlation  Pearson correlation, from -1 to 1
+ *   jsd          1 − Jensen–Shannon divergence (base 2) of the vectors
+ *                normalized to sum 1
+ *
+ * explain() breaks the difference down by feature, so a low similarity can
+ * be traced to, say, a text ending far more syllables in ㅇ.
+ *
+ * features: 'fingerprint' selects the fixed vector compare() uses by
+ * default: cho and jung profiles, then brightness (from -1 to 1), weight and
+ * rhythm regularity. jsd still rescales brightness, as it needs no negatives.
+ */
+
+const FEATURE_GROUPS = ['cho', 'jung', 'jong', 'shape', 'diversity'];
+const METRICS = ['cosine', 'euclidean', 'correlation', 'jsd'];
+
+const PROFILES = { cho: 'choProfile', jung: 'jungProfile', jong: 'jongProfile' };
+const SCALARS = {
+  shape: ['brightness', 'weight', 'rhythmRegularity'],
+  diversity: ['consonantDiversity', 'vowelDiversity']
+};
+
+/**
+ * Weighted feature vector of a fingerprint.
+ *
+ * Options:
+ *   features  groups to include, default all of FEATURE_GROUPS, or
+ *             'fingerprint' for the fixed vector compare() uses
+ *   weights   multiplier per group, e.g. { shape: 5 }; default 1,
+ *             finite and not negative
+ *
+ * Returns { names, groups, values } with one entry per feature. Names are
+ * 'cho:ㄱ' style for profiles and the fingerprint field for scalars.
+ * Fingerprints from before jongProfile existed count as having none.
+ */
+function featureVector(fp, options = {}) {
+  return buildVectors(fp, null, options).a;
+}
+
+/**
+ * Similarity of two fingerprints by the chosen metric (default cosine),
+ * rounded to 4 places; null if either fingerprint is missing.
+ * Options: metric, features and weights as in featureVector.
+ */
+function similarity(fpA, fpB, options = {}) {
+  if (!fpA || !fpB) return null;
+  const metric = resolveMetric(options);
+  const { a, b } = buildVectors(fpA, fpB, options);
+  return round(measure(metric, a.values, b.values), 4);
+}
+
+/**
+ * Similarity plus the features that account for most of the difference.
+ *
+ * Returns { similarity, metric, features, groups } where features lists the
+ * top features (option top, default 5) as { feature, group, a, b, difference,
+ * share } and groups maps each group to its share. Shares add up to 1 over
+ * all features: squared weighted differences, or each feature's term of the
+ * divergence for jsd. Null if either fingerprint is missing.
+ */
+function explain(fpA, fpB, options = {}) {
+  if (!fpA || !fpB) return null;
+  const metric = resolveMetric(options);
+  const { a, b } = buildVectors(fpA, fpB, options);
+  const top = options.top ?? 5;
+
+  const parts = metric === 'jsd'
+    ? jsdTerms(a.values, b.values)
+    : a.values.map((x, i) => (x - b.values[i]) ** 2);
+  const sum = parts.reduce((s, p) => s + p, 0);
+
+  const features = a.names.map((name, i) => ({
+    feature: name,
+    group: a.groups[i],
+    a: round(a.values[i], 4),
+    b: round(b.values[i], 4),
+    difference: round(a.values[i] - b.values[i], 4),
+    share: sum > 0 ? parts[i] / sum : 0
+  }));
+
+  const groups = {};
+  for (const f of features) groups[f.group] = (groups[f.group] || 0) + f.share;
+  for (const g of Object.keys(groups)) groups[g] = round(groups[g], 4);
+
+  return {
+    similarity: round(measure(metric, a.values, b.values), 4),
+    metric,
+    features: features
+      .filter(f => f.share > 0)
+      .sort((x, y) => y.share - x.share)
+      .slice(0, top)
+      .map(f => ({ ...f, share: round(f.share, 4) })),
+    groups
+  };
+}
+
+// Both vectors share one set of names, so profiles missing a key still line up
+function buildVectors(fpA, fpB, options) {
+  const fixed = options.features === 'fingerprint';
+  const features = fixed ? ['cho', 'jung', 'shape'] : options.features || FEATURE_GROUPS;
+  const weights = options.weights || {};
+  for (const group of [...features, ...Object.keys(weights)]) {
+    if (!FEATURE_GROUPS.includes(group)) throw new Error(`Unknown feature group: ${group}`);
+  }
+  for (const [group, weight] of Object.entries(weights)) {
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Invalid weight for ${group}: ${weight}`);
+    }
+  }
+  const rawBrightness = fixed && options.metric !== 'jsd';
+
+  const fps = fpB ? [fpA, fpB] : [fpA];
+  const vectors = fps.map(() => ({ names: [], groups: [], values: [] }));
+  for (const group of FEATURE_GROUPS) {
+    if (!features.includes(group)) continue;
+    const weight = weights[group] ?? 1;
+    const keys = PROFILES[group]
+      ? [...new Set(fps.flatMap(fp => Object.keys(fp[PROFILES[group]] || {})))]
+      : SCALARS[group];
+    for (const key of keys) {
+      fps.forEach((fp, i) => {
+        const vec = vectors[i];
+        vec.names.push(PROFILES[group] ? `${group}:${key}` : key);
+        vec.groups.push(group);
+        const value = rawBrightness && key === 'brightness' ? fp.brightness : featureValue(fp, group, key);
+        vec.values.push(weight * value);
+      });
+    }
+  }
+  return { a: vectors[0], b: vectors[1] };
+}
+
+function featureValue(fp, group, key) {
+  if (PROFILES[group]) return (fp[PROFILES[group]] || {})[key] || 0;
+  if (key === 'brightness') return (fp.brightness + 1) / 2;
+  return fp[key] || 0;
+}
+
+function resolveMetric(options) {
+  const metric = options.metric || 'cosine';
+  if (!METRICS.includes(metric)) throw new Error(`Unknown metric: ${metric}`);
+  return metric;
+}
+
+function measure(metric, a, b) {
+  if (metric === 'cosine') return cosine(a, b);
+  if (metric === 'euclidean') {
+    return 1 / (1 + Math.sqrt(a.reduce((s, x, i) => s + (x - b[i]) ** 2, 0)));
+  }
+  if (metric === 'correlation') return correlation(a, b);
+  return 1 - jsdTerms(a, b).reduce((s, t) => s + t, 0);
+}
+
+function cosine(a, b) {
+  let dot = 0, magA = 0, magB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    magA += a[i] ** 2;
+    magB += b[i] ** 2;
+  }
+  const denom = Math.sqrt(magA) * Math.sqrt(magB);
+  if (denom === 0) return sameValues(a, b) ? 1 : 0;
+  return dot / denom;
+}
+
+function correlation(a, b) {
+  const n = a.length;
+  const meanA = a.reduce((s, x) => s + x, 0) / n;
+  const meanB = b.reduce((s, x) => s + x, 0) / n;
+  let cov = 0, varA = 0, varB = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (a[i] - meanA) * (b[i] - meanB);
+    varA += (a[i] - meanA) ** 2;
+    varB += (b[i] - meanB) ** 2;
+  }
+  const denom = Math.sqrt(varA * varB);
+  if (denom === 0) return sameValues(a, b) ? 1 : 0;
+  return cov / denom;
+}
+
+// Zero or constant vectors have no angle or correlation; equal ones are still identical
+function sameValues(a, b) {
+  return a.every((x, i) => x === b[i]);
+}
+
+// Each feature's contribution to the Jensen–Shannon divergence, in bits
+function jsdTerms(a, b) {
+  const sumA = a.reduce((s, x) => s + x, 0) || 1;
+  const sumB = b.reduce((s, x) => s + x, 0) || 1;
+  return a.map((x, i) => {
+    const p = x / sumA;
+    const q = b[i] / sumB;
+    const m = (p + q) / 2;
+    const term = (v) => (v > 0 ? v * Math.log2(v / m) : 0);
+    return (term(p) + term(q)) / 2;
+  });
+}
+
+function round(n, digits) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+export { FEATURE_GROUPS, METRICS, featureVector, similarity, explain };
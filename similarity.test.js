@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { FEATURE_GROUPS, featureVector, similarity, explain } from './similarity.js';
+import { fingerprint, compare, compareFingerprints } from './hangul.js';
+
+const A = '하늘을 우러러 한 점 부끄럼이 없기를\n잎새에 이는 바람에도 나는 괴로워했다';
+const B = '사랑 사랑 내 사랑 방방 뛰는 강강술래\n짱짱 빵빵';
+const fpA = fingerprint(A);
+const fpB = fingerprint(B);
+
+describe('featureVector', () => {
+  it('lays out every group with named features', () => {
+    const vec = featureVector(fpA);
+    assert.equal(vec.values.length, 19 + 21 + 27 + 3 + 2);
+    assert.deepEqual(FEATURE_GROUPS, ['cho', 'jung', 'jong', 'shape', 'diversity']);
+    assert.equal(vec.names[0], 'cho:ㄱ');
+    assert.deepEqual(vec.names.slice(-5), ['brightness', 'weight', 'rhythmRegularity', 'consonantDiversity', 'vowelDiversity']);
+  });
+
+  it('selects and weights groups', () => {
+    const vec = featureVector(fingerprint('강'), { features: ['jong', 'shape'], weights: { jong: 2 } });
+    assert.equal(vec.values[vec.names.indexOf('jong:ㅇ')], 2);
+    assert.equal(vec.values[vec.names.indexOf('brightness')], 1);
+    assert.throws(() => featureVector(fpA, { features: ['tone'] }), /Unknown feature group/);
+    for (const weight of [-1, Infinity, NaN, '2']) {
+      assert.throws(() => similarity(fpA, fpB, { metric: 'jsd', weights: { shape: weight } }), /Invalid weight for shape/);
+    }
+    assert.equal(featureVector(fpA, { weights: { jong: 0 } }).values.length, 72);
+  });
+
+  it('treats fingerprints without a jong profile as having none', () => {
+    const { jongProfile, ...old } = fingerprint('강');
+    assert.equal(similarity(old, fingerprint('가'), { features: ['jong'] }), 1);
+    assert.equal(similarity(old, fingerprint('강'), { features: ['jong'] }), 0);
+  });
+});
+
+describe('similarity', () => {
+  it('scores identical fingerprints as 1 under every metric', () => {
+    for (const metric of ['cosine', 'euclidean', 'correlation', 'jsd']) {
+      assert.equal(similarity(fpA, fpA, { metric }), 1, metric);
+    }
+  });
+
+  it('ranks closer texts higher under every metric', () => {
+    const near = fingerprint('바람이 불어와 나를 흔드네\n하늘이 높고 구름이 흐르네');
+    for (const metric of ['cosine', 'euclidean', 'correlation', 'jsd']) {
+      assert.ok(similarity(fpA, near, { metric }) > similarity(fpA, fpB, { metric }), metric);
+    }
+  });
+
+  it('scores identical texts as 1 when the vector is zero or constant', () => {
+    for (const metric of ['cosine', 'euclidean', 'correlation', 'jsd']) {
+      assert.equal(compare('가나다', '가나다', { features: ['jong'], metric }), 1, metric);
+    }
+    assert.equal(compare('가나다', '강낭당', { features: ['jong'], metric: 'cosine' }), 0);
+  });
+
+  it('is null without fingerprints and rejects unknown metrics', () => {
+    assert.equal(similarity(fpA, null), null);
+    assert.throws(() => similarity(fpA, fpB, { metric: 'manhattan' }), /Unknown metric/);
+  });
+});
+
+describe('explain', () => {
+  it('lists the features behind the difference', () => {
+    const result = explain(fpA, fpB, { top: 3 });
+    assert.equal(result.similarity, similarity(fpA, fpB));
+    assert.equal(result.features.length, 3);
+    assert.deepEqual(result.features[0], {
+      feature: 'jong:ㅇ', group: 'jong', a: 0, b: 0.5789, difference: -0.5789, share: 0.2148
+    });
+    const total = Object.values(result.groups).reduce((s, v) => s + v, 0);
+    assert.ok(Math.abs(total - 1) < 1e-3);
+  });
+
+  it('splits the divergence for jsd', () => {
+    const result = explain(fpA, fpB, { metric: 'jsd', features: ['jong'] });
+    assert.equal(result.metric, 'jsd');
+    assert.deepEqual(Object.keys(result.groups), ['jong']);
+    assert.ok(result.features.every(f => f.group === 'jong'));
+  });
+});
+
+describe('compare options', () => {
+  it('keeps the fixed cosine by default', () => {
+    assert.equal(compare(A, B), 0.5742);
+    assert.equal(compareFingerprints(fpA, fpB), 0.5742);
+  });
+
+  it('passes metrics, features and weights through', () => {
+    assert.equal(compare(A, B, { metric: 'jsd' }), similarity(fpA, fpB, { metric: 'jsd' }));
+    assert.equal(compareFingerprints(fpA, fpB, { weights: { shape: 5 } }), similarity(fpA, fpB, { weights: { shape: 5 } }));
+  });
+
+  it('explains the same similarity compare returns', () => {
+    const result = compare(A, B, { explain: true });
+    assert.equal(result.similarity, compare(A, B));
+    assert.deepEqual(result, explain(fpA, fpB, { features: 'fingerprint' }));
+    assert.deepEqual(Object.keys(result.groups), ['cho', 'jung', 'shape']);
+    assert.equal(compare(A, B, { explain: true, metric: 'jsd' }).similarity, compare(A, B, { metric: 'jsd' }));
+  });
+
+  it('keeps brightness signed in the fingerprint vector', () => {
+    const vec = featureVector(fingerprint('어두운 거울'), { features: 'fingerprint' });
+    assert.equal(vec.values.length, 19 + 21 + 3);
+    assert.equal(vec.values[vec.names.indexOf('brightness')], -1);
+    assert.equal(similarity(fpA, fpB, { features: 'fingerprint' }), compareFingerprints(fpA, fpB));
+  });
+});
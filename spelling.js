@@ -0,0 +1,182 @@
+/**
+ * Jamo Edit Distance and Spelling Suggestions
+ *
+ * Plain Levenshtein counts 감 → 갑 and 감 → 핫 as one edit each. Comparing
+ * jamo instead, with cheaper substitutions for likely mistakes, ranks typos
+ * the way a reader would:
+ *
+ *   감 → 갑   ㅁ → ㅂ, neighbouring keys on a 2-beolsik keyboard   0.5
+ *   개 → 게   ㅐ → ㅔ, vowels that sound alike                     0.5
+ *   달 → 탈   ㄷ → ㅌ, plain / aspirated / tense series             0.5
+ *   감 → 핫   two unrelated substitutions                          2
+ *
+ * createSpellingIndex() puts a word list in a BK-tree so suggestions only
+ * compare against a fraction of the list.
+ */
+
+import { decompose } from './hangul.js';
+import { toKeystrokes } from './keyboard.js';
+
+const DEFAULT_COSTS = { insert: 1, delete: 1, substitute: 1, similar: 0.5, adjacent: 0.5 };
+
+// Consonants in the same plain / aspirated / tense series, and vowels often confused
+const SIMILAR_GROUPS = [
+  ['ㄱ', 'ㅋ', 'ㄲ'], ['ㄷ', 'ㅌ', 'ㄸ'], ['ㅂ', 'ㅍ', 'ㅃ'], ['ㅈ', 'ㅊ', 'ㅉ'], ['ㅅ', 'ㅆ'],
+  ['ㅐ', 'ㅔ'], ['ㅒ', 'ㅖ'], ['ㅙ', 'ㅞ', 'ㅚ']
+];
+const SIMILAR = new Set();
+for (const group of SIMILAR_GROUPS) {
+  for (const a of group) for (const b of group) if (a !== b) SIMILAR.add(a + b);
+}
+
+// QWERTY rows; each key touches its row neighbours and the two keys below it
+const KEY_ROWS = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+const ADJACENT_KEYS = new Set();
+KEY_ROWS.forEach((row, r) => {
+  for (let i = 0; i < row.length; i++) {
+    const touching = [row[i + 1], KEY_ROWS[r + 1]?.[i], KEY_ROWS[r + 1]?.[i - 1]];
+    for (const other of touching) {
+      if (!other) continue;
+      ADJACENT_KEYS.add(row[i] + other);
+      ADJACENT_KEYS.add(other + row[i]);
+    }
+  }
+});
+
+/**
+ * Edit distance between two strings over their jamo: 감 → [ㄱ ㅏ ㅁ].
+ * Characters that are not Hangul syllables count as single units.
+ *
+ * Options:
+ *   costs         { insert, delete, substitute, similar, adjacent }, merged
+ *                 over the defaults 1, 1, 1, 0.5, 0.5
+ *   substitution  (a, b) => cost, replacing the built-in substitution rules
+ */
+function jamoDistance(a, b, options = {}) {
+  return distance(toJamo(a), toJamo(b), costModel(options));
+}
+
+/**
+ * Index a word list for suggestions. Options are those of jamoDistance.
+ * Custom costs should keep the distance a metric (substitutions never
+ * cheaper than half of any other substitution), or the BK-tree may miss words.
+ *
+ * index.suggest(word, { limit: 5, maxDistance: 2 }) returns
+ * [{ word, distance }], closest first; ties keep the list's order.
+ */
+function createSpellingIndex(words, options = {}) {
+  const costs = costModel(options);
+  let root = null;
+  let size = 0;
+
+  words.forEach((word, order) => {
+    const node = { word: String(word), jamo: toJamo(String(word)), order, children: new Map() };
+    if (!root) {
+      root = node;
+      size++;
+      return;
+    }
+    let current = root;
+    for (;;) {
+      const d = distance(node.jamo, current.jamo, costs);
+      if (d === 0) return;  // duplicate
+      const child = current.children.get(d);
+      if (!child) {
+        current.children.set(d, node);
+        size++;
+        return;
+      }
+      current = child;
+    }
+  });
+
+  function suggest(word, suggestOptions = {}) {
+    const limit = suggestOptions.limit ?? 5;
+    const maxDistance = suggestOptions.maxDistance ?? 2;
+    const jamo = toJamo(String(word));
+    const found = [];
+    const stack = root ? [root] : [];
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      const d = distance(jamo, node.jamo, costs);
+      if (d <= maxDistance) found.push({ word: node.word, distance: d, order: node.order });
+      for (const [edge, child] of node.children) {
+        if (Math.abs(edge - d) <= maxDistance) stack.push(child);
+      }
+    }
+
+    return found
+      .sort((x, y) => x.distance - y.distance || x.order - y.order)
+      .slice(0, limit)
+      .map(({ word: w, distance: d }) => ({ word: w, distance: d }));
+  }
+
+  return { size, suggest };
+}
+
+/**
+ * Closest words to a word from a dictionary (a word list or an index from
+ * createSpellingIndex). A list is indexed on every call, so build an index
+ * once for repeated lookups.
+ */
+function suggest(word, dictionary, options = {}) {
+  const index = typeof dictionary.suggest === 'function' ? dictionary : createSpellingIndex(dictionary, options);
+  return index.suggest(word, options);
+}
+
+function toJamo(text) {
+  const out = [];
+  for (const ch of text) {
+    const d = decompose(ch);
+    if (!d) {
+      out.push(ch);
+      continue;
+    }
+    out.push(d.cho, d.jung);
+    if (d.jong) out.push(d.jong);
+  }
+  return out;
+}
+
+// { insert, delete, substitute(a, b) } from jamoDistance options
+function costModel(options) {
+  const costs = { ...DEFAULT_COSTS, ...options.costs };
+  if (options.substitution) return { insert: costs.insert, delete: costs.delete, substitute: options.substitution };
+
+  const cache = new Map();
+  const substitute = (a, b) => {
+    const key = a + b;
+    let c = cache.get(key);
+    if (c === undefined) {
+      c = costs.substitute;
+      if (SIMILAR.has(key)) c = Math.min(c, costs.similar);
+      if (ADJACENT_KEYS.has(toKeystrokes(a) + toKeystrokes(b))) c = Math.min(c, costs.adjacent);
+      cache.set(key, c);
+    }
+    return c;
+  };
+  return { insert: costs.insert, delete: costs.delete, substitute };
+}
+
+// Weighted Levenshtein over two jamo arrays, two rows at a time
+function distance(a, b, { insert, delete: del, substitute }) {
+  let prev = new Array(b.length + 1);
+  let row = new Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) prev[j] = j * insert;
+
+  for (let i = 1; i <= a.length; i++) {
+    row[0] = i * del;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(
+        prev[j] + del,
+        row[j - 1] + insert,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : substitute(a[i - 1], b[j - 1]))
+      );
+    }
+    [prev, row] = [row, prev];
+  }
+  return prev[b.length];
+}
+
+export { jamoDistance, createSpellingIndex, suggest };
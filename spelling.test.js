@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { jamoDistance, createSpellingIndex, suggest } from './spelling.js';
+
+const WORDS = ['사과', '사랑', '사람', '바나나', '포도', '딸기', '수박', '한국어', '한글', '학교', '학생', '선생님', '컴퓨터', '키보드'];
+
+describe('jamoDistance', () => {
+  it('counts edits over jamo', () => {
+    assert.equal(jamoDistance('한글', '한글'), 0);
+    assert.equal(jamoDistance('감', '가'), 1);
+    assert.equal(jamoDistance('감', '핫'), 2);
+    assert.equal(jamoDistance('', '가'), 2);
+  });
+
+  it('makes likely mistakes cheaper', () => {
+    assert.equal(jamoDistance('감', '갑'), 0.5);   // ㅁ and ㅂ keys touch
+    assert.equal(jamoDistance('개', '게'), 0.5);   // ㅐ / ㅔ
+    assert.equal(jamoDistance('달', '탈'), 0.5);   // ㄷ / ㅌ
+    assert.ok(jamoDistance('감', '갑') < jamoDistance('감', '핫'));
+  });
+
+  it('treats other characters as single units', () => {
+    assert.equal(jamoDistance('abc', 'abp'), 1);
+    assert.equal(jamoDistance('abc', 'abd'), 0.5);  // keyboard neighbours in Latin too
+    assert.equal(jamoDistance('한글1', '한글2'), 1);
+  });
+
+  it('accepts custom costs', () => {
+    assert.equal(jamoDistance('감', '갑', { costs: { adjacent: 0.25 } }), 0.25);
+    assert.equal(jamoDistance('감', '가', { costs: { delete: 0.5 } }), 0.5);
+    assert.equal(jamoDistance('감', '갑', { substitution: () => 3 }), 2);
+  });
+});
+
+describe('createSpellingIndex', () => {
+  const index = createSpellingIndex([...WORDS, '사과']);
+
+  it('skips duplicates', () => {
+    assert.equal(index.size, WORDS.length);
+  });
+
+  it('suggests the closest words first', () => {
+    assert.deepEqual(index.suggest('학셍'), [{ word: '학생', distance: 0.5 }]);
+    assert.equal(index.suggest('컴퓨토')[0].word, '컴퓨터');
+    assert.deepEqual(index.suggest('사랑ㅇ').map(s => s.word), ['사랑', '사람']);
+  });
+
+  it('honours limit and maxDistance', () => {
+    assert.equal(index.suggest('사', { limit: 1 }).length, 1);
+    assert.deepEqual(index.suggest('비행기', { maxDistance: 1 }), []);
+  });
+
+  it('finds the same words as a full scan', () => {
+    for (const query of ['사람', '한국', '수밬', '선생', '포드']) {
+      const expected = WORDS
+        .map(word => ({ word, distance: jamoDistance(query, word) }))
+        .filter(s => s.distance <= 2)
+        .sort((a, b) => a.distance - b.distance)
+        .map(s => s.distance);
+      assert.deepEqual(index.suggest(query, { limit: 100 }).map(s => s.distance), expected);
+    }
+  });
+
+  it('handles an empty list', () => {
+    assert.deepEqual(createSpellingIndex([]).suggest('한글'), []);
+  });
+});
+
+describe('suggest', () => {
+  it('accepts a word list or an index', () => {
+    assert.equal(suggest('딸귀', WORDS)[0].word, '딸기');
+    assert.equal(suggest('딸귀', createSpellingIndex(WORDS), { limit: 1 })[0].word, '딸기');
+  });
+});
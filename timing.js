@@ -0,0 +1,215 @@
+/**
+ * Speech Timing and Readability
+ *
+ * Estimates how long a Korean line takes to say and to read, for TTS scripts
+ * and subtitles:
+ *
+ *   speaking  syllables / rate, stretched by closed syllables (jongRatio),
+ *             plus a short gap per 어절 boundary and pauses at punctuation
+ *   reading   characters / reading rate
+ *
+ * Rates depend on the material, so they come from a profile:
+ *
+ *               syllables/s   reading cps   cps limit
+ *   news            5.8           10           12
+ *   conversation    6.5           10           12
+ *   children        4.2            7            9
+ *
+ * Characters per second (cps) count every character but line breaks, as
+ * subtitle guidelines do. Numbers are spoken as read (3개 → 세 개).
+ */
+
+import { fingerprint, isSyllable, toSyllables } from './hangul.js';
+import { spellNumbers } from './numerals.js';
+
+const RATE_PROFILES = {
+  news: {
+    syllablesPerSecond: 5.8, readingCps: 10, maxCps: 12,
+    closedSyllableCost: 0.2, wordGap: 0.04, commaPause: 0.25, sentencePause: 0.5
+  },
+  conversation: {
+    syllablesPerSecond: 6.5, readingCps: 10, maxCps: 12,
+    closedSyllableCost: 0.2, wordGap: 0.03, commaPause: 0.3, sentencePause: 0.6
+  },
+  children: {
+    syllablesPerSecond: 4.2, readingCps: 7, maxCps: 9,
+    closedSyllableCost: 0.25, wordGap: 0.06, commaPause: 0.4, sentencePause: 0.8
+  }
+};
+
+const RATES = ['syllablesPerSecond', 'readingCps', 'maxCps'];
+
+const READABILITY_LEVELS = [[80, '쉬움'], [60, '보통'], [40, '어려움'], [-Infinity, '매우 어려움']];
+
+// Pauses fall only between words: trailing punctuation ends the line instead
+const COMMA = /[,，、;:·]+(?=\s*\S)/g;
+const SENTENCE = /(?:[.!?。！？]+|…+|\.{3})(?=\s*\S)/g;
+
+/**
+ * Estimate the time to speak and read a text.
+ *
+ * Options:
+ *   profile  'news', 'conversation' (default) or 'children'
+ *   rates    fields to override in the profile, e.g. { syllablesPerSecond: 7 };
+ *            rates must be positive numbers, costs and pauses not negative
+ *
+ * Returns { syllables, characters, words, jongRatio, pauses, speakingTime,
+ * readingTime, readability } with times in seconds.
+ */
+function estimateTiming(text, options = {}) {
+  const profile = resolveProfile(options);
+  text = String(text);
+  const fp = fingerprint(text, { numbers: true });
+  const latin = latinSyllables(text);
+  const syllables = (fp ? fp.totalSyllables : 0) + latin;
+  const jongRatio = fp ? fp.weight : 0;
+  const words = text.split(/\s+/).filter(w => /[\p{L}\p{N}]/u.test(w)).length;
+  const commas = (text.match(COMMA) || []).length;
+  const sentences = (text.match(SENTENCE) || []).length;
+
+  const pauses = commas * profile.commaPause + sentences * profile.sentencePause;
+  const articulation = syllables / profile.syllablesPerSecond * (1 + profile.closedSyllableCost * jongRatio);
+  const speakingTime = articulation + Math.max(0, words - 1) * profile.wordGap + pauses;
+  const characters = countCharacters(text);
+
+  return {
+    syllables,
+    characters,
+    words,
+    jongRatio: round(jongRatio, 3),
+    pauses: round(pauses, 2),
+    speakingTime: round(speakingTime, 2),
+    readingTime: round(characters / profile.readingCps, 2),
+    readability: readability(text)
+  };
+}
+
+/**
+ * Readability from 0 (hard) to 100 (easy): long 어절, long sentences and
+ * many closed syllables all make a text harder to take in at a glance.
+ *
+ *   score = 120 − 12 × syllables per 어절 − 0.6 × syllables per sentence
+ *               − 25 × jongRatio
+ *
+ * Lengths are counted on the text as fingerprint() reads it: composed, with
+ * numbers spelled out (1999년 → 천구백구십구 년).
+ *
+ * Returns { score, level, wordLength, sentenceLength, jongRatio }, or null
+ * without Korean syllables.
+ */
+function readability(text) {
+  text = String(text);
+  const fp = fingerprint(text, { numbers: true });
+  if (!fp) return null;
+
+  const spoken = spellNumbers(toSyllables(text));
+  const words = spoken.split(/\s+/).map(w => [...w].filter(isSyllable).length).filter(n => n > 0);
+  const sentences = spoken.split(/[.!?。！？…\n]+/).map(s => [...s].filter(isSyllable).length).filter(n => n > 0);
+  if (words.length === 0) return null;
+  const wordLength = words.reduce((a, b) => a + b, 0) / words.length;
+  const sentenceLength = sentences.reduce((a, b) => a + b, 0) / sentences.length;
+  const raw = 120 - 12 * wordLength - 0.6 * sentenceLength - 25 * fp.weight;
+  const score = round(Math.min(100, Math.max(0, raw)), 1);
+
+  return {
+    score,
+    level: READABILITY_LEVELS.find(([min]) => score >= min)[1],
+    wordLength: round(wordLength, 2),
+    sentenceLength: round(sentenceLength, 2),
+    jongRatio: round(fp.weight, 3)
+  };
+}
+
+/**
+ * Per-line timing. Input is text (one entry per non-blank line), an array
+ * of strings or of { text, start, end } units, or a document from
+ * parseDocument() or analyzeDocument().
+ *
+ * Each line is { line, text, start, end, duration, characters, cps,
+ * speakingTime, readingTime, flags } where cps and flags need a time slot:
+ * 'cps' when characters per second exceed the profile's maxCps, 'speech'
+ * when the estimated speaking time does not fit. Options: those of
+ * estimateTiming, plus maxCps (a positive number) to override the profile's
+ * limit.
+ *
+ * Returns { profile, maxCps, lines, flagged, total } where flagged counts
+ * lines with any flag and total is estimateTiming over all the text.
+ */
+function timingReport(input, options = {}) {
+  const profile = resolveProfile(options);
+  const maxCps = options.maxCps ?? profile.maxCps;
+  if (!isPositive(maxCps)) throw new Error(`Invalid maxCps: ${maxCps}`);
+
+  const lines = toLines(input).map(({ text, line = null, start = null, end = null }) => {
+    const estimate = estimateTiming(text, options);
+    const duration = start !== null && end !== null ? round(end - start, 3) : null;
+    const cps = duration > 0 ? round(estimate.characters / duration, 2) : null;
+    const flags = [];
+    if (cps !== null && cps > maxCps) flags.push('cps');
+    if (duration !== null && estimate.speakingTime > duration) flags.push('speech');
+    return {
+      line,
+      text,
+      start,
+      end,
+      duration,
+      characters: estimate.characters,
+      cps,
+      speakingTime: estimate.speakingTime,
+      readingTime: estimate.readingTime,
+      flags
+    };
+  });
+
+  return {
+    profile: typeof options.profile === 'string' ? options.profile : 'conversation',
+    maxCps,
+    lines,
+    flagged: lines.filter(l => l.flags.length > 0).length,
+    total: estimateTiming(lines.map(l => l.text).join('\n'), options)
+  };
+}
+
+function resolveProfile(options) {
+  const name = options.profile || 'conversation';
+  const profile = RATE_PROFILES[name];
+  if (!profile) throw new Error(`Unknown timing profile: ${name}`);
+  for (const [key, value] of Object.entries(options.rates || {})) {
+    if (!(key in profile)) throw new Error(`Unknown timing rate: ${key}`);
+    // Rates divide; costs and pauses may be switched off with 0
+    const valid = RATES.includes(key) ? isPositive(value) : isPositive(value) || value === 0;
+    if (!valid) throw new Error(`Invalid ${key}: ${value}`);
+  }
+  return { ...profile, ...options.rates };
+}
+
+function isPositive(n) {
+  return typeof n === 'number' && Number.isFinite(n) && n > 0;
+}
+
+function toLines(input) {
+  if (typeof input === 'string') {
+    return input.split('\n')
+      .map((raw, i) => ({ text: raw.replace(/\r$/, '').trim(), line: i + 1 }))
+      .filter(l => l.text);
+  }
+  const units = Array.isArray(input) ? input : input.units;
+  return units.map(u => (typeof u === 'string' ? { text: u } : u));
+}
+
+function countCharacters(text) {
+  return [...text.replace(/\r?\n/g, '')].length;
+}
+
+// Latin words (names, loanwords left in Latin script) by vowel groups
+function latinSyllables(text) {
+  return (text.match(/[a-z]+/gi) || [])
+    .reduce((sum, word) => sum + Math.max(1, (word.match(/[aeiouy]+/gi) || []).length), 0);
+}
+
+function round(n, digits) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+export { RATE_PROFILES, estimateTiming, readability, timingReport };
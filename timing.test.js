@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RATE_PROFILES, estimateTiming, readability, timingReport } from './timing.js';
+import { parseSRT, analyzeDocument } from './documents.js';
+
+const SRT = [
+  '1', '00:00:01,000 --> 00:00:02,000', '안녕하세요, 오늘 날씨가 정말 좋네요.', '',
+  '2', '00:00:03,000 --> 00:00:06,000', '네', ''
+].join('\n');
+
+describe('estimateTiming', () => {
+  it('counts syllables, characters, words and pauses', () => {
+    const t = estimateTiming('안녕하세요, 오늘 날씨가 정말 좋네요. 산책 갈까요?');
+    assert.equal(t.syllables, 20);
+    assert.equal(t.characters, 29);
+    assert.equal(t.words, 7);
+    assert.equal(t.pauses, 0.9);  // one comma and one sentence break; the final ? ends the line
+  });
+
+  it('takes longer for closed syllables and slower profiles', () => {
+    const open = estimateTiming('가나다라마바');
+    const closed = estimateTiming('강낭당랑망방');
+    assert.ok(closed.speakingTime > open.speakingTime);
+    assert.ok(estimateTiming('가나다라마바', { profile: 'children' }).speakingTime > open.speakingTime);
+    assert.ok(estimateTiming('가나다라마바', { profile: 'news' }).speakingTime > open.speakingTime);
+  });
+
+  it('speaks numbers as read and Latin words by vowel groups', () => {
+    assert.equal(estimateTiming('사과 3개').syllables, 4);
+    assert.equal(estimateTiming('BTS 노래').syllables, 3);
+  });
+
+  it('accepts rate overrides', () => {
+    const t = estimateTiming('가나다', { rates: { syllablesPerSecond: 3, wordGap: 0, readingCps: 3 } });
+    assert.equal(t.speakingTime, 1);
+    assert.equal(t.readingTime, 1);
+    assert.equal(RATE_PROFILES.conversation.syllablesPerSecond, 6.5);
+    assert.throws(() => estimateTiming('가', { profile: 'sports' }), /Unknown timing profile/);
+  });
+
+  it('rejects rates that are not usable numbers', () => {
+    for (const value of [0, -2, NaN, Infinity, '7']) {
+      assert.throws(() => estimateTiming('가', { rates: { syllablesPerSecond: value } }), /Invalid syllablesPerSecond/);
+    }
+    assert.throws(() => estimateTiming('가', { rates: { commaPause: -1 } }), /Invalid commaPause/);
+    assert.throws(() => estimateTiming('가', { rates: { tempo: 2 } }), /Unknown timing rate: tempo/);
+  });
+});
+
+describe('readability', () => {
+  it('scores short words and sentences as easier', () => {
+    const easy = readability('엄마, 나 배고파. 밥 줘.');
+    const hard = readability('정부는 국내 경기 활성화를 위한 종합 대책을 발표했습니다.');
+    assert.ok(easy.score > hard.score);
+    assert.equal(easy.level, '쉬움');
+    assert.equal(hard.wordLength, 3);
+    assert.equal(hard.sentenceLength, 24);
+  });
+
+  it('is null without Korean', () => {
+    assert.equal(readability('hello'), null);
+  });
+
+  it('reads numbers as spoken', () => {
+    const r = readability('2024');
+    assert.equal(r.wordLength, 5);   // 이천이십사
+    assert.equal(r.sentenceLength, 5);
+    assert.equal(readability('1999년').wordLength, 3.5);   // 천구백구십구 년
+  });
+
+  it('composes NFD text before counting', () => {
+    const text = '정부는 국내 경기 활성화를 위한 종합 대책을 발표했습니다.';
+    assert.deepEqual(readability(text.normalize('NFD')), readability(text));
+  });
+});
+
+describe('timingReport', () => {
+  it('flags cues over the cps limit or too short to speak', () => {
+    const report = timingReport(parseSRT(SRT));
+    assert.deepEqual(report.lines.map(l => [l.line, l.duration, l.cps, l.flags]), [
+      [3, 1, 21, ['cps', 'speech']],
+      [7, 3, 0.33, []]
+    ]);
+    assert.equal(report.flagged, 1);
+    assert.equal(report.maxCps, 12);
+  });
+
+  it('takes analyzed documents and a custom limit', () => {
+    const report = timingReport(analyzeDocument(SRT, { format: 'srt' }), { maxCps: 25, rates: { syllablesPerSecond: 20, commaPause: 0 } });
+    assert.deepEqual(report.lines[0].flags, []);
+  });
+
+  it('rejects a limit that is not a positive number', () => {
+    for (const maxCps of [0, -12, NaN, Infinity, '12']) {
+      assert.throws(() => timingReport(SRT, { maxCps }), /Invalid maxCps/);
+    }
+    assert.throws(() => timingReport(SRT, { rates: { maxCps: -1 } }), /Invalid maxCps/);
+  });
+
+  it('estimates untimed lines without flags', () => {
+    const report = timingReport('가나다\r\n\r\n라마 3개', { profile: 'children' });
+    assert.equal(report.profile, 'children');
+    assert.deepEqual(report.lines.map(l => [l.line, l.text, l.cps, l.flags]), [[1, '가나다', null, []], [3, '라마 3개', null, []]]);
+    assert.equal(report.total.syllables, 7);
+  });
+
+  it('handles number-only cues', () => {
+    const srt = '1\n00:00:01,000 --> 00:00:02,000\n2024\n';
+    const report = timingReport(parseSRT(srt));
+    assert.equal(report.lines[0].characters, 4);
+    assert.equal(report.total.readability.wordLength, 5);
+  });
+
+  it('accepts plain string lists', () => {
+    assert.equal(timingReport(['가', '나']).lines.length, 2);
+  });
+});